@@ -0,0 +1,464 @@
+#!/usr/bin/env node
+/*
+ * Living Universe Engine — command-line runner.
+ *
+ *   node cli.js run      [options]   one universe + retro influence
+ *   node cli.js ensemble [options]   --count universes from one seed
+ *   node cli.js sweep    [options]   --x key:min:max:n [--y key:min:max:n]
+ *
+ * Exit codes: 0 success, 1 runtime failure, 2 bad usage or out-of-range input.
+ */
+const fs = require("fs");
+const Engine = require("./engine.js");
+const Sonifier = require("./sonification.js");
+
+const WAV_SAMPLE_RATE = 44100;
+
+const USAGE = `Usage: node cli.js <run|ensemble|sweep> [options]
+
+Physics (same as the web form):
+  --steps N            timeline length          [${Engine.PARAM_LIMITS.steps.min}-${Engine.PARAM_LIMITS.steps.max}, default 120]
+  --levels N           recursion depth          [${Engine.PARAM_LIMITS.maxLevels.min}-${Engine.PARAM_LIMITS.maxLevels.max}, default 60]
+  --t0 N / --t1 N      past / future anchors    [default 30 / 90, moved in to fit --steps]
+  --strength X         retrocausal coupling     [default 0.02]
+  --dim N              state dimension          [${Engine.PARAM_LIMITS.dim.min}-${Engine.PARAM_LIMITS.dim.max}, default 10]
+  --model NAME         ${Object.keys(Engine.MODELS).join(" | ")}
+  --system NAME        ${Engine.SYSTEM_TYPES.join(" | ")}
+  --seed N             32-bit seed (random if omitted; always reported)
+  --obs-level N        observer level           [default 10, capped by --levels]
+  --retro-mode NAME    ${Engine.RETRO_MODES.join(" | ")}
+  --storage NAME       ${Engine.STORAGE_MODES.join(" | ")} (level storage; window keeps only t0/t1)
+  --param KEY=VALUE    model parameter, repeatable (e.g. --param J=0.5)
+  --weighting NAME     ${Engine.INF_WEIGHTINGS.join(" | ")} (infinite-level weights)
+  --ratio X            geometric weight ratio r in (0, 1)  [default 0.5]
+  --weights LIST       custom weights, comma separated (implies --weighting custom)
+  --extrapolate NAME   ${Engine.INF_EXTRAPOLATIONS.join(" | ")}
+  --event SPEC         scheduled retro event, repeatable:
+                       SOURCE:TARGET[:STRENGTH[:AT[:EVERY[:MODE[:MASK]]]]]
+                       MODE ${Engine.RETRO_EVENT_MODES.join(" | ")}, MASK comma separated components
+  --observer SPEC      extra observer, repeatable:
+                       LEVEL[:MEASURE[:FROM[:TO[:NOISE[:COLLAPSE[:COMPONENTS]]]]]]
+                       MEASURE ${Engine.OBSERVER_MEASURES.join(" | ")}, COMPONENTS comma separated
+
+Detections (run and ensemble, json):
+  --rule SPEC          detection rule, repeatable: METRIC:OP:VALUE[:abs]
+                       METRIC ${Object.keys(Engine.DETECTION_METRICS).join(" | ")}
+                       OP ${Object.keys(Engine.DETECTION_OPS).join(" ")} (quote it), abs compares |METRIC|
+
+Sonification (run):
+  --wav FILE           also render the run to a 16-bit mono WAV
+  --sound KEY=VALUE    sonification setting, repeatable:
+                       duration (s) | volume (0-1) | basePitch (Hz) | bend (semitones)
+                       | mapping (${Object.keys(Sonifier.MAPPINGS).join(" | ")})
+
+Ensemble / sweep:
+  --count N            universes per ensemble (per grid point for sweep)
+                       [${Engine.PARAM_LIMITS.ensemble.min}-${Engine.PARAM_LIMITS.ensemble.max}, default 10]
+  --alert-threshold X  |Δ‖U‖| counted as an exceedance [default 0.3]
+  --x KEY:MIN:MAX:N    sweep axis; KEY is one of strength, dim, gap, maxLevels, model.<param>
+  --y KEY:MIN:MAX:N    optional second sweep axis; every grid point must pass the
+                       run limits, and integer keys are rounded to the values run
+
+Output:
+  --format FMT         json | csv | ndjson      [default json]
+  --out FILE           write to FILE instead of stdout
+  --full               run + json: include the complete lossless run export
+  --chaos              run + json: add Lyapunov spectrum and chaotic-baseline report
+                       (−Infinity exponents, for collapsed directions, print as null)
+  -h, --help           show this help
+`;
+
+class UsageError extends Error {}
+
+const NUMBER_FLAGS = {
+  "--steps": "steps",
+  "--levels": "maxLevels",
+  "--t0": "t0",
+  "--t1": "t1",
+  "--strength": "strength",
+  "--dim": "dim",
+  "--seed": "seed",
+  "--obs-level": "obsLevel",
+};
+const STRING_FLAGS = {
+  "--model": "modelType",
+  "--system": "systemType",
+  "--retro-mode": "retroMode",
+  "--storage": "storage",
+};
+
+function parseNumber(flag, text) {
+  const n = Number(text);
+  if (text === undefined || text === "" || !Number.isFinite(n)) {
+    throw new UsageError(flag + " expects a number, got " + (text === undefined ? "nothing" : text));
+  }
+  return n;
+}
+
+function parseAxis(flag, text) {
+  const parts = (text || "").split(":");
+  if (parts.length !== 4) throw new UsageError(flag + " expects KEY:MIN:MAX:N, got " + text);
+  const [key, min, max, n] = parts;
+  const count = parseNumber(flag, n);
+  if (!Number.isInteger(count) || count < 1 || count > 100) {
+    throw new UsageError(flag + " grid size must be an integer in [1, 100], got " + n);
+  }
+  return { key, min: parseNumber(flag, min), max: parseNumber(flag, max), n: count };
+}
+
+function parseEvent(flag, text) {
+  const parts = (text || "").split(":");
+  if (parts.length < 2 || parts.length > 7) {
+    throw new UsageError(flag + " expects SOURCE:TARGET[:STRENGTH[:AT[:EVERY[:MODE[:MASK]]]]], got " + text);
+  }
+  const [source, target, strength, at, every, mode, mask] = parts;
+  const event = { source: parseNumber(flag, source), target: parseNumber(flag, target) };
+  if (strength) event.strength = parseNumber(flag, strength);
+  if (at) event.at = parseNumber(flag, at);
+  if (every) event.every = parseNumber(flag, every);
+  if (mode) event.mode = mode;
+  if (mask) event.mask = mask.split(",").map(m => parseNumber(flag, m.trim()));
+  return event;
+}
+
+function parseRule(flag, text) {
+  const parts = (text || "").split(":");
+  if (parts.length < 3 || parts.length > 4 || (parts[3] && parts[3] !== "abs")) {
+    throw new UsageError(flag + " expects METRIC:OP:VALUE[:abs], got " + text);
+  }
+  const [metric, op, value, abs] = parts;
+  return { metric, op, value: parseNumber(flag, value), abs: abs === "abs" };
+}
+
+function parseObserver(flag, text) {
+  const parts = (text || "").split(":");
+  if (parts.length > 7) {
+    throw new UsageError(flag + " expects LEVEL[:MEASURE[:FROM[:TO[:NOISE[:COLLAPSE[:COMPONENTS]]]]]], got " + text);
+  }
+  const [level, measure, from, to, noise, collapse, components] = parts;
+  const observer = { level: parseNumber(flag, level) };
+  if (measure) observer.measure = measure;
+  if (from) observer.from = parseNumber(flag, from);
+  if (to) observer.to = parseNumber(flag, to);
+  if (noise) observer.noise = parseNumber(flag, noise);
+  if (collapse) observer.collapse = parseNumber(flag, collapse);
+  if (components) observer.components = components.split(",").map(c => parseNumber(flag, c.trim()));
+  return observer;
+}
+
+function parseArgs(argv) {
+  const opts = {
+    command: null,
+    params: {},
+    modelParams: {},
+    count: 10,
+    alertThreshold: 0.3,
+    format: "json",
+    out: null,
+    full: false,
+    chaos: false,
+    axes: [],
+    rules: [],
+    wav: null,
+    sound: {},
+    help: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new UsageError(arg + " needs a value");
+      return argv[++i];
+    };
+    if (arg === "-h" || arg === "--help") {
+      opts.help = true;
+    } else if (NUMBER_FLAGS[arg]) {
+      opts.params[NUMBER_FLAGS[arg]] = parseNumber(arg, next());
+    } else if (STRING_FLAGS[arg]) {
+      opts.params[STRING_FLAGS[arg]] = next();
+    } else if (arg === "--param") {
+      const text = next();
+      const eq = text.indexOf("=");
+      if (eq <= 0) throw new UsageError("--param expects KEY=VALUE, got " + text);
+      const raw = text.slice(eq + 1);
+      const n = Number(raw);
+      opts.modelParams[text.slice(0, eq)] = raw !== "" && Number.isFinite(n) ? n : raw;
+    } else if (arg === "--weighting" || arg === "--extrapolate") {
+      opts.params.infinite = opts.params.infinite || {};
+      opts.params.infinite[arg === "--weighting" ? "weighting" : "extrapolation"] = next();
+    } else if (arg === "--ratio") {
+      opts.params.infinite = opts.params.infinite || {};
+      opts.params.infinite.ratio = parseNumber(arg, next());
+    } else if (arg === "--weights") {
+      opts.params.infinite = opts.params.infinite || {};
+      opts.params.infinite.weights = next().split(",").map(w => parseNumber(arg, w.trim()));
+      if (!opts.params.infinite.weighting) opts.params.infinite.weighting = "custom";
+    } else if (arg === "--event") {
+      opts.params.retroEvents = opts.params.retroEvents || [];
+      opts.params.retroEvents.push(parseEvent(arg, next()));
+    } else if (arg === "--observer") {
+      opts.params.observers = opts.params.observers || [];
+      opts.params.observers.push(parseObserver(arg, next()));
+    } else if (arg === "--rule") {
+      opts.rules.push(parseRule(arg, next()));
+    } else if (arg === "--wav") {
+      opts.wav = next();
+    } else if (arg === "--sound") {
+      const text = next();
+      const eq = text.indexOf("=");
+      if (eq <= 0) throw new UsageError("--sound expects KEY=VALUE, got " + text);
+      const key = text.slice(0, eq);
+      opts.sound[key] = key === "mapping" ? text.slice(eq + 1) : parseNumber(arg, text.slice(eq + 1));
+    } else if (arg === "--count") {
+      opts.count = parseNumber(arg, next());
+    } else if (arg === "--alert-threshold") {
+      opts.alertThreshold = parseNumber(arg, next());
+    } else if (arg === "--x" || arg === "--y") {
+      opts.axes[arg === "--x" ? 0 : 1] = parseAxis(arg, next());
+    } else if (arg === "--format") {
+      opts.format = next();
+    } else if (arg === "--out") {
+      opts.out = next();
+    } else if (arg === "--full") {
+      opts.full = true;
+    } else if (arg === "--chaos") {
+      opts.chaos = true;
+    } else if (arg.startsWith("-")) {
+      throw new UsageError("Unknown option " + arg);
+    } else if (!opts.command) {
+      opts.command = arg;
+    } else {
+      throw new UsageError("Unexpected argument " + arg);
+    }
+  }
+  return opts;
+}
+
+// Anchors left out follow --steps and --levels, so a short timeline or a
+// shallow stack runs with the defaults; values given explicitly are
+// validated as they are.
+function fitDefaults(params) {
+  const D = Engine.DEFAULT_PARAMS;
+  const steps = params.steps === undefined ? D.steps : params.steps;
+  const maxLevels = params.maxLevels === undefined ? D.maxLevels : params.maxLevels;
+  if (Number.isInteger(steps) && steps >= 2) {
+    if (params.t0 === undefined && D.t0 > steps - 2) params.t0 = Math.floor((steps - 1) / 4);
+    const t0 = params.t0 === undefined ? D.t0 : params.t0;
+    if (params.t1 === undefined && (D.t1 <= t0 || D.t1 > steps - 1)) {
+      params.t1 = Math.min(steps - 1, Math.max(t0 + 1, Math.floor((3 * (steps - 1)) / 4)));
+    }
+  }
+  if (Number.isInteger(maxLevels) && maxLevels >= 1 && params.obsLevel === undefined && D.obsLevel >= maxLevels) {
+    params.obsLevel = maxLevels - 1;
+  }
+  return params;
+}
+
+function validate(opts) {
+  if (!["run", "ensemble", "sweep"].includes(opts.command)) {
+    throw new UsageError(
+      opts.command ? "Unknown command " + opts.command : "Missing command (run, ensemble or sweep)"
+    );
+  }
+  if (!["json", "csv", "ndjson"].includes(opts.format)) {
+    throw new UsageError("--format must be json, csv or ndjson, got " + opts.format);
+  }
+  const params = fitDefaults(Object.assign({}, opts.params));
+  if (Object.keys(opts.modelParams).length) params.modelParams = opts.modelParams;
+  const errors = Engine.validateParams(params);
+  Engine.validateRules(opts.rules).forEach(e => errors.push(e));
+  Sonifier.validateSound(opts.sound).forEach(e => errors.push(e));
+  Object.keys(opts.sound).forEach((key) => {
+    if (!(key in Sonifier.SOUND_DEFAULTS)) {
+      errors.push("--sound key must be one of " + Object.keys(Sonifier.SOUND_DEFAULTS).join(", ") + ", got " + key);
+    }
+  });
+  if (opts.wav && opts.command !== "run") errors.push("--wav only applies to run");
+  if (opts.command !== "run") {
+    const limits = Engine.PARAM_LIMITS.ensemble;
+    if (!Number.isInteger(opts.count) || opts.count < limits.min || opts.count > limits.max) {
+      errors.push("count must be an integer in [" + limits.min + ", " + limits.max + "], got " + opts.count);
+    }
+    if (opts.alertThreshold < 0) {
+      errors.push("alert-threshold must be ≥ 0, got " + opts.alertThreshold);
+    }
+  }
+  if (opts.command === "sweep") {
+    if (!opts.axes[0]) errors.push("sweep needs --x KEY:MIN:MAX:N");
+    const modelType = params.modelType || Engine.DEFAULT_PARAMS.modelType;
+    const keys = Engine.sweepKeys(modelType).map(k => k.key);
+    opts.axes.filter(Boolean).forEach((axis) => {
+      if (!keys.includes(axis.key)) {
+        errors.push("sweep axis must be one of " + keys.join(", ") + ", got " + axis.key);
+      }
+    });
+    // every grid point must be a run validateParams accepts
+    if (!errors.length) {
+      try {
+        Engine.sweepCells(params, sweepAxes(opts, modelType));
+      } catch (err) {
+        errors.push(err.message);
+      }
+    }
+  }
+  if (errors.length) throw new UsageError(errors.join("\n"));
+  return params;
+}
+
+// the values each axis runs with (integer keys rounded)
+function sweepAxes(opts, modelType) {
+  return opts.axes.filter(Boolean).map(a => Engine.sweepAxis(a.key, a.min, a.max, a.n, modelType));
+}
+
+function runSummary(result) {
+  const keys = [
+    "norm_before",
+    "norm_after",
+    "delta_norm",
+    "energy_before",
+    "energy_after",
+    "delta_energy",
+    "inf_norm",
+    "delta_inf_norm",
+    "obs_norm",
+    "delta_obs_norm",
+  ];
+  const out = { params: result.params, seed: result.seed };
+  keys.forEach((k) => {
+    out[k] = result[k];
+  });
+  out.energy_drift = result.energy_drift;
+  const conv = result.inf_convergence;
+  out.inf_convergence = {
+    weighting: conv.weighting,
+    extrapolation: conv.extrapolation,
+    levels: conv.levels,
+    estimate_norm: conv.estimate_norm,
+    error: conv.error,
+    converged: conv.converged,
+  };
+  out.events = result.universe.events;
+  if (result.retro_events.length) out.retro_events = result.retro_events;
+  if (result.observers.length) out.observers = result.observers;
+  if (result.solver) {
+    out.solver = {
+      status: result.solver.status,
+      iterations: result.solver.iterations,
+      residual: result.solver.residual,
+    };
+  }
+  return out;
+}
+
+// Plain JS synthesis: no audio device or OfflineAudioContext needed.
+function writeWav(file, result, sound) {
+  const score = Sonifier.buildScore(result, sound);
+  const samples = Sonifier.renderSamples(score, WAV_SAMPLE_RATE);
+  fs.writeFileSync(file, Buffer.from(Sonifier.encodeWav(samples, WAV_SAMPLE_RATE)));
+  return {
+    file,
+    sampleRate: WAV_SAMPLE_RATE,
+    duration: score.duration,
+    mapping: score.mapping,
+    voices: score.voices.map(v => v.label),
+    transients: score.transients.map(({ t, time, strength, label }) => ({ t, time, strength, label })),
+  };
+}
+
+function execute(opts, params) {
+  if (opts.command === "run") {
+    const result = Engine.runUniverse(params);
+    const conv = result.inf_convergence;
+    if (params.infinite && !conv.converged) {
+      process.stderr.write(
+        "warning: infinite-level estimate not converged (" + conv.weighting + ", " + conv.extrapolation +
+          "): relative spread " + conv.error + " > " + conv.tolerance + " over the last quarter of levels\n"
+      );
+    }
+    const sound = opts.wav ? writeWav(opts.wav, result, opts.sound) : null;
+    if (opts.format !== "json") return Engine.runTable(result);
+    const output = opts.full ? Engine.serializeRun(result) : runSummary(result);
+    if (opts.chaos) {
+      const chaos = Engine.chaos_diagnostics(result);
+      output.chaos = {
+        epsilon: chaos.epsilon,
+        largest: chaos.largest,
+        spectrum: chaos.spectrum,
+        collapsed: chaos.collapsed,
+        baseline: chaos.baseline,
+        finite_time: chaos.finite_time,
+        divergence_median: chaos.divergence.median,
+      };
+    }
+    if (opts.rules.length) output.detections = Engine.evaluateRules(opts.rules, "run", result);
+    if (sound) output.sonification = sound;
+    return output;
+  }
+
+  if (opts.command === "ensemble") {
+    const ensemble = Engine.runEnsemble(params, opts.count, opts.alertThreshold);
+    if (opts.format !== "json") return Engine.ensembleTable(ensemble.members);
+    const report = Engine.analyzeEnsemble(ensemble.members, {
+      alertThreshold: opts.alertThreshold,
+      seed: ensemble.params.seed,
+    });
+    const output = { params: ensemble.params, count: ensemble.count, report, members: ensemble.members };
+    if (opts.rules.length) output.detections = Engine.evaluateRules(opts.rules, "ensemble", ensemble);
+    return output;
+  }
+
+  const resolved = Engine.resolveParams(params);
+  const axes = sweepAxes(opts, resolved.modelType);
+  const cells = Engine.runSweep(resolved, axes, opts.count, opts.alertThreshold);
+  const rows = cells.map(c => ({
+    i: c.i,
+    j: c.j,
+    x: c.x,
+    y: c.y,
+    meanDelta: c.meanDelta,
+    meanInf: c.meanInf,
+    varInf: c.varInf,
+    exceedFraction: c.exceedFraction,
+  }));
+  if (opts.format !== "json") {
+    return { columns: ["i", "j", "x", "y", "meanDelta", "meanInf", "varInf", "exceedFraction"], rows };
+  }
+  return { params: resolved, axes, count: opts.count, cells: rows };
+}
+
+function format(opts, output) {
+  if (opts.format === "csv") return Engine.toCSV(output);
+  if (opts.format === "ndjson") return Engine.toNDJSON(output);
+  return JSON.stringify(output, null, 2) + "\n";
+}
+
+function main(argv) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+    if (opts.help) {
+      process.stdout.write(USAGE);
+      return 0;
+    }
+    const params = validate(opts);
+    const text = format(opts, execute(opts, params));
+    if (opts.out) {
+      fs.writeFileSync(opts.out, text);
+    } else {
+      process.stdout.write(text);
+    }
+    return 0;
+  } catch (err) {
+    if (err instanceof UsageError) {
+      process.stderr.write("error: " + err.message + "\n\n" + USAGE);
+      return 2;
+    }
+    process.stderr.write("error: " + (err && err.message ? err.message : err) + "\n");
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, parseArgs };
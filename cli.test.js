@@ -0,0 +1,68 @@
+/*
+ * Command-line argument handling. Run with: node --test
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const path = require("path");
+
+function cli(args) {
+  const out = spawnSync(process.execPath, [path.join(__dirname, "cli.js")].concat(args), { encoding: "utf8" });
+  return { status: out.status, stdout: out.stdout, stderr: out.stderr };
+}
+
+test("default anchors fit a short timeline and a shallow stack", () => {
+  const levels = cli(["run", "--seed", "1", "--levels", "6"]);
+  assert.equal(levels.status, 0, levels.stderr);
+  assert.equal(JSON.parse(levels.stdout).params.obsLevel, 5);
+
+  const steps = cli(["run", "--seed", "1", "--steps", "20"]);
+  assert.equal(steps.status, 0, steps.stderr);
+  const p = JSON.parse(steps.stdout).params;
+  assert.ok(p.t0 < p.t1 && p.t1 <= 19, JSON.stringify(p));
+
+  const shortest = cli(["run", "--seed", "1", "--steps", "10", "--levels", "5"]);
+  assert.equal(shortest.status, 0, shortest.stderr);
+});
+
+test("defaults that already fit are kept", () => {
+  const out = cli(["run", "--seed", "1", "--steps", "100"]);
+  const p = JSON.parse(out.stdout).params;
+  assert.deepEqual([p.t0, p.t1, p.obsLevel], [30, 90, 10]);
+});
+
+test("explicit out-of-range anchors are still rejected", () => {
+  const t0 = cli(["run", "--steps", "20", "--t0", "25"]);
+  assert.equal(t0.status, 2);
+  assert.match(t0.stderr, /t0 must be/);
+  const obs = cli(["run", "--levels", "6", "--obs-level", "6"]);
+  assert.equal(obs.status, 2);
+  assert.match(obs.stderr, /obsLevel must be/);
+});
+
+test("--count follows the engine's ensemble limits", () => {
+  const one = cli(["ensemble", "--count", "1", "--steps", "20"]);
+  assert.equal(one.status, 2);
+  assert.match(one.stderr, /count must be an integer in \[2, /);
+  const two = cli(["ensemble", "--count", "2", "--steps", "20", "--seed", "1"]);
+  assert.equal(two.status, 0, two.stderr);
+  assert.equal(JSON.parse(two.stdout).count, 2);
+});
+
+test("sweep grid points are validated like a run", () => {
+  [
+    [["--x", "dim:300:300:1"], /dim sweep values must be in \[2, 256\]/],
+    [["--x", "strength:-5:-1:2"], /strength sweep values must be ≥ 0/],
+    [["--x", "maxLevels:1:2:2"], /maxLevels sweep values must be in \[5, 400\]/],
+    [["--x", "gap:1:200:2"], /Sweep point gap = 200: t1 must be/],
+  ].forEach(([args, message]) => {
+    const out = cli(["sweep", "--count", "2", "--steps", "20"].concat(args));
+    assert.equal(out.status, 2, args.join(" "));
+    assert.match(out.stderr, message);
+  });
+  const ok = cli(["sweep", "--count", "2", "--steps", "20", "--seed", "1", "--x", "dim:2:4:5"]);
+  assert.equal(ok.status, 0, ok.stderr);
+  const data = JSON.parse(ok.stdout);
+  assert.deepEqual(data.axes[0].values, [2, 3, 4]);
+  assert.deepEqual(data.cells.map(c => c.x), [2, 3, 4]);
+});
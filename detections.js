@@ -0,0 +1,183 @@
+/*
+ * Time-travel detections: rule checks, event log, toasts and listeners.
+ *
+ * const center = new DetectionCenter(logEl, toastEl, { actions: { pause, snapshot, sound } });
+ * center.setRules(rules);                       // see Engine.evaluateRules
+ * center.check("run", result, { seed, params }); // after every run
+ * center.check("ensemble", summary, { seed, params });
+ * center.watch("run", result, { seed, params }); // every frame of an evolving run
+ * const off = center.onDetection(detection => { ... });
+ *
+ * Nothing here blocks the page: every detection is appended to the log, shown
+ * as a toast (a repeat of a visible toast bumps its counter instead), passed
+ * to the listeners and dispatched on window as a "universe-detection"
+ * CustomEvent. Actions run once per check however many rules asked for them.
+ * watch() only fires the rules that have started to hold since the last
+ * check or watch of that source, so a rule that keeps holding while a run
+ * evolves fires once.
+ */
+(function () {
+  const Engine = window.LivingUniverseEngine;
+  const LOG_RENDER_LIMIT = 100;
+  const TOAST_LIMIT = 4;
+  const TOAST_MS = 4000;
+
+  function fmtValue(v) {
+    return Math.abs(v) >= 1e-3 || v === 0 ? v.toFixed(4) : v.toExponential(2);
+  }
+
+  class DetectionCenter {
+    constructor(logEl, toastEl, options = {}) {
+      this.logEl = logEl;
+      this.toastEl = toastEl;
+      this.actions = options.actions || {};
+      this.rules = [];
+      this.log = [];
+      this.listeners = [];
+      this.toasts = [];
+      this.nextId = 1;
+      // rule indices that held at the last check, per source
+      this.holding = {};
+      this.onChange = options.onChange || null;
+    }
+
+    setRules(rules) {
+      this.rules = (rules || []).slice();
+      this.holding = {};
+    }
+
+    onDetection(fn) {
+      this.listeners.push(fn);
+      return () => {
+        this.listeners = this.listeners.filter(l => l !== fn);
+      };
+    }
+
+    check(source, data, context = {}) {
+      const found = Engine.evaluateRules(this.rules, source, data);
+      this.holding[source] = new Set(found.map(d => d.index));
+      return this._fire(found, data, context);
+    }
+
+    watch(source, data, context = {}) {
+      const held = this.holding[source] || new Set();
+      const found = Engine.evaluateRules(this.rules, source, data);
+      this.holding[source] = new Set(found.map(d => d.index));
+      return this._fire(found.filter(d => !held.has(d.index)), data, context);
+    }
+
+    _fire(found, data, context) {
+      if (!found.length) return [];
+      const params = context.params || {};
+      const detections = found.map(d => Object.assign(d, {
+        id: this.nextId++,
+        time: Date.now(),
+        seed: context.seed,
+        modelType: params.modelType,
+        t0: params.t0,
+        t1: params.t1,
+      }));
+
+      const wanted = new Set();
+      detections.forEach((d) => {
+        this.log.push(d);
+        if (d.actions.includes("toast")) this._toast(d);
+        d.actions.forEach(a => wanted.add(a));
+        this.listeners.forEach((fn) => {
+          try {
+            fn(d);
+          } catch (_) {
+            // a faulty listener must not stop the others
+          }
+        });
+        if (typeof window.CustomEvent === "function" && window.dispatchEvent) {
+          window.dispatchEvent(new CustomEvent("universe-detection", { detail: d }));
+        }
+      });
+      wanted.delete("toast");
+      wanted.forEach((action) => {
+        const fn = this.actions[action];
+        if (!fn) return;
+        try {
+          fn(detections, data);
+        } catch (_) {
+          // actions are best effort (downloads and audio can be refused)
+        }
+      });
+      this.render();
+      return detections;
+    }
+
+    clear() {
+      this.log = [];
+      this.render();
+    }
+
+    // one row per detection, for Engine.toCSV / toNDJSON
+    table() {
+      const columns = ["id", "time", "source", "seed", "modelType", "t0", "t1", "metric", "value", "threshold", "rule"];
+      const rows = this.log.map(d => ({
+        id: d.id,
+        time: new Date(d.time).toISOString(),
+        source: d.source,
+        seed: d.seed,
+        modelType: d.modelType,
+        t0: d.t0,
+        t1: d.t1,
+        metric: d.metric,
+        value: d.value,
+        threshold: d.threshold,
+        rule: d.text,
+      }));
+      return { columns, rows };
+    }
+
+    describe(d) {
+      return d.text + " — " + fmtValue(d.value) + (d.seed !== undefined ? " (seed " + d.seed + ")" : "");
+    }
+
+    _toast(d) {
+      if (!this.toastEl) return;
+      const existing = this.toasts.find(t => t.index === d.index && t.source === d.source);
+      if (existing) {
+        existing.count++;
+        existing.el.textContent = this.describe(d) + " ×" + existing.count;
+        clearTimeout(existing.timer);
+        existing.timer = setTimeout(() => this._dismiss(existing), TOAST_MS);
+        return;
+      }
+      const el = document.createElement("div");
+      el.className = "toast";
+      el.setAttribute("role", "status");
+      el.textContent = this.describe(d);
+      const toast = { index: d.index, source: d.source, count: 1, el, timer: null };
+      el.addEventListener("click", () => this._dismiss(toast));
+      toast.timer = setTimeout(() => this._dismiss(toast), TOAST_MS);
+      this.toastEl.appendChild(el);
+      this.toasts.push(toast);
+      while (this.toasts.length > TOAST_LIMIT) this._dismiss(this.toasts[0]);
+    }
+
+    _dismiss(toast) {
+      clearTimeout(toast.timer);
+      this.toasts = this.toasts.filter(t => t !== toast);
+      if (toast.el.parentNode) toast.el.parentNode.removeChild(toast.el);
+    }
+
+    render() {
+      if (this.onChange) this.onChange(this.log);
+      if (!this.logEl) return;
+      this.logEl.innerHTML = "";
+      this.log.slice(-LOG_RENDER_LIMIT).reverse().forEach((d) => {
+        const row = document.createElement("div");
+        row.className = "detection-row";
+        row.textContent =
+          "#" + d.id + " " + new Date(d.time).toLocaleTimeString() + " · " +
+          (d.source === "ensemble" ? "ensemble · " : "") + this.describe(d);
+        this.logEl.appendChild(row);
+      });
+    }
+  }
+
+  window.DetectionCenter = DetectionCenter;
+})();
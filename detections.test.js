@@ -0,0 +1,44 @@
+/*
+ * DetectionCenter in a window-like sandbox. Run with: node --test
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const Engine = require("./engine.js");
+
+const SOURCE = fs.readFileSync(path.join(__dirname, "detections.js"), "utf8");
+
+function loadCenter(actions) {
+  const sandbox = { LivingUniverseEngine: Engine };
+  sandbox.window = sandbox;
+  vm.runInNewContext(SOURCE, sandbox);
+  const center = new sandbox.DetectionCenter(null, null, { actions });
+  center.setRules([
+    { metric: "delta_norm", op: ">=", value: 0.3, abs: true, actions: ["snapshot"] },
+    { metric: "energy_drift", op: ">", value: 0.5, actions: [] },
+  ]);
+  return center;
+}
+
+test("a watched rule fires when it starts to hold, not on every frame", () => {
+  let snapshots = 0;
+  const center = loadCenter({ snapshot: () => snapshots++ });
+  const frame = (delta, drift) => center.watch("run", { delta_norm: delta, energy_drift: { max: drift } }).length;
+  assert.equal(frame(0.5, 0), 1);
+  assert.equal(frame(0.5, 0), 0);
+  assert.equal(frame(0.5, 0.6), 1);
+  assert.equal(frame(0.1, 0.7), 0);
+  assert.equal(frame(0.4, 0.7), 1);
+  assert.equal(snapshots, 2);
+  assert.equal(center.log.length, 3);
+});
+
+test("a checked run counts as held for the frames that evolve it", () => {
+  const center = loadCenter({});
+  const run = { delta_norm: 0.5, energy_drift: { max: 0 } };
+  assert.equal(center.check("run", run).length, 1);
+  assert.equal(center.watch("run", run).length, 0);
+  assert.equal(center.check("run", run).length, 1);
+});
@@ -0,0 +1,3255 @@
+/*
+ * Living Universe Engine — headless physics core.
+ *
+ * No DOM, alert or storage access: the same file is loaded by index.html
+ * (as window.LivingUniverseEngine), by Web Workers via importScripts, and by
+ * Node via require("./engine.js"). engine.test.js checks its invariants
+ * (node --test).
+ *
+ * API
+ *   new LivingUniverse(dim, modelType, systemType, seed, initial, modelParams, storage)
+ *     .run(steps, maxLevel) / .step(t, maxLevel)
+ *     .get_state(t, level) / .levelsAt(t) / .infinite_state(t)
+ *     history and levels live in Float64Array buffers (see LevelStore);
+ *     storage { mode: "window", pin } keeps only the steps still needed
+ *   infinite_convergence(universe, t, { weighting, extrapolation, ... })
+ *     -> partial-sum norms per level count, Aitken/Richardson limits, converged
+ *   retro_influence(universe, t_future, t_past, strength)
+ *   retro_influence_consistent(universe, t_future, t_past, strength)
+ *     -> { history_before, levels_before, distance, norm_delta, level_distance }
+ *   universe.schedule(retroEvents, steps) -> retro events fired during evolution
+ *   solve_self_consistent(universe, t_future, t_past, strength, options)
+ *     -> { status, converged, diverged, oscillated, iterations, residual, residuals, diff }
+ *   new Observer(universe, level, { measure, components, from, to, noise, collapse })
+ *     .perceive(t) / .read(t); universe.addObserver(level, options) records
+ *     readings while stepping (collapse feeds back into the evolution)
+ *   registerModel({ id, label, params, init, evolve, energy, observe?, observables?, phase? }) / listModels()
+ *   modelEnergy(modelType, state, modelParams)
+ *   runUniverse(params)    -> one full retrocausal experiment (see below)
+ *   runWork(params) -> estimated level updates of that run, for time budgets
+ *   extendRun(result, count) -> the same universe stepped count steps further
+ *   runEnsemble(params, count, alertThreshold) -> ensemble summary + members
+ *   analyzeEnsemble(members, { alertThreshold }) -> quantiles, bootstrap CIs,
+ *     histograms and KDEs for every per-universe metric
+ *   evaluateRules(rules, "run" | "ensemble", result) -> detections for the
+ *     rules { metric, op, value, abs, actions } that fire (see DETECTION_METRICS)
+ *   serializeRun(result) / deserializeRun(data) -> versioned JSON round trip;
+ *     deserializeRun throws on invalid params or a malformed universe
+ *   encodeRunBinary(data) / decodeRunBinary(buffer) -> compact ArrayBuffer form
+ *   encodeParamsHash(params) / decodeParamsHash(hash) -> shareable URL hash
+ *   presetFile(presets) / readPresetFile(data) -> named parameter sets as JSON
+ *   runDigest(result) -> params, seed, metrics and a thinned ‖U(t)‖ for run logs
+ *   runTable(result) / ensembleTable(members) -> { columns, rows }
+ *   levelNormGrid(universe, previous?) -> { steps, levels, values, lo, hi } (‖level‖ per t,
+ *     NaN if not kept); pass the grid from before extendRun to measure only new steps
+ *   phaseSpace(result) -> { kind, xLabel, yLabel, plots: [{ label, before, after, t0 }] }
+ *   chaos_diagnostics(result, { epsilon, exponents, window, twins })
+ *     -> Lyapunov spectrum, finite-time spectra, twin divergence curves and
+ *        the retro effect against that chaotic baseline
+ *   toCSV(table) / toNDJSON(table)
+ *   sweepAxis(key, min, max, n, modelType) -> { key, values } within the key's bounds
+ *   runSweep(params, [{ key, values }, ...], count) -> one ensemble per grid cell
+ *   runEnsembleMember(params, seed) / createEnsembleStats() — the pieces
+ *     runEnsemble is built from, for callers that stream (see ensemble-pool.js)
+ *
+ * params: { steps, maxLevels, t0, t1, strength, obsLevel, dim,
+ *           modelType, modelParams, systemType, seed,
+ *           retroMode: "local" | "consistent" | "fixed-point",
+ *           solver: { tolerance, maxIterations, relaxation, divergeLimit },
+ *           storage: "auto" | "full" | "window",
+ *           infinite: { weighting, ratio, weights, extrapolation, tolerance },
+ *           retroEvents: [{ source, target, strength, mask, at, every, mode }],
+ *           observers: [{ level, from, to, measure, components, noise, collapse, label }] }
+ * validateParams(params) lists range problems against PARAM_LIMITS.
+ * Missing fields fall back to DEFAULT_PARAMS; a missing seed is drawn at random
+ * and reported back in the result so the run can be replayed.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LivingUniverseEngine = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const DEFAULT_DIM = 10;
+  const DEFAULT_LEVELS = 50;
+  const DEFAULT_STEPS = 100;
+
+  const DEFAULT_PARAMS = {
+    steps: 120,
+    maxLevels: 60,
+    t0: 30,
+    t1: 90,
+    strength: 0.02,
+    obsLevel: 10,
+    dim: DEFAULT_DIM,
+    modelType: "nonlinear",
+    systemType: "isolated",
+    seed: null,
+    modelParams: null,
+    retroMode: "local",
+    solver: null,
+    storage: "auto",
+    infinite: null,
+    retroEvents: null,
+    observers: null,
+  };
+
+  // Accepted ranges, shared by the page's form clamping and the CLI's validation.
+  const PARAM_LIMITS = {
+    steps: { min: 10, max: 20000 },
+    maxLevels: { min: 5, max: 400 },
+    dim: { min: 2, max: 256 },
+    ensemble: { min: 2, max: 5000 },
+  };
+  const SYSTEM_TYPES = ["isolated", "closed", "open"];
+  const RETRO_MODES = ["local", "consistent", "fixed-point"];
+  // "auto" keeps every level while that fits FULL_STORAGE_BUDGET bytes and
+  // falls back to a sliding window (see LevelStore) beyond it.
+  const STORAGE_MODES = ["auto", "full", "window"];
+  const FULL_STORAGE_BUDGET = 256 * 1024 * 1024;
+
+  function levelStorageBytes(p) {
+    return p.steps * p.maxLevels * p.dim * 8;
+  }
+
+  function resolveStorageMode(p) {
+    if (p.storage === "full" || p.storage === "window") return p.storage;
+    return levelStorageBytes(p) <= FULL_STORAGE_BUDGET ? "full" : "window";
+  }
+
+  // Human-readable problems with a params object; empty when it is usable.
+  function validateParams(params) {
+    const p = Object.assign({}, DEFAULT_PARAMS, params || {});
+    const errors = [];
+    const isInt = v => Number.isInteger(v);
+    const inRange = (key, limits) => {
+      const v = p[key];
+      if (!isInt(v) || v < limits.min || v > limits.max) {
+        errors.push(key + " must be an integer in [" + limits.min + ", " + limits.max + "], got " + v);
+      }
+    };
+    inRange("steps", PARAM_LIMITS.steps);
+    inRange("maxLevels", PARAM_LIMITS.maxLevels);
+    inRange("dim", PARAM_LIMITS.dim);
+    if (!isInt(p.t0) || p.t0 < 0 || p.t0 >= p.steps) {
+      errors.push("t0 must be an integer in [0, steps - 1], got " + p.t0);
+    }
+    if (!isInt(p.t1) || p.t1 <= p.t0 || p.t1 >= p.steps) {
+      errors.push("t1 must be an integer with t0 < t1 ≤ steps - 1, got " + p.t1);
+    }
+    if (!isInt(p.obsLevel) || p.obsLevel < 0 || p.obsLevel >= p.maxLevels) {
+      errors.push("obsLevel must be an integer in [0, maxLevels - 1], got " + p.obsLevel);
+    }
+    if (typeof p.strength !== "number" || !Number.isFinite(p.strength) || p.strength < 0) {
+      errors.push("strength must be a finite number ≥ 0, got " + p.strength);
+    }
+    if (!hasModel(p.modelType)) {
+      errors.push("model must be one of " + Object.keys(MODELS).join(", ") + ", got " + p.modelType);
+    }
+    if (!SYSTEM_TYPES.includes(p.systemType)) {
+      errors.push("system must be one of " + SYSTEM_TYPES.join(", ") + ", got " + p.systemType);
+    }
+    if (!RETRO_MODES.includes(p.retroMode)) {
+      errors.push("retroMode must be one of " + RETRO_MODES.join(", ") + ", got " + p.retroMode);
+    }
+    if (p.infinite) {
+      const inf = resolveInfinite(p.infinite);
+      if (!INF_WEIGHTINGS.includes(inf.weighting)) {
+        errors.push("infinite.weighting must be one of " + INF_WEIGHTINGS.join(", ") + ", got " + inf.weighting);
+      }
+      if (!INF_EXTRAPOLATIONS.includes(inf.extrapolation)) {
+        errors.push(
+          "infinite.extrapolation must be one of " + INF_EXTRAPOLATIONS.join(", ") + ", got " + inf.extrapolation
+        );
+      }
+      if (inf.weighting === "geometric" && !(inf.ratio > 0 && inf.ratio < 1)) {
+        errors.push("infinite.ratio must be in (0, 1), got " + inf.ratio);
+      }
+      if (
+        inf.weighting === "custom" &&
+        (!Array.isArray(inf.weights) || !inf.weights.length || !inf.weights.every(Number.isFinite))
+      ) {
+        errors.push("infinite.weights must be a non-empty list of finite numbers");
+      }
+      if (!(inf.tolerance > 0)) {
+        errors.push("infinite.tolerance must be > 0, got " + inf.tolerance);
+      }
+    }
+    if (p.retroEvents) {
+      validateRetroEvents(p, errors);
+    }
+    if (p.observers) {
+      validateObservers(p, errors);
+    }
+    if (!STORAGE_MODES.includes(p.storage)) {
+      errors.push("storage must be one of " + STORAGE_MODES.join(", ") + ", got " + p.storage);
+    } else if (p.storage === "full" && levelStorageBytes(p) > FULL_STORAGE_BUDGET) {
+      errors.push(
+        "full storage needs " + Math.ceil(levelStorageBytes(p) / 1048576) + " MiB of levels (budget " +
+          FULL_STORAGE_BUDGET / 1048576 + " MiB); use storage window or auto"
+      );
+    }
+    if (p.seed !== null && p.seed !== undefined && (!isInt(p.seed) || p.seed < 0 || p.seed > 4294967295)) {
+      errors.push("seed must be an integer in [0, 4294967295], got " + p.seed);
+    }
+    if (hasModel(p.modelType) && p.modelParams) {
+      const specs = getModel(p.modelType).params;
+      Object.keys(p.modelParams).forEach((key) => {
+        const spec = specs.find(sp => sp.key === key);
+        const v = p.modelParams[key];
+        if (!spec) {
+          errors.push("model " + p.modelType + " has no parameter " + key);
+        } else if (spec.options) {
+          if (!spec.options.some(o => o.value === v)) {
+            errors.push(key + " must be one of " + spec.options.map(o => o.value).join(", ") + ", got " + v);
+          }
+        } else if (typeof v !== "number" || !Number.isFinite(v) ||
+          (spec.min !== undefined && v < spec.min) || (spec.max !== undefined && v > spec.max)) {
+          errors.push(key + " must be a number in [" + spec.min + ", " + spec.max + "], got " + v);
+        }
+      });
+    }
+    return errors;
+  }
+
+  function validateRetroEvents(p, errors) {
+    const isInt = v => Number.isInteger(v);
+    if (!Array.isArray(p.retroEvents)) {
+      errors.push("retroEvents must be a list of events");
+      return;
+    }
+    if (p.retroEvents.length > RETRO_EVENT_LIMITS.events) {
+      errors.push("at most " + RETRO_EVENT_LIMITS.events + " retro events, got " + p.retroEvents.length);
+    }
+    p.retroEvents.forEach((e, i) => {
+      const name = "retroEvents[" + i + "]";
+      if (!e || !isInt(e.target) || !isInt(e.source) || e.target < 0 || e.source <= e.target || e.source >= p.steps) {
+        errors.push(name + " needs integers 0 ≤ target < source ≤ steps - 1, got " +
+          (e ? "target " + e.target + ", source " + e.source : e));
+        return;
+      }
+      if (e.at !== undefined && e.at !== null && (!isInt(e.at) || e.at < e.source || e.at >= p.steps)) {
+        errors.push(name + ".at must be an integer in [source, steps - 1], got " + e.at);
+      }
+      if (e.every !== undefined && e.every !== null && e.every !== 0 && (!isInt(e.every) || e.every < 1)) {
+        errors.push(name + ".every must be a positive integer, got " + e.every);
+      }
+      if (e.strength !== undefined && (typeof e.strength !== "number" || !Number.isFinite(e.strength))) {
+        errors.push(name + ".strength must be a finite number, got " + e.strength);
+      }
+      if (e.mode !== undefined && !RETRO_EVENT_MODES.includes(e.mode)) {
+        errors.push(name + ".mode must be one of " + RETRO_EVENT_MODES.join(", ") + ", got " + e.mode);
+      }
+      if (e.mask !== undefined && e.mask !== null &&
+        (!Array.isArray(e.mask) || !e.mask.every(c => isInt(c) && c >= 0 && c < p.dim))) {
+        errors.push(name + ".mask must list component indices in [0, dim - 1]");
+      }
+    });
+    if (expandRetroEvents(p.retroEvents, p.steps).length >= RETRO_EVENT_LIMITS.occurrences) {
+      errors.push("retro events repeat more than " + RETRO_EVENT_LIMITS.occurrences + " times; raise `every`");
+    }
+  }
+
+  function validateObservers(p, errors) {
+    const isInt = v => Number.isInteger(v);
+    if (!Array.isArray(p.observers)) {
+      errors.push("observers must be a list of observers");
+      return;
+    }
+    if (p.observers.length > OBSERVER_LIMIT) {
+      errors.push("at most " + OBSERVER_LIMIT + " observers, got " + p.observers.length);
+    }
+    p.observers.forEach((o, i) => {
+      const name = "observers[" + i + "]";
+      if (!o || !isInt(o.level) || o.level < 0 || o.level >= p.maxLevels) {
+        errors.push(name + ".level must be an integer in [0, maxLevels - 1], got " + (o ? o.level : o));
+        return;
+      }
+      const from = o.from === undefined || o.from === null ? 0 : o.from;
+      const to = o.to === undefined || o.to === null ? p.steps - 1 : o.to;
+      if (!isInt(from) || !isInt(to) || from < 0 || to < from || to >= p.steps) {
+        errors.push(name + " window needs integers 0 ≤ from ≤ to ≤ steps - 1, got " + from + ".." + to);
+      }
+      const measure = o.measure || "norm";
+      if (!OBSERVER_MEASURES.includes(measure)) {
+        errors.push(name + ".measure must be one of " + OBSERVER_MEASURES.join(", ") + ", got " + measure);
+      }
+      if (o.components !== undefined && o.components !== null &&
+        (!Array.isArray(o.components) || !o.components.every(c => isInt(c) && c >= 0 && c < p.dim))) {
+        errors.push(name + ".components must list component indices in [0, dim - 1]");
+      } else if (measure === "projection" && !(o.components && o.components.length)) {
+        errors.push(name + " projection needs at least one component");
+      }
+      if (o.noise !== undefined && !(o.noise >= 0 && Number.isFinite(o.noise))) {
+        errors.push(name + ".noise must be a finite number ≥ 0, got " + o.noise);
+      }
+      if (o.collapse !== undefined && !(o.collapse >= 0 && o.collapse <= 1)) {
+        errors.push(name + ".collapse must be in [0, 1], got " + o.collapse);
+      }
+    });
+  }
+
+  function zeros(len) {
+    return new Array(len).fill(0);
+  }
+
+  // mulberry32: small, fast, and bit-identical across JS engines
+  function makeRng(seed) {
+    let a = seed >>> 0;
+    return function () {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+
+  function normalizeSeed(seed) {
+    const n = Number(seed);
+    if (seed === null || seed === undefined || seed === "" || !Number.isFinite(n)) {
+      return randomSeed();
+    }
+    return Math.floor(Math.abs(n)) >>> 0;
+  }
+
+  // Per-step stream: re-evolving from any t replays exactly the same noise.
+  function stepSeed(seed, t) {
+    let h = (seed ^ Math.imul(t + 1, 0x9e3779b1)) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
+  }
+
+  function randVec(len, rng) {
+    return Array.from({ length: len }, () => rng());
+  }
+
+  function sinVec(v) {
+    return v.map(Math.sin);
+  }
+
+  function cosVec(v) {
+    return v.map(Math.cos);
+  }
+
+  function addVec(a, b) {
+    return a.map((x, i) => x + b[i]);
+  }
+
+  function subVec(a, b) {
+    return a.map((x, i) => x - b[i]);
+  }
+
+  function scaleVec(v, s) {
+    return v.map(x => x * s);
+  }
+
+  function blendVec(a, b, alpha) {
+    const oneMinus = 1 - alpha;
+    return a.map((x, i) => oneMinus * x + alpha * b[i]);
+  }
+
+  function norm(v) {
+    let acc = 0;
+    for (let i = 0; i < v.length; i++) {
+      acc += v[i] * v[i];
+    }
+    return Math.sqrt(acc);
+  }
+
+  // ‖b − a‖ without materialising the difference.
+  function distance(a, b) {
+    let acc = 0;
+    for (let i = 0; i < a.length; i++) {
+      const d = b[i] - a[i];
+      acc += d * d;
+    }
+    return Math.sqrt(acc);
+  }
+
+  // In-place kernels: write into `out` (which may be `a`) and return it.
+  function blendInto(out, a, b, alpha) {
+    const oneMinus = 1 - alpha;
+    for (let i = 0; i < out.length; i++) out[i] = oneMinus * a[i] + alpha * b[i];
+    return out;
+  }
+
+  // out = a + s (b − a): a step of fraction s from a toward b.
+  function nudgeInto(out, a, b, s) {
+    for (let i = 0; i < out.length; i++) out[i] = a[i] + (b[i] - a[i]) * s;
+    return out;
+  }
+
+  // === Level storage ===
+  // Every recursive level of a retained time step sits in one contiguous
+  // Float64Array slot of maxLevel × dim numbers. "full" keeps every t;
+  // "window" keeps a ring of the last `window` steps (evolving t only reads
+  // t − 1) plus pinned steps such as the retro anchors, so its footprint no
+  // longer grows with the timeline.
+  class LevelStore {
+    constructor(dim, maxLevel, options = {}) {
+      this.dim = dim;
+      this.maxLevel = maxLevel;
+      this.mode = options.mode === "window" ? "window" : "full";
+      this.window = Math.max(2, options.window || 2);
+      this.pinned = Array.from(new Set(options.pin || [])).filter(t => Number.isInteger(t) && t >= 0);
+      this.pinSlots = new Map(this.pinned.map((t, slot) => [t, slot]));
+      this.times = [];
+      this.buffer = new Float64Array(0);
+      if (this.mode === "window") this._grow(this.pinned.length + this.window);
+    }
+
+    get slotSize() {
+      return this.maxLevel * this.dim;
+    }
+
+    _grow(slots) {
+      if (slots <= this.times.length) return;
+      const buffer = new Float64Array(slots * this.slotSize);
+      buffer.set(this.buffer);
+      this.buffer = buffer;
+      while (this.times.length < slots) this.times.push(-1);
+    }
+
+    reserve(steps) {
+      if (this.mode === "full") this._grow(steps);
+    }
+
+    // The slot t maps to, whether or not it currently holds t.
+    slotOf(t) {
+      if (this.mode === "full") return t;
+      const pin = this.pinSlots.get(t);
+      return pin !== undefined ? pin : this.pinned.length + (t % this.window);
+    }
+
+    has(t) {
+      const slot = this.slotOf(t);
+      return slot < this.times.length && this.times[slot] === t;
+    }
+
+    // Take over t's slot for writing, evicting whatever step held it.
+    claim(t) {
+      const slot = this.slotOf(t);
+      if (slot >= this.times.length) this._grow(Math.max(slot + 1, this.times.length * 2));
+      this.times[slot] = t;
+      return slot;
+    }
+
+    offset(t, level) {
+      return (this.slotOf(t) * this.maxLevel + level) * this.dim;
+    }
+
+    view(t, level) {
+      if (level < 0 || level >= this.maxLevel || !this.has(t)) return null;
+      const off = this.offset(t, level);
+      return this.buffer.subarray(off, off + this.dim);
+    }
+
+    retained() {
+      return this.times.filter(t => t >= 0).sort((a, b) => a - b);
+    }
+
+    truncate(t) {
+      for (let slot = 0; slot < this.times.length; slot++) {
+        if (this.times[slot] > t) this.times[slot] = -1;
+      }
+    }
+
+    clone() {
+      const copy = Object.create(LevelStore.prototype);
+      Object.assign(copy, this, {
+        pinned: this.pinned.slice(),
+        pinSlots: new Map(this.pinSlots),
+        times: this.times.slice(),
+        buffer: this.buffer.slice(),
+      });
+      return copy;
+    }
+
+    // A window-mode copy holding the pinned steps and the newest `window`
+    // retained ones, for timelines that keep growing.
+    windowed(pin) {
+      if (this.mode === "window") return this;
+      const out = new LevelStore(this.dim, this.maxLevel, { mode: "window", pin });
+      const times = this.retained();
+      const recent = times.slice(-out.window);
+      for (const t of times) {
+        if (!out.pinSlots.has(t) && !recent.includes(t)) continue;
+        out.claim(t);
+        const from = this.offset(t, 0);
+        out.buffer.set(this.buffer.subarray(from, from + this.slotSize), out.offset(t, 0));
+      }
+      return out;
+    }
+
+    // Same steps re-laid out for a different level count.
+    resized(maxLevel) {
+      const options = { mode: this.mode, window: this.window, pin: this.pinned };
+      const out = new LevelStore(this.dim, maxLevel, options);
+      const keep = Math.min(maxLevel, this.maxLevel) * this.dim;
+      for (const t of this.retained()) {
+        out.claim(t);
+        const from = this.offset(t, 0);
+        out.buffer.set(this.buffer.subarray(from, from + keep), out.offset(t, 0));
+      }
+      return out;
+    }
+  }
+
+  class LivingUniverse {
+    // storage: { mode: "full" | "window", window, pin: [t, ...], observe }
+    constructor(dim, modelType, systemType, seed, initial, modelParams, storage) {
+      this.dim = dim || DEFAULT_DIM;
+      this.modelType = modelType || "nonlinear";
+      this.systemType = systemType || "isolated";
+      this.model = getModel(this.modelType);
+      this.modelParams = resolveModelParams(this.modelType, modelParams);
+      this.seed = normalizeSeed(seed);
+      this.rng = makeRng(this.seed);
+      if (!initial) {
+        initial = this.model.init(this.dim, this.rng, this.modelParams);
+      }
+      const opts = storage || {};
+      this.historyBuffer = new Float64Array(0);
+      this.history = [];
+      this._reserveHistory(1);
+      this.history.push(this._historyView(0));
+      this.history[0].set(initial);
+      this.maxLevel = DEFAULT_LEVELS;
+      this.store = new LevelStore(this.dim, this.maxLevel, opts);
+      this.observing = typeof this.model.observe === "function" && opts.observe !== false;
+      this._observations = [];
+      this.events = [];
+      this.scheduled = [];
+      this._scheduleAt = new Map();
+      this.observers = [];
+    }
+
+    _historyView(t) {
+      return this.historyBuffer.subarray(t * this.dim, (t + 1) * this.dim);
+    }
+
+    _reserveHistory(steps) {
+      if (steps * this.dim <= this.historyBuffer.length) return;
+      const buffer = new Float64Array(Math.max(steps * this.dim, this.historyBuffer.length * 2));
+      buffer.set(this.historyBuffer);
+      this.historyBuffer = buffer;
+      for (let t = 0; t < this.history.length; t++) this.history[t] = this._historyView(t);
+    }
+
+    reserve(steps, maxLevel = this.maxLevel) {
+      if (maxLevel !== this.maxLevel) {
+        this.store = this.store.resized(maxLevel);
+        this.maxLevel = maxLevel;
+      }
+      this._reserveHistory(steps);
+      this.store.reserve(steps);
+    }
+
+    // Models write into `out` when they can; a fresh array is copied in.
+    evolve(prev, memory, level, out) {
+      const next = this.model.evolve(prev, memory, level, this, out);
+      if (next !== out) out.set(next);
+      return out;
+    }
+
+    step(t, maxLevel = DEFAULT_LEVELS) {
+      if (t === 0) return;
+      this.reserve(t + 1, maxLevel);
+      this.rng = makeRng(stepSeed(this.seed, t));
+
+      const prev = this.history[t - 1];
+      const mem = t > 1 ? this.history[t - 2] : prev;
+      const base_now = this.evolve(prev, mem, 0, this._historyView(t));
+      this.history.push(base_now);
+
+      const store = this.store;
+      store.claim(t);
+      store.view(t, 0).set(base_now);
+      for (let level = 1; level < maxLevel; level++) {
+        const prev_layer = store.view(t, level - 1);
+        const mem_layer = t > 1 ? store.view(t - 1, level - 1) : prev_layer;
+        this.evolve(prev_layer, mem_layer, level, store.view(t, level));
+      }
+      const due = this._scheduleAt.get(t);
+      if (due) {
+        for (const occ of due) {
+          if (!occ.fired && !occ.firing) apply_retro_event(this, occ);
+        }
+      }
+      this._record(t);
+      // a window is about to forget these levels, so read them now
+      if (this.observing && store.mode === "window") this._observe(t);
+    }
+
+    // Observers measure while stepping, so a collapsing one steers every
+    // later step. Add them before run().
+    addObserver(level, options) {
+      const salt = Math.imul(this.observers.length + 1, 0x27d4eb2d) >>> 0;
+      const observer = new Observer(this, level, Object.assign({ salt }, options));
+      this.observers.push(observer);
+      return observer;
+    }
+
+    _record(t) {
+      for (const obs of this.observers) {
+        if (obs.watches(t)) obs.record(t);
+      }
+    }
+
+    // A state changed in place after it was measured: read it again, without
+    // a second collapse.
+    _reread(t) {
+      for (const obs of this.observers) {
+        if (obs.readings[t] !== undefined) obs.readings[t] = obs.read(t, false);
+      }
+    }
+
+    // Retro events that act during evolution (see expandRetroEvents). Each
+    // occurrence fires once stepping reaches its `at`; a re-evolution that
+    // rewinds past `at` retracts it and lets it fire again from the
+    // recomputed source.
+    schedule(events, steps) {
+      this.scheduled = expandRetroEvents(events, steps);
+      this._indexSchedule();
+    }
+
+    _indexSchedule() {
+      this._scheduleAt = new Map();
+      for (const occ of this.scheduled) {
+        if (!this._scheduleAt.has(occ.at)) this._scheduleAt.set(occ.at, []);
+        this._scheduleAt.get(occ.at).push(occ);
+      }
+    }
+
+    run(steps = DEFAULT_STEPS, maxLevel = DEFAULT_LEVELS) {
+      this.reserve(steps, maxLevel);
+      this._record(0);
+      for (let t = 1; t < steps; t++) {
+        this.step(t, maxLevel);
+      }
+    }
+
+    // Drop everything after t and evolve forward again up to the old length.
+    reevolve_from(t) {
+      const steps = this.history.length;
+      this.history.length = t + 1;
+      this.store.truncate(t);
+      this._observations.length = Math.min(this._observations.length, t);
+      for (const obs of this.observers) {
+        obs.readings.length = Math.min(obs.readings.length, t + 1);
+      }
+      for (const occ of this.scheduled) {
+        if (occ.fired && !occ.firing && occ.at > t) retract_retro_event(this, occ, t);
+      }
+      this._reread(t);
+      for (let s = t + 1; s < steps; s++) {
+        this.step(s, this.maxLevel);
+      }
+    }
+
+    // Replace the whole trajectory: history[t] vectors, per retained t an
+    // array of level vectors, and optionally already-taken observations.
+    load(history, levels, observations) {
+      this.history = [];
+      this._reserveHistory(history.length);
+      history.forEach((v, t) => {
+        this.history.push(this._historyView(t));
+        this.history[t].set(v);
+      });
+      this.store.reserve(history.length);
+      for (const key of Object.keys(levels)) {
+        const t = parseInt(key, 10);
+        this.store.claim(t);
+        levels[key].forEach((v, level) => {
+          if (level < this.maxLevel) this.store.view(t, level).set(v);
+        });
+      }
+      this._observations = (observations || []).map(o => Object.assign({}, o));
+    }
+
+    // Live views into the stores: copy anything that must survive a later
+    // retro influence or re-evolution.
+    get_state(t, level = 0) {
+      if (level === 0) {
+        return this.history[t];
+      }
+      return this.store.view(t, level);
+    }
+
+    levelsAt(t) {
+      if (!this.store.has(t)) return null;
+      return Array.from({ length: this.maxLevel }, (_, level) => this.store.view(t, level));
+    }
+
+    // Weighted sum over the levels at t; harmonic 1/(i+1) unless a
+    // weighting (see INF_WEIGHTINGS) or a weight function is given.
+    infinite_state(t, weighting) {
+      const acc = zeros(this.dim);
+      if (!this.store.has(t)) return acc;
+      const { weights, normalized } = levelWeights(weighting, this.maxLevel);
+      const buffer = this.store.buffer;
+      let off = this.store.offset(t, 0);
+      let total = 0;
+      for (let i = 0; i < this.maxLevel; i++) {
+        const w = weights[i];
+        total += w;
+        for (let j = 0; j < this.dim; j++) {
+          acc[j] += buffer[off + j] * w;
+        }
+        off += this.dim;
+      }
+      if (normalized) {
+        for (let j = 0; j < this.dim; j++) acc[j] /= total;
+      }
+      return acc;
+    }
+
+    _observe(t) {
+      const states = this.levelsAt(t) || [this.history[t]];
+      this._observations[t] = Object.assign({ t }, this.model.observe(states, this));
+    }
+
+    // Per-step model readings (registerModel's observe). Full storage reads
+    // them on demand from the retained levels; window storage records them
+    // while stepping.
+    observations() {
+      if (!this.observing) return null;
+      for (let t = 0; t < this.history.length; t++) {
+        if (!this._observations[t]) this._observe(t);
+      }
+      return this._observations.slice(0, this.history.length);
+    }
+  }
+
+  // === Scheduled retro events ===
+  // params.retroEvents: [{ source, target, strength, mask?, at?, every?, mode? }]
+  // Each event nudges history[target] toward history[source] (target <
+  // source) once evolution has reached step `at` (default: source). `mask`
+  // restricts the nudge to the listed components, `every` repeats the event
+  // with all three times shifted by that many steps, and mode "consistent"
+  // also nudges the levels and re-evolves from the target like
+  // retro_influence_consistent.
+  const RETRO_EVENT_MODES = ["local", "consistent"];
+  const RETRO_EVENT_LIMITS = { events: 32, occurrences: 1000 };
+
+  function expandRetroEvents(events, steps) {
+    const out = [];
+    (events || []).forEach((e, id) => {
+      const every = e.every > 0 ? e.every : 0;
+      const at = e.at === undefined || e.at === null ? e.source : Math.max(e.at, e.source);
+      for (let k = 0; out.length < RETRO_EVENT_LIMITS.occurrences; k++) {
+        const shift = k * every;
+        if (at + shift >= steps) break;
+        out.push({
+          id,
+          k,
+          source: e.source + shift,
+          target: e.target + shift,
+          at: at + shift,
+          strength: e.strength === undefined ? 0.02 : e.strength,
+          mask: e.mask && e.mask.length ? e.mask.slice() : null,
+          mode: e.mode === "consistent" ? "consistent" : "local",
+          fired: false,
+          firing: false,
+          fires: 0,
+          shift: 0,
+          delta: null,
+          levelDelta: null,
+        });
+        if (!every) break;
+      }
+    });
+    return out.sort((a, b) => a.at - b.at || a.id - b.id || a.k - b.k);
+  }
+
+  // state += s (toward − state) on the masked components, recording the change.
+  function nudgeMasked(state, toward, s, mask, delta) {
+    const apply = (i) => {
+      const next = state[i] + (toward[i] - state[i]) * s;
+      delta[i] = next - state[i];
+      state[i] = next;
+    };
+    if (mask) {
+      mask.forEach(apply);
+    } else {
+      for (let i = 0; i < state.length; i++) apply(i);
+    }
+  }
+
+  function apply_retro_event(universe, occ) {
+    const { source, target, strength, mask } = occ;
+    const store = universe.store;
+    const dim = universe.dim;
+    occ.firing = true;
+
+    const past = universe.history[target];
+    occ.delta = new Float64Array(dim);
+    nudgeMasked(past, universe.history[source], strength, mask, occ.delta);
+    occ.levelDelta = null;
+    if (occ.mode === "consistent") {
+      if (store.has(target)) {
+        store.view(target, 0).set(past);
+        occ.levelDelta = new Float64Array(universe.maxLevel * dim);
+        for (let level = 1; level < universe.maxLevel; level++) {
+          const future = store.view(source, level);
+          if (!future) continue;
+          const delta = occ.levelDelta.subarray(level * dim, (level + 1) * dim);
+          nudgeMasked(store.view(target, level), future, strength, mask, delta);
+        }
+      }
+      universe.reevolve_from(target);
+    } else {
+      universe._reread(target);
+    }
+
+    if (!occ.fires) {
+      universe.events.push({
+        mode: "scheduled",
+        event: occ.id,
+        t_future: source,
+        t_past: target,
+        at: occ.at,
+        strength,
+        mask,
+        consistent: occ.mode === "consistent",
+      });
+    }
+    occ.fires++;
+    occ.shift = norm(occ.delta);
+    occ.fired = true;
+    occ.firing = false;
+  }
+
+  // Undo an occurrence's nudge on a target the re-evolution from t keeps;
+  // a later target is recomputed anyway.
+  function retract_retro_event(universe, occ, t) {
+    occ.fired = false;
+    if (occ.target > t || !occ.delta) return;
+    const past = universe.history[occ.target];
+    for (let i = 0; i < past.length; i++) past[i] -= occ.delta[i];
+    universe._reread(occ.target);
+    const store = universe.store;
+    if (occ.levelDelta && store.has(occ.target)) {
+      store.view(occ.target, 0).set(past);
+      const dim = universe.dim;
+      for (let level = 1; level < universe.maxLevel; level++) {
+        const state = store.view(occ.target, level);
+        for (let i = 0; i < dim; i++) state[i] -= occ.levelDelta[level * dim + i];
+      }
+    }
+  }
+
+  function retroEventSummary(occ) {
+    return {
+      id: occ.id,
+      k: occ.k,
+      source: occ.source,
+      target: occ.target,
+      at: occ.at,
+      strength: occ.strength,
+      mask: occ.mask ? occ.mask.slice() : null,
+      mode: occ.mode,
+      fired: occ.fired,
+      fires: occ.fires,
+      shift: occ.shift,
+    };
+  }
+
+  function retro_influence(universe, t_future, t_past, strength = 0.01) {
+    if (t_future >= universe.history.length || t_past >= universe.history.length) {
+      return;
+    }
+    const past = universe.history[t_past];
+    nudgeInto(past, past, universe.get_state(t_future), strength);
+    universe._reread(t_past);
+    universe.events.push({ mode: "local", t_future, t_past, strength });
+  }
+
+  // Consistent mode: nudge every level at t_past toward its counterpart at
+  // t_future, then re-evolve the timeline from t_past so later states follow.
+  function retro_influence_consistent(universe, t_future, t_past, strength = 0.01) {
+    if (t_future >= universe.history.length || t_past >= universe.history.length) {
+      return null;
+    }
+    const { history_before, levels_before } = snapshotTrajectory(universe);
+    const store = universe.store;
+
+    const past = universe.history[t_past];
+    nudgeInto(past, past, universe.history[t_future], strength);
+    if (store.has(t_past)) {
+      store.view(t_past, 0).set(past);
+      for (let level = 1; level < universe.maxLevel; level++) {
+        const future = store.view(t_future, level);
+        if (!future) continue;
+        const pastLevel = store.view(t_past, level);
+        nudgeInto(pastLevel, pastLevel, future, strength);
+      }
+    }
+    universe.reevolve_from(t_past);
+    universe.events.push({ mode: "consistent", t_future, t_past, strength });
+
+    return trajectoryDiff(history_before, levels_before, universe);
+  }
+
+  // Copies of the base history and of the level store (a LevelStore).
+  function snapshotTrajectory(universe) {
+    return {
+      history_before: universe.history.map(v => Float64Array.from(v)),
+      levels_before: universe.store.clone(),
+    };
+  }
+
+  // Per-step distance and norm change between a saved trajectory and the
+  // universe's current one, for the base history and every retained level.
+  function trajectoryDiff(history_before, levels_before, universe) {
+    const distances = [];
+    const norm_delta = [];
+    const level_distance = {};
+    const store = universe.store;
+    for (let t = 0; t < universe.history.length; t++) {
+      const a = history_before[t];
+      const b = universe.history[t];
+      distances.push(distance(a, b));
+      norm_delta.push(norm(b) - norm(a));
+      if (!levels_before.has(t) || !store.has(t)) continue;
+      level_distance[t] = {};
+      const count = Math.min(levels_before.maxLevel, store.maxLevel);
+      for (let level = 0; level < count; level++) {
+        level_distance[t][level] = distance(levels_before.view(t, level), store.view(t, level));
+      }
+    }
+    return { history_before, levels_before, distance: distances, norm_delta, level_distance };
+  }
+
+  const SOLVER_DEFAULTS = {
+    tolerance: 1e-9,
+    maxIterations: 100,
+    relaxation: 1,
+    divergeLimit: 1e6,
+  };
+
+  // Novikov-style closed loop: find past states p* at t_past (all levels) with
+  //   p* = p0 + strength * (F(p*) - p0)
+  // where p0 is the unperturbed past and F evolves p* forward to t_future.
+  // Iterates evolve -> retro_influence -> re-evolve until history[t_past] settles.
+  function solve_self_consistent(universe, t_future, t_past, strength = 0.01, options) {
+    const opts = Object.assign({}, SOLVER_DEFAULTS, options || {});
+    const result = {
+      status: "max-iterations",
+      converged: false,
+      diverged: false,
+      oscillated: false,
+      iterations: 0,
+      residual: NaN,
+      residuals: [],
+    };
+    if (t_future >= universe.history.length || t_past >= universe.history.length) {
+      result.status = "invalid";
+      return result;
+    }
+
+    const { history_before, levels_before } = snapshotTrajectory(universe);
+    const store = universe.store;
+    const levelCount = store.has(t_past) ? universe.maxLevel : 1;
+    const anchor = [];
+    for (let level = 0; level < levelCount; level++) {
+      anchor.push(Float64Array.from(universe.get_state(t_past, level)));
+    }
+    const target = new Float64Array(universe.dim);
+    let prev = Float64Array.from(universe.history[t_past]);
+    let prevPrev = null;
+
+    for (let k = 1; k <= opts.maxIterations; k++) {
+      for (let level = 0; level < levelCount; level++) {
+        const future = universe.get_state(t_future, level);
+        if (!future) continue;
+        nudgeInto(target, anchor[level], future, strength);
+        const current = universe.get_state(t_past, level);
+        blendInto(current, current, target, opts.relaxation);
+      }
+      if (levelCount > 1) store.view(t_past, 0).set(universe.history[t_past]);
+      universe.reevolve_from(t_past);
+
+      const p = universe.history[t_past];
+      const residual = distance(prev, p);
+      result.iterations = k;
+      result.residual = residual;
+      result.residuals.push(residual);
+
+      if (!Number.isFinite(residual) || residual > opts.divergeLimit) {
+        result.status = "diverged";
+        result.diverged = true;
+        break;
+      }
+      if (residual <= opts.tolerance) {
+        result.status = "converged";
+        result.converged = true;
+        break;
+      }
+      // period-2 cycle: back where we were two iterations ago, but not settled
+      if (prevPrev && k > 3 && distance(prevPrev, p) <= opts.tolerance) {
+        result.status = "oscillating";
+        result.oscillated = true;
+        break;
+      }
+      prevPrev = prev;
+      prev = Float64Array.from(p);
+    }
+
+    universe.events.push({
+      mode: "fixed-point",
+      t_future,
+      t_past,
+      strength,
+      status: result.status,
+      iterations: result.iterations,
+    });
+    result.diff = trajectoryDiff(history_before, levels_before, universe);
+    return result;
+  }
+
+  // === Observers ===
+  // An observer reads one level over the steps from..to through a
+  // measurement: "norm" ‖s‖, "projection" the norm of s on `components`, or
+  // "energy" (the model energy of s). `noise` adds uniform ±noise to the
+  // components it reads, replayed per step like the model noise; `collapse`
+  // κ ∈ [0, 1] writes κ of that noise back into the state, so what was seen
+  // partly becomes what is. A noiseless reading never disturbs the state.
+  const OBSERVER_MEASURES = ["norm", "projection", "energy"];
+  const OBSERVER_LIMIT = 8;
+
+  class Observer {
+    constructor(universe, level = 0, options) {
+      const o = options || {};
+      this.universe = universe;
+      this.level = level;
+      this.measure = o.measure || "norm";
+      this.components = o.components && o.components.length ? o.components.slice() : null;
+      this.from = o.from === undefined || o.from === null ? 0 : o.from;
+      this.to = o.to === undefined || o.to === null ? Infinity : o.to;
+      this.noise = o.noise || 0;
+      this.collapse = o.collapse || 0;
+      this.salt = o.salt || 0;
+      this.label = o.label || null;
+      this.readings = [];
+    }
+
+    perceive(t) {
+      return this.universe.get_state(t, this.level);
+    }
+
+    watches(t) {
+      return t >= this.from && t <= this.to;
+    }
+
+    read(t, collapse = false) {
+      const u = this.universe;
+      const state = this.perceive(t);
+      if (!state) return null;
+      const comps = this.measure === "projection" ? this.components : null;
+      let seen = state;
+      let noise = null;
+      if (this.noise > 0) {
+        const rng = makeRng(stepSeed(u.seed ^ this.salt, t));
+        noise = new Float64Array(state.length);
+        if (comps) {
+          comps.forEach((i) => {
+            noise[i] = (rng() * 2 - 1) * this.noise;
+          });
+        } else {
+          for (let i = 0; i < noise.length; i++) noise[i] = (rng() * 2 - 1) * this.noise;
+        }
+        seen = Float64Array.from(state, (v, i) => v + noise[i]);
+      }
+      let value;
+      if (this.measure === "energy") {
+        value = modelEnergy(u.modelType, seen, u.modelParams);
+      } else if (comps) {
+        value = Math.sqrt(comps.reduce((acc, i) => acc + seen[i] * seen[i], 0));
+      } else {
+        value = norm(seen);
+      }
+      if (collapse && noise && this.collapse > 0) {
+        for (let i = 0; i < state.length; i++) state[i] += this.collapse * noise[i];
+        if (this.level === 0 && u.store.has(t)) u.store.view(t, 0).set(state);
+      }
+      return value;
+    }
+
+    record(t) {
+      const value = this.read(t, true);
+      if (value !== null) this.readings[t] = value;
+    }
+
+    // Readings over the window as it stands in the timeline so far.
+    series() {
+      const last = Math.min(this.to, this.universe.history.length - 1);
+      const times = [];
+      const values = [];
+      for (let t = this.from; t <= last; t++) {
+        times.push(t);
+        values.push(this.readings[t] === undefined ? null : this.readings[t]);
+      }
+      return { times, values };
+    }
+
+    describe() {
+      return {
+        level: this.level,
+        from: this.from,
+        to: Number.isFinite(this.to) ? this.to : null,
+        measure: this.measure,
+        components: this.components ? this.components.slice() : null,
+        noise: this.noise,
+        collapse: this.collapse,
+        label: this.label,
+      };
+    }
+  }
+
+  // === Infinite-level limit ===
+  // infinite_state(t) sums the recursive levels with weights w_i. The
+  // original harmonic weights 1/(i+1) make that a divergent series (it grows
+  // like log maxLevels), so the other schemes are offered for a real limit:
+  //   normalized-harmonic  Σ w_i s_i / Σ w_i, a weighted mean of the levels
+  //   geometric            (1 − r) r^i, summing to 1 as levels → ∞
+  //   custom               caller-supplied weights (array, or a function of i)
+  const INF_WEIGHTINGS = ["harmonic", "normalized-harmonic", "geometric", "custom"];
+  const INF_EXTRAPOLATIONS = ["none", "aitken", "richardson"];
+  const INFINITE_DEFAULTS = {
+    weighting: "harmonic",
+    ratio: 0.5,
+    weights: null,
+    extrapolation: "none",
+    tolerance: 1e-3,
+  };
+
+  function resolveInfinite(options) {
+    if (typeof options === "function") {
+      return Object.assign({}, INFINITE_DEFAULTS, { weighting: "custom", weights: options });
+    }
+    return Object.assign({}, INFINITE_DEFAULTS, options || {});
+  }
+
+  function levelWeights(options, count) {
+    const opts = resolveInfinite(options);
+    const weights = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+      if (opts.weighting === "geometric") {
+        weights[i] = (1 - opts.ratio) * Math.pow(opts.ratio, i);
+      } else if (opts.weighting === "custom") {
+        const custom = opts.weights;
+        const w = typeof custom === "function" ? custom(i) : custom && custom[i];
+        weights[i] = Number.isFinite(w) ? w : 0;
+      } else {
+        weights[i] = 1 / (i + 1);
+      }
+    }
+    return { weights, normalized: opts.weighting === "normalized-harmonic" };
+  }
+
+  // Componentwise Aitken Δ² on three consecutive partial sums; components
+  // with a vanishing second difference are already settled and pass through.
+  function aitkenStep(a, b, c) {
+    const out = new Float64Array(c.length);
+    for (let i = 0; i < c.length; i++) {
+      const d1 = c[i] - b[i];
+      const d2 = c[i] - 2 * b[i] + a[i];
+      out[i] = Math.abs(d2) > 1e-12 * Math.max(1, Math.abs(c[i])) ? c[i] - (d1 * d1) / d2 : c[i];
+    }
+    return out;
+  }
+
+  // Richardson extrapolation for an O(1/n) tail: from S_n and S_m (m = n/2),
+  // S∞ ≈ (n S_n − m S_m) / (n − m).
+  function richardsonStep(partial, n) {
+    const m = Math.floor(n / 2);
+    const Sn = partial[n - 1];
+    const Sm = partial[m - 1];
+    const out = new Float64Array(Sn.length);
+    for (let i = 0; i < Sn.length; i++) out[i] = (n * Sn[i] - m * Sm[i]) / (n - m);
+    return out;
+  }
+
+  // Partial sums S_n over the first n levels at t (n = 1..maxLevel), their
+  // Aitken and Richardson extrapolations, and whether the chosen estimate
+  // has settled: it must move by less than `tolerance` (relative) over the
+  // last quarter of the level range.
+  function infinite_convergence(universe, t, options) {
+    const opts = resolveInfinite(options);
+    const count = universe.store.has(t) ? universe.maxLevel : 0;
+    const { weights, normalized } = levelWeights(opts, count);
+    const dim = universe.dim;
+
+    const partial = [];
+    const acc = new Float64Array(dim);
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+      const s = universe.store.view(t, i);
+      total += weights[i];
+      const S = new Float64Array(dim);
+      for (let j = 0; j < dim; j++) {
+        acc[j] += s[j] * weights[i];
+        S[j] = normalized ? acc[j] / total : acc[j];
+      }
+      partial.push(S);
+    }
+
+    const aitken = partial.map((S, k) => (k >= 2 ? aitkenStep(partial[k - 2], partial[k - 1], S) : null));
+    const richardson = partial.map((S, k) => (k >= 1 ? richardsonStep(partial, k + 1) : null));
+    const chosen =
+      opts.extrapolation === "aitken" ? aitken : opts.extrapolation === "richardson" ? richardson : partial;
+    const series = chosen.map(v => (v ? norm(v) : null));
+    const last = count ? chosen[count - 1] || partial[count - 1] : new Float64Array(dim);
+
+    let error = Infinity;
+    const valid = series.filter(v => v !== null);
+    if (valid.length >= 4) {
+      const end = valid[valid.length - 1];
+      const from = Math.floor((valid.length * 3) / 4);
+      let spread = 0;
+      for (let k = from; k < valid.length; k++) spread = Math.max(spread, Math.abs(valid[k] - end));
+      error = spread / Math.max(Math.abs(end), 1e-12);
+    }
+
+    return {
+      weighting: opts.weighting,
+      extrapolation: opts.extrapolation,
+      levels: count,
+      norms: partial.map(norm),
+      increments: partial.map((S, k) => (k ? distance(partial[k - 1], S) : norm(S))),
+      aitken: aitken.map(v => (v ? norm(v) : null)),
+      richardson: richardson.map(v => (v ? norm(v) : null)),
+      estimate: Array.from(last),
+      estimate_norm: norm(last),
+      error,
+      tolerance: opts.tolerance,
+      converged: error <= opts.tolerance,
+    };
+  }
+
+  // The infinite-level state at t under the chosen weighting/extrapolation.
+  function infinite_estimate(universe, t, options) {
+    const opts = resolveInfinite(options);
+    if (opts.extrapolation === "none") return universe.infinite_state(t, opts);
+    return infinite_convergence(universe, t, opts).estimate;
+  }
+
+  // === Model-specific dynamics helpers ===
+  // Integrator stages reuse one buffer per (name, length) instead of
+  // allocating on every step.
+  const SCRATCH = {};
+  function scratch(name, n) {
+    const key = name + ":" + n;
+    return SCRATCH[key] || (SCRATCH[key] = new Float64Array(n));
+  }
+
+  // Chain acceleration a_i = -k x_i - c Σ (x_i - x_neighbour).
+  // "free" ends feel no missing neighbour (the original behaviour), "fixed"
+  // ends are tied to walls at x = 0, "periodic" closes the chain into a ring.
+  function chainAcceleration(x, k, coupling, boundary, out) {
+    const n = x.length;
+    const a = out || new Array(n);
+    for (let i = 0; i < n; i++) {
+      let left;
+      let right;
+      if (boundary === "periodic") {
+        left = x[(i - 1 + n) % n];
+        right = x[(i + 1) % n];
+      } else if (boundary === "fixed") {
+        left = i > 0 ? x[i - 1] : 0;
+        right = i < n - 1 ? x[i + 1] : 0;
+      } else {
+        left = i > 0 ? x[i - 1] : x[i];
+        right = i < n - 1 ? x[i + 1] : x[i];
+      }
+      a[i] = -k * x[i] - coupling * ((x[i] - left) + (x[i] - right));
+    }
+    return a;
+  }
+
+  const YOSHIDA_W1 = 1 / (2 - Math.cbrt(2));
+  const YOSHIDA_W0 = -Math.cbrt(2) / (2 - Math.cbrt(2));
+  const YOSHIDA_C = [YOSHIDA_W1 / 2, (YOSHIDA_W0 + YOSHIDA_W1) / 2, (YOSHIDA_W0 + YOSHIDA_W1) / 2, YOSHIDA_W1 / 2];
+  const YOSHIDA_D = [YOSHIDA_W1, YOSHIDA_W0, YOSHIDA_W1];
+
+  // Each integrator advances (x, v) in place by one dt; accel(pos, out)
+  // writes the acceleration at pos into out.
+  const INTEGRATORS = {
+    // semi-implicit Euler, damping folded into the kick as before
+    euler(x, v, dt, accel, gamma) {
+      const a = accel(x, scratch("a", x.length));
+      for (let i = 0; i < x.length; i++) {
+        v[i] = (v[i] + dt * a[i]) * (1 - gamma);
+        x[i] += dt * v[i];
+      }
+    },
+    verlet(x, v, dt, accel) {
+      const a = scratch("a", x.length);
+      accel(x, a);
+      for (let i = 0; i < x.length; i++) {
+        v[i] += 0.5 * dt * a[i];
+        x[i] += dt * v[i];
+      }
+      accel(x, a);
+      for (let i = 0; i < x.length; i++) v[i] += 0.5 * dt * a[i];
+    },
+    rk4(x, v, dt, accel) {
+      const n = x.length;
+      const shift = (base, d, s, out) => {
+        for (let i = 0; i < n; i++) out[i] = base[i] + s * d[i];
+        return out;
+      };
+      const tmp = scratch("rk4:tmp", n);
+      const k1x = scratch("rk4:k1x", n);
+      k1x.set(v);
+      const k1v = accel(x, scratch("rk4:k1v", n));
+      const k2x = shift(v, k1v, dt / 2, scratch("rk4:k2x", n));
+      const k2v = accel(shift(x, k1x, dt / 2, tmp), scratch("rk4:k2v", n));
+      const k3x = shift(v, k2v, dt / 2, scratch("rk4:k3x", n));
+      const k3v = accel(shift(x, k2x, dt / 2, tmp), scratch("rk4:k3v", n));
+      const k4x = shift(v, k3v, dt, scratch("rk4:k4x", n));
+      const k4v = accel(shift(x, k3x, dt, tmp), scratch("rk4:k4v", n));
+      for (let i = 0; i < n; i++) {
+        x[i] += (dt / 6) * (k1x[i] + 2 * k2x[i] + 2 * k3x[i] + k4x[i]);
+        v[i] += (dt / 6) * (k1v[i] + 2 * k2v[i] + 2 * k3v[i] + k4v[i]);
+      }
+    },
+    yoshida4(x, v, dt, accel) {
+      const a = scratch("a", x.length);
+      for (let s = 0; s < 4; s++) {
+        for (let i = 0; i < x.length; i++) x[i] += YOSHIDA_C[s] * dt * v[i];
+        if (s === 3) break;
+        accel(x, a);
+        for (let i = 0; i < x.length; i++) v[i] += YOSHIDA_D[s] * dt * a[i];
+      }
+    },
+  };
+
+  function evolveOscillators(prev, systemType, rng, params, out) {
+    const {
+      dt = 0.05,
+      k = 1.0,
+      coupling = 0.1,
+      integrator = "euler",
+      boundary = "free",
+    } = params || {};
+    const gamma = systemType === "open" ? 0.05 : systemType === "closed" ? 0.01 : 0.0;
+    const noiseScale = systemType === "open" ? 0.02 : 0.0;
+
+    const dim = prev.length;
+    const next = out || new Array(dim);
+    const n = Math.floor(dim / 2);
+    const x = scratch("x", n);
+    const v = scratch("v", n);
+    for (let i = 0; i < n; i++) {
+      x[i] = prev[2 * i];
+      v[i] = prev[2 * i + 1];
+    }
+
+    const accel = (pos, a) => chainAcceleration(pos, k, coupling, boundary, a);
+    const integrate = INTEGRATORS[integrator] || INTEGRATORS.euler;
+    integrate(x, v, dt, accel, gamma);
+
+    for (let i = 0; i < n; i++) {
+      let vNext = v[i];
+      if (integrate !== INTEGRATORS.euler) vNext *= 1 - gamma;
+      if (noiseScale > 0) {
+        vNext += (rng() * 2 - 1) * noiseScale;
+      }
+      next[2 * i] = x[i];
+      next[2 * i + 1] = vNext;
+    }
+
+    // if odd dimension, carry extra component forward
+    if (dim % 2 === 1) {
+      next[dim - 1] = prev[dim - 1];
+    }
+    return next;
+  }
+
+  function evolveIsing(prev, systemType, rng, params, out) {
+    const { J = 1.0, h = 0.0, beta = 1.0 } = params || {};
+    const dim = prev.length;
+    let m = 0;
+    for (let i = 0; i < dim; i++) m += prev[i];
+    m /= dim || 1;
+    const noiseScale = systemType === "open" ? 0.15 : 0.0;
+    const next = out || new Array(dim);
+    for (let i = 0; i < dim; i++) {
+      let localField = J * m + h;
+      if (noiseScale > 0) {
+        localField += (rng() * 2 - 1) * noiseScale;
+      }
+      next[i] = Math.tanh(beta * localField);
+    }
+    return next;
+  }
+
+  // Chain Hamiltonian: kinetic + on-site springs + one term per bond.
+  function oscillatorEnergy(state, params) {
+    const { k = 1.0, coupling = 0.1, boundary = "free" } = params || {};
+    const n = Math.floor(state.length / 2);
+    let E = 0;
+    for (let i = 0; i < n; i++) {
+      const x = state[2 * i];
+      const v = state[2 * i + 1];
+      E += 0.5 * v * v + 0.5 * k * x * x;
+      if (i < n - 1) {
+        const d = x - state[2 * (i + 1)];
+        E += 0.5 * coupling * d * d;
+      }
+    }
+    if (n > 0 && boundary === "fixed") {
+      const first = state[0];
+      const last = state[2 * (n - 1)];
+      E += 0.5 * coupling * (first * first + last * last);
+    } else if (n > 1 && boundary === "periodic") {
+      const d = state[2 * (n - 1)] - state[0];
+      E += 0.5 * coupling * d * d;
+    }
+    return E;
+  }
+
+  function isingEnergy(state, params) {
+    const { J = 1.0 } = params || {};
+    const dim = state.length;
+    if (!dim) return 0;
+    let m = 0;
+    for (let i = 0; i < dim; i++) m += state[i];
+    m /= dim;
+    return -0.5 * J * dim * m * m;
+  }
+
+  // === Lattice Ising (discrete ±1 spins, periodic boundaries) ===
+  // 2D lattices use the most square width × height factorisation of dim;
+  // a prime dim degenerates to a ring, same as 1D.
+  function latticeShape(dim, lattice) {
+    if (lattice !== "2d") return { width: dim, height: 1 };
+    let width = Math.floor(Math.sqrt(dim));
+    while (width > 1 && dim % width !== 0) width--;
+    return { width: dim / width, height: width };
+  }
+
+  function latticeNeighbours(i, shape) {
+    const { width, height } = shape;
+    const x = i % width;
+    const y = Math.floor(i / width);
+    const out = [];
+    if (width > 1) {
+      out.push(y * width + ((x + 1) % width));
+      if (width > 2) out.push(y * width + ((x - 1 + width) % width));
+    }
+    if (height > 1) {
+      out.push(((y + 1) % height) * width + x);
+      if (height > 2) out.push(((y - 1 + height) % height) * width + x);
+    }
+    return out;
+  }
+
+  // Neighbour lists per (dim, lattice), built once instead of per spin flip.
+  const NEIGHBOUR_TABLES = {};
+  function neighbourTable(dim, lattice) {
+    const key = dim + ":" + lattice;
+    if (!NEIGHBOUR_TABLES[key]) {
+      const shape = latticeShape(dim, lattice);
+      NEIGHBOUR_TABLES[key] = Array.from({ length: dim }, (_, i) => latticeNeighbours(i, shape));
+    }
+    return NEIGHBOUR_TABLES[key];
+  }
+
+  // Retro influence leaves fractional values behind; read s ∈ [-1, 1] as
+  // P(spin up) = (1 + s) / 2 so a nudge shifts the odds instead of vanishing.
+  function projectSpins(state, rng, out) {
+    const spins = out || new Array(state.length);
+    for (let i = 0; i < state.length; i++) {
+      const s = state[i];
+      if (s === 1 || s === -1) {
+        spins[i] = s;
+        continue;
+      }
+      const p = (1 + Math.max(-1, Math.min(1, s))) / 2;
+      spins[i] = rng() < p ? 1 : -1;
+    }
+    return spins;
+  }
+
+  // One Monte Carlo sweep: dim single-spin-flip attempts at random sites.
+  function evolveLatticeIsing(prev, systemType, rng, params, out) {
+    const { J = 1.0, h = 0.0, T = 2.0, lattice = "1d", dynamics = "metropolis" } = params || {};
+    const dim = prev.length;
+    const neighbours = neighbourTable(dim, lattice);
+    const spins = projectSpins(prev, rng, out);
+    const noiseScale = systemType === "open" ? 0.15 : 0.0;
+
+    for (let n = 0; n < dim; n++) {
+      const i = Math.floor(rng() * dim);
+      let field = h;
+      if (noiseScale > 0) field += (rng() * 2 - 1) * noiseScale;
+      for (const j of neighbours[i]) field += J * spins[j];
+      const dE = 2 * spins[i] * field;
+      const accept =
+        dynamics === "glauber"
+          ? rng() < 1 / (1 + Math.exp(dE / T))
+          : dE <= 0 || rng() < Math.exp(-dE / T);
+      if (accept) spins[i] = -spins[i];
+    }
+    return spins;
+  }
+
+  // Nearest-neighbour bond energy, each bond counted once.
+  function latticeIsingEnergy(state, params) {
+    const { J = 1.0, h = 0.0, lattice = "1d" } = params || {};
+    const dim = state.length;
+    const neighbours = neighbourTable(dim, lattice);
+    let E = 0;
+    for (let i = 0; i < dim; i++) {
+      for (const j of neighbours[i]) {
+        if (j > i) E -= J * state[i] * state[j];
+      }
+      E -= h * state[i];
+    }
+    return E;
+  }
+
+  // Nearest-neighbour correlation ⟨s_i s_j⟩ over the lattice bonds: 1 for an
+  // ordered lattice, about m² without short-range order.
+  function latticeCorrelation(state, lattice) {
+    const neighbours = neighbourTable(state.length, lattice);
+    let sum = 0;
+    let bonds = 0;
+    for (let i = 0; i < state.length; i++) {
+      for (const j of neighbours[i]) {
+        if (j > i) {
+          sum += state[i] * state[j];
+          bonds++;
+        }
+      }
+    }
+    return bonds ? sum / bonds : 0;
+  }
+
+  // Thermodynamics of one time step, sampled over its recursive levels
+  // (each level is one further sweep of the same chain).
+  function latticeIsingSample(states, params) {
+    const { T = 2.0, lattice = "1d" } = params;
+    let sumM = 0;
+    let sumAbsM = 0;
+    let sumM2 = 0;
+    let sumE = 0;
+    let sumE2 = 0;
+    let sumC = 0;
+    let count = 0;
+    let N = 0;
+    for (const s of states) {
+      N = s.length;
+      let m = 0;
+      for (let i = 0; i < N; i++) m += s[i];
+      m /= N;
+      const e = latticeIsingEnergy(s, params) / N;
+      sumM += m;
+      sumAbsM += Math.abs(m);
+      sumM2 += m * m;
+      sumE += e;
+      sumE2 += e * e;
+      sumC += latticeCorrelation(s, lattice);
+      count++;
+    }
+    const absM = sumAbsM / count;
+    const meanE = sumE / count;
+    return {
+      magnetisation: sumM / count,
+      absMagnetisation: absM,
+      energy: meanE,
+      susceptibility: (N * Math.max(0, sumM2 / count - absM * absM)) / T,
+      specificHeat: (N * Math.max(0, sumE2 / count - meanE * meanE)) / (T * T),
+      correlation: sumC / count,
+    };
+  }
+
+  // The same readings for every t still in the universe's stores.
+  function latticeIsingObservables(universe) {
+    return universe.history.map((state, t) =>
+      Object.assign({ t }, latticeIsingSample(universe.levelsAt(t) || [state], universe.modelParams))
+    );
+  }
+
+  // === Model registry ===
+  // A model declares how to seed, evolve and measure a state, plus the schema
+  // of its tunable parameters. evolve(prev, memory, level, universe, out)
+  // reads universe.systemType, universe.rng and universe.modelParams, and
+  // should write the next state into the Float64Array `out` and return it
+  // (returning a new array also works, at the cost of a copy). An optional
+  // observe(states, universe) turns one step's levels into per-step readings.
+  const MODELS = {};
+
+  function registerModel(def) {
+    if (!def || !def.id || typeof def.evolve !== "function") {
+      throw new Error("registerModel: a model needs an id and an evolve function");
+    }
+    MODELS[def.id] = Object.assign(
+      {
+        label: def.id,
+        params: [],
+        init: (dim, rng) => randVec(dim, rng),
+        energy: state => {
+          // fallback: use squared norm as pseudo-energy
+          const n = norm(state);
+          return n * n;
+        },
+      },
+      def
+    );
+    return MODELS[def.id];
+  }
+
+  function getModel(id) {
+    return MODELS[id] || MODELS.nonlinear;
+  }
+
+  function hasModel(id) {
+    return Object.prototype.hasOwnProperty.call(MODELS, id);
+  }
+
+  function listModels() {
+    return Object.keys(MODELS).map(id => MODELS[id]);
+  }
+
+  // Fill in schema defaults and clamp to each parameter's declared range.
+  // Specs with `options` are enumerations and keep their string value.
+  function resolveModelParams(modelType, values) {
+    const out = {};
+    const src = values || {};
+    for (const spec of getModel(modelType).params) {
+      if (spec.options) {
+        const allowed = spec.options.map(o => o.value);
+        out[spec.key] = allowed.includes(src[spec.key]) ? src[spec.key] : spec.default;
+        continue;
+      }
+      let v = Number(src[spec.key]);
+      if (src[spec.key] === undefined || src[spec.key] === "" || !Number.isFinite(v)) {
+        v = spec.default;
+      }
+      if (spec.min !== undefined) v = Math.max(spec.min, v);
+      if (spec.max !== undefined) v = Math.min(spec.max, v);
+      out[spec.key] = v;
+    }
+    return out;
+  }
+
+  registerModel({
+    id: "nonlinear",
+    label: "Nonlinear retrocausal map",
+    evolve(prev, memory, level, universe, out) {
+      const next = out || new Array(prev.length);
+      const alpha = 1.0 / (1.0 + level);
+      const oneMinus = 1 - alpha;
+      for (let i = 0; i < prev.length; i++) {
+        next[i] = oneMinus * Math.sin(prev[i]) + alpha * Math.cos(memory[i]);
+      }
+      return next;
+    },
+  });
+
+  registerModel({
+    id: "oscillators",
+    label: "Coupled oscillators",
+    params: [
+      { key: "k", label: "k", min: 0, max: 10, step: 0.1, default: 1.0, hint: "Spring constant" },
+      { key: "coupling", label: "Coupling", min: 0, max: 2, step: 0.01, default: 0.1, hint: "Neighbour coupling" },
+      { key: "dt", label: "dt", min: 0.001, max: 0.5, step: 0.005, default: 0.05, hint: "Time step" },
+      {
+        key: "integrator",
+        label: "Integrator",
+        default: "euler",
+        options: [
+          { value: "euler", label: "Semi-implicit Euler" },
+          { value: "verlet", label: "Velocity Verlet" },
+          { value: "rk4", label: "Runge–Kutta 4" },
+          { value: "yoshida4", label: "Yoshida 4th order" },
+        ],
+        hint: "Time stepping",
+      },
+      {
+        key: "boundary",
+        label: "Boundary",
+        default: "free",
+        options: [
+          { value: "free", label: "Free ends" },
+          { value: "fixed", label: "Fixed ends" },
+          { value: "periodic", label: "Periodic ring" },
+        ],
+        hint: "Chain ends",
+      },
+    ],
+    evolve(prev, memory, level, universe, out) {
+      return evolveOscillators(prev, universe.systemType, universe.rng, universe.modelParams, out);
+    },
+    energy: (state, params) => oscillatorEnergy(state, params),
+    phase: oscillatorPhase,
+  });
+
+  registerModel({
+    id: "ising",
+    label: "Simple Ising-like spins",
+    params: [
+      { key: "J", label: "J", min: -5, max: 5, step: 0.1, default: 1.0, hint: "Exchange coupling" },
+      { key: "beta", label: "β", min: 0, max: 10, step: 0.05, default: 1.0, hint: "Inverse temperature" },
+      { key: "h", label: "h", min: -5, max: 5, step: 0.05, default: 0.0, hint: "External field" },
+    ],
+    evolve(prev, memory, level, universe, out) {
+      return evolveIsing(prev, universe.systemType, universe.rng, universe.modelParams, out);
+    },
+    energy: (state, params) => isingEnergy(state, params),
+    phase: magnetisationPhase,
+  });
+
+  registerModel({
+    id: "ising-lattice",
+    label: "Lattice Ising (Monte Carlo)",
+    params: [
+      {
+        key: "lattice",
+        label: "Lattice",
+        default: "2d",
+        options: [
+          { value: "1d", label: "1D ring" },
+          { value: "2d", label: "2D torus" },
+        ],
+        hint: "Periodic boundaries",
+      },
+      {
+        key: "dynamics",
+        label: "Dynamics",
+        default: "metropolis",
+        options: [
+          { value: "metropolis", label: "Metropolis" },
+          { value: "glauber", label: "Glauber" },
+        ],
+        hint: "Spin-flip rule",
+      },
+      { key: "J", label: "J", min: -5, max: 5, step: 0.1, default: 1.0, hint: "Exchange coupling" },
+      { key: "h", label: "h", min: -5, max: 5, step: 0.05, default: 0.0, hint: "External field" },
+      { key: "T", label: "T", min: 0.01, max: 20, step: 0.05, default: 2.269, hint: "Temperature" },
+    ],
+    init: (dim, rng) => Array.from({ length: dim }, () => (rng() < 0.5 ? -1 : 1)),
+    evolve(prev, memory, level, universe, out) {
+      return evolveLatticeIsing(prev, universe.systemType, universe.rng, universe.modelParams, out);
+    },
+    energy: (state, params) => latticeIsingEnergy(state, params),
+    observe: (states, universe) => latticeIsingSample(states, universe.modelParams),
+    phase: magnetisationPhase,
+  });
+
+  function modelEnergy(modelType, state, modelParams) {
+    return getModel(modelType).energy(state, resolveModelParams(modelType, modelParams));
+  }
+
+  // === Phase space ===
+  // A model's `phase(trajectories, universe)` hook maps the before- and
+  // after-influence trajectories (arrays of states, `before` may be null)
+  // into one shared 2D frame; models without one get a PCA projection.
+  // Curves are thinned to PHASE_MAX_POINTS points for plotting.
+  const PHASE_MAX_POINTS = 2000;
+
+  function phaseStride(length) {
+    return Math.max(1, Math.ceil(length / PHASE_MAX_POINTS));
+  }
+
+  function phaseCurve(trajectory, point) {
+    if (!trajectory) return null;
+    const stride = phaseStride(trajectory.length);
+    const out = [];
+    for (let t = 0; t < trajectory.length; t += stride) out.push(point(trajectory[t], t));
+    return out;
+  }
+
+  function oscillatorPhase({ before, after, t0 }, universe) {
+    const n = Math.floor(universe.dim / 2);
+    const plots = [];
+    for (let i = 0; i < n; i++) {
+      const point = s => [s[2 * i], s[2 * i + 1]];
+      plots.push({
+        label: "oscillator " + i,
+        before: phaseCurve(before, point),
+        after: phaseCurve(after, point),
+        t0: { before: before ? point(before[t0]) : null, after: point(after[t0]) },
+      });
+    }
+    return { kind: "phase", xLabel: "x", yLabel: "v", plots };
+  }
+
+  function magnetisation(state) {
+    let m = 0;
+    for (let i = 0; i < state.length; i++) m += state[i];
+    return state.length ? m / state.length : 0;
+  }
+
+  function magnetisationPhase({ before, after, t0 }) {
+    const point = (s, t) => [t, magnetisation(s)];
+    return {
+      kind: "magnetisation",
+      xLabel: "t",
+      yLabel: "m",
+      plots: [{
+        label: "magnetisation",
+        before: phaseCurve(before, point),
+        after: phaseCurve(after, point),
+        t0: { before: before ? point(before[t0], t0) : null, after: point(after[t0], t0) },
+      }],
+    };
+  }
+
+  // Top two principal axes of the (thinned) after-trajectory by power
+  // iteration on XᵀX with deflation; both trajectories are projected onto
+  // them around the after-trajectory's mean.
+  function pcaPhase({ before, after, t0 }, universe) {
+    const dim = universe.dim;
+    const stride = phaseStride(after.length);
+    const rows = [];
+    for (let t = 0; t < after.length; t += stride) rows.push(after[t]);
+    const mean = new Float64Array(dim);
+    rows.forEach((r) => {
+      for (let j = 0; j < dim; j++) mean[j] += r[j] / rows.length;
+    });
+    const centred = rows.map(r => Float64Array.from(r, (v, j) => v - mean[j]));
+    let total = 0;
+    centred.forEach((r) => {
+      for (let j = 0; j < dim; j++) total += r[j] * r[j];
+    });
+
+    const rng = makeRng(0x9ca5eed);
+    const axes = [];
+    const variances = [];
+    for (let k = 0; k < 2; k++) {
+      let v = Float64Array.from({ length: dim }, () => rng() - 0.5);
+      let lambda = 0;
+      for (let iter = 0; iter < 100; iter++) {
+        const next = new Float64Array(dim);
+        centred.forEach((r) => {
+          let dot = 0;
+          for (let j = 0; j < dim; j++) dot += r[j] * v[j];
+          for (let j = 0; j < dim; j++) next[j] += dot * r[j];
+        });
+        // deflate: stay orthogonal to the axes already found
+        axes.forEach((a) => {
+          let dot = 0;
+          for (let j = 0; j < dim; j++) dot += next[j] * a[j];
+          for (let j = 0; j < dim; j++) next[j] -= dot * a[j];
+        });
+        const size = norm(next);
+        if (size < 1e-300) break;
+        for (let j = 0; j < dim; j++) next[j] /= size;
+        const settled = Math.abs(size - lambda) <= 1e-10 * size;
+        lambda = size;
+        v = next;
+        if (settled) break;
+      }
+      axes.push(v);
+      variances.push(lambda);
+    }
+
+    const point = (s) => {
+      const out = [0, 0];
+      for (let j = 0; j < dim; j++) {
+        const c = s[j] - mean[j];
+        out[0] += c * axes[0][j];
+        out[1] += c * axes[1][j];
+      }
+      return out;
+    };
+    const explained = variances.map(l => (total > 0 ? l / total : 0));
+    return {
+      kind: "pca",
+      xLabel: "PC1",
+      yLabel: "PC2",
+      explained,
+      plots: [{
+        label: "PCA projection",
+        before: phaseCurve(before, point),
+        after: phaseCurve(after, point),
+        t0: { before: before ? point(before[t0]) : null, after: point(after[t0]) },
+      }],
+    };
+  }
+
+  // Base trajectory before the run's retro influence: the snapshot a
+  // re-evolving mode took, or the current history with t0 put back for a
+  // local nudge. Imports of re-evolved runs keep only the norms, so null.
+  function trajectoryBefore(result) {
+    if (result.diff) return result.diff.history_before;
+    if (result.norms_before) return null;
+    const before = result.universe.history.slice();
+    before[result.params.t0] = result.state_before;
+    return before;
+  }
+
+  function phaseSpace(result) {
+    const universe = result.universe;
+    const trajectories = {
+      before: trajectoryBefore(result),
+      after: universe.history,
+      t0: result.params.t0,
+    };
+    const phase = universe.model.phase || pcaPhase;
+    return phase(trajectories, universe);
+  }
+
+  // === Chaos diagnostics ===
+  // Sensitivity of the free-running base trajectory (level 0, without the
+  // run's retro influence, events or observers) from twin trajectories
+  // started a tiny ε away. Every model may read one step of memory, so the
+  // tangent state is (x_t, x_{t−1}).
+  //   spectrum     Benettin/QR exponents per step over the whole run;
+  //                spectrum[0] is the largest Lyapunov exponent
+  //   finite_time  the same exponents over consecutive windows of steps
+  //   divergence   ‖x′_t − x_t‖ of free (never renormalised) twins
+  //   baseline     the run's retro effect against what chaos alone does
+  //                with an ε at t = 0, or with a random kick of the
+  //                nudge's size at t0
+  // Directions the map collapses outright get −Infinity.
+  const CHAOS_DEFAULTS = { epsilon: 1e-8, exponents: 4, window: 0, twins: 4, seed: null };
+
+  function randomUnit(len, rng) {
+    const v = Float64Array.from({ length: len }, () => rng() * 2 - 1);
+    const size = norm(v) || 1;
+    for (let i = 0; i < len; i++) v[i] /= size;
+    return v;
+  }
+
+  // In-place modified Gram–Schmidt; returns the norm each vector had once
+  // the earlier ones were projected out. A collapsed vector is replaced by
+  // a fresh random direction orthogonal to the rest.
+  function orthonormalize(vectors, rng) {
+    const sizes = [];
+    vectors.forEach((v, j) => {
+      for (let i = 0; i < j; i++) {
+        const q = vectors[i];
+        let dot = 0;
+        for (let n = 0; n < v.length; n++) dot += v[n] * q[n];
+        for (let n = 0; n < v.length; n++) v[n] -= dot * q[n];
+      }
+      const size = norm(v);
+      sizes.push(size);
+      if (size > 1e-300) {
+        for (let n = 0; n < v.length; n++) v[n] /= size;
+        return;
+      }
+      v.set(randomUnit(v.length, rng));
+      for (let i = 0; i < j; i++) {
+        const q = vectors[i];
+        let dot = 0;
+        for (let n = 0; n < v.length; n++) dot += v[n] * q[n];
+        for (let n = 0; n < v.length; n++) v[n] -= dot * q[n];
+      }
+      const again = norm(v) || 1;
+      for (let n = 0; n < v.length; n++) v[n] /= again;
+    });
+    return sizes;
+  }
+
+  function chaos_diagnostics(result, options) {
+    const o = Object.assign({}, CHAOS_DEFAULTS, options || {});
+    const u = result.universe;
+    const { t0, t1 } = result.params;
+    const dim = u.dim;
+    const steps = u.history.length;
+    const eps = o.epsilon;
+    const rng = makeRng(o.seed === null ? u.seed ^ 0x6c078965 : o.seed);
+    const initial = (trajectoryBefore(result) || u.history)[0];
+    const driver = new LivingUniverse(dim, u.modelType, u.systemType, u.seed, initial, u.modelParams, {
+      mode: "window",
+      observe: false,
+    });
+    // level 0 of LivingUniverse.step: x_t = F(x_{t−1}, x_{t−2}), with x_{−1} = x_0
+    const advance = (cur, prev, t) => {
+      driver.rng = makeRng(stepSeed(u.seed, t));
+      return driver.evolve(cur, t > 1 ? prev : cur, 0, new Float64Array(dim));
+    };
+
+    const base = [Float64Array.from(initial)];
+    for (let t = 1; t < steps; t++) base.push(advance(base[t - 1], base[t - 2], t));
+
+    // Lyapunov spectrum by repeated QR of k tangent directions
+    const k = Math.max(1, Math.min(o.exponents, 2 * dim));
+    const windowSize = o.window > 0 ? o.window : Math.max(5, Math.floor(steps / 20));
+    const basis = Array.from({ length: k }, () => randomUnit(2 * dim, rng));
+    orthonormalize(basis, rng);
+    const twins = basis.map(q => ({
+      cur: Float64Array.from(base[1], (v, n) => v + eps * q[n]),
+      prev: Float64Array.from(base[0], (v, n) => v + eps * q[dim + n]),
+    }));
+    const totals = new Array(k).fill(0);
+    const windows = [];
+    let current = null;
+    let collapsed = 0;
+    for (let t = 2; t < steps; t++) {
+      twins.forEach((twin, j) => {
+        const next = advance(twin.cur, twin.prev, t);
+        const q = basis[j];
+        for (let n = 0; n < dim; n++) {
+          q[n] = next[n] - base[t][n];
+          q[dim + n] = twin.cur[n] - base[t - 1][n];
+        }
+      });
+      const sizes = orthonormalize(basis, rng);
+      if (!current) current = { from: t, to: t, sums: new Array(k).fill(0) };
+      sizes.forEach((size, j) => {
+        const growth = size > 1e-300 ? Math.log(size / eps) : -Infinity;
+        if (growth === -Infinity) collapsed++;
+        totals[j] += growth;
+        current.sums[j] += growth;
+      });
+      current.to = t;
+      if (current.to - current.from + 1 === windowSize || t === steps - 1) {
+        const span = current.to - current.from + 1;
+        windows.push({ from: current.from, to: current.to, exponents: current.sums.map(v => v / span) });
+        current = null;
+      }
+      twins.forEach((twin, j) => {
+        const q = basis[j];
+        for (let n = 0; n < dim; n++) {
+          twin.cur[n] = base[t][n] + eps * q[n];
+          twin.prev[n] = base[t - 1][n] + eps * q[dim + n];
+        }
+      });
+    }
+    const spectrum = totals.map(v => v / Math.max(1, steps - 2));
+
+    // free twins: an ε at t = 0, never renormalised
+    const times = Array.from({ length: steps }, (_, t) => t);
+    const curves = [];
+    const t0Shifts = [];
+    for (let j = 0; j < o.twins; j++) {
+      const r = randomUnit(dim, rng);
+      let prev = null;
+      let cur = Float64Array.from(base[0], (v, n) => v + eps * r[n]);
+      const curve = [distance(cur, base[0])];
+      if (t0 === 0) t0Shifts.push(Math.abs(norm(cur) - norm(base[0])));
+      for (let t = 1; t < steps; t++) {
+        const next = advance(cur, prev, t);
+        prev = cur;
+        cur = next;
+        curve.push(distance(cur, base[t]));
+        if (t === t0) t0Shifts.push(Math.abs(norm(cur) - norm(base[t0])));
+      }
+      curves.push(curve);
+    }
+    const median = times.map(t => quantile(curves.map(c => c[t]).sort((a, b) => a - b), 0.5));
+
+    // random kicks the size of the retro nudge, applied to x_{t0}
+    const nudge = distance(result.state_before, u.history[t0]);
+    const kicks = [];
+    for (let j = 0; j < o.twins; j++) {
+      const r = randomUnit(dim, rng);
+      let prev = base[t0 - 1] || base[t0];
+      let cur = Float64Array.from(base[t0], (v, n) => v + nudge * r[n]);
+      for (let t = t0 + 1; t <= t1; t++) {
+        const next = advance(cur, prev, t);
+        prev = cur;
+        cur = next;
+      }
+      kicks.push(distance(cur, base[t1]));
+    }
+
+    const delta_norm = Math.abs(result.delta_norm);
+    const twin_delta_norm = quantile(t0Shifts.sort((a, b) => a - b), 0.5);
+    const kick_distance_t1 = quantile(kicks.sort((a, b) => a - b), 0.5);
+    const distance_t1 = result.diff ? result.diff.distance[t1] : null;
+    return {
+      epsilon: eps,
+      largest: spectrum[0],
+      spectrum,
+      finite_time: { window: windowSize, windows },
+      divergence: { times, curves, median },
+      collapsed,
+      baseline: {
+        delta_norm,
+        twin_delta_norm,
+        ratio: delta_norm / twin_delta_norm,
+        nudge,
+        kick_distance_t1,
+        distance_t1,
+        ratio_t1: distance_t1 === null ? null : distance_t1 / kick_distance_t1,
+      },
+    };
+  }
+
+  // Relative drift of a free-running energy series against E(0); taken before
+  // any retro influence so it measures the integrator, not the signal. With
+  // `since`, only energies[since…] are folded into the earlier maximum.
+  function energyDrift(energies, since = 0, max = 0) {
+    if (!energies.length) return { final: 0, max: 0 };
+    const E0 = energies[0];
+    const scale = Math.abs(E0) > 1e-12 ? Math.abs(E0) : 1;
+    for (let t = since; t < energies.length; t++) max = Math.max(max, Math.abs(energies[t] - E0) / scale);
+    return { final: (energies[energies.length - 1] - E0) / scale, max };
+  }
+
+  function resolveParams(params) {
+    const p = Object.assign({}, DEFAULT_PARAMS, params || {});
+    p.seed = normalizeSeed(p.seed);
+    // keep the probes inside the timeline and level stack that will exist
+    p.t0 = Math.min(p.t0, p.steps - 1);
+    p.t1 = Math.min(p.t1, p.steps - 1);
+    p.obsLevel = Math.min(p.obsLevel, p.maxLevels - 1);
+    return p;
+  }
+
+  // Rough cost of runUniverse in level updates (one per level and component
+  // per step), counting every re-evolution from t0 and from the targets of
+  // consistent retro events; the fixed-point solver is charged its iteration
+  // cap. For callers that must keep a synchronous run short.
+  function runWork(params) {
+    const p = resolveParams(params);
+    const perStep = p.maxLevels * p.dim;
+    const tail = Math.max(0, p.steps - p.t0);
+    let steps = p.steps;
+    if (p.retroMode === "consistent") steps += tail;
+    if (p.retroMode === "fixed-point") {
+      steps += tail * Object.assign({}, SOLVER_DEFAULTS, p.solver || {}).maxIterations;
+    }
+    expandRetroEvents(p.retroEvents, p.steps).forEach((o) => {
+      if (o.mode === "consistent") steps += p.steps - o.target;
+    });
+    return steps * perStep;
+  }
+
+  // Child seeds are drawn from the run seed, so a whole ensemble replays too.
+  function ensembleSeeds(seed, count) {
+    const seedRng = makeRng(seed ^ 0x9e3779b9);
+    const seeds = [];
+    for (let i = 0; i < count; i++) {
+      seeds.push(normalizeSeed(seedRng() * 4294967296));
+    }
+    return seeds;
+  }
+
+  // === Experiments ===
+  // options.observe = false skips the model's per-step readings.
+  function runUniverse(params, options) {
+    const p = resolveParams(params);
+    const { steps, maxLevels, t0, t1, strength, obsLevel, dim, modelType, systemType, seed, retroMode } = p;
+
+    // a window only has to hold on to the probed steps and the event ends
+    const occurrences = expandRetroEvents(p.retroEvents, steps);
+    const pin = [t0, t1];
+    occurrences.forEach(o => pin.push(o.source, o.target));
+    const storage = {
+      mode: resolveStorageMode(p),
+      pin,
+      observe: !options || options.observe !== false,
+    };
+    const universe = new LivingUniverse(dim, modelType, systemType, seed, null, p.modelParams, storage);
+    universe.schedule(p.retroEvents, steps);
+    (p.observers || []).forEach(o => universe.addObserver(o.level, o));
+    universe.run(steps, maxLevels);
+    const energies = universe.history.map(s => modelEnergy(modelType, s, universe.modelParams));
+
+    const state_before = Array.from(universe.get_state(t0));
+    const norm_before = norm(state_before);
+    const inf_norm_before = norm(infinite_estimate(universe, t0, p.infinite));
+    const obs_norm_before = norm(new Observer(universe, obsLevel).perceive(t0));
+    const observers_before = universe.observers.map(o => o.series().values);
+
+    let diff = null;
+    let solver = null;
+    if (retroMode === "consistent") {
+      diff = retro_influence_consistent(universe, t1, t0, strength);
+    } else if (retroMode === "fixed-point") {
+      solver = solve_self_consistent(universe, t1, t0, strength, p.solver);
+      diff = solver.diff;
+    } else {
+      retro_influence(universe, t1, t0, strength);
+    }
+
+    const baseline = {
+      state_before,
+      inf_norm_before,
+      obs_norm_before,
+      observers_before,
+      energies,
+      norms_before: diff ? diff.history_before.map(v => norm(v)) : null,
+    };
+    return summarizeRun(universe, p, baseline, { diff, solver });
+  }
+
+  // Every derived number of a run, from the universe as it stands after the
+  // retro influence plus the few pre-influence readings kept in `baseline`.
+  function summarizeRun(universe, p, baseline, extras) {
+    const { t0, obsLevel, modelType } = p;
+    const { state_before, inf_norm_before, obs_norm_before, energies } = baseline;
+    const { diff = null, solver = null } = extras || {};
+    const norm_before = norm(state_before);
+
+    const state_after = Array.from(universe.get_state(t0));
+    const norm_after = norm(state_after);
+
+    const energy_before = modelEnergy(modelType, state_before, universe.modelParams);
+    const energy_after = modelEnergy(modelType, state_after, universe.modelParams);
+
+    const inf_state = infinite_estimate(universe, t0, p.infinite);
+    const inf_convergence = infinite_convergence(universe, t0, p.infinite);
+    const obs_state = Array.from(new Observer(universe, obsLevel).perceive(t0));
+    const observers = universe.observers.map((o, i) => {
+      const { times, values } = o.series();
+      const before = baseline.observers_before ? baseline.observers_before[i] : null;
+      return Object.assign(o.describe(), { times, before: before || null, after: values });
+    });
+    let observables = null;
+    if (universe.observing) {
+      observables = universe.observations();
+    } else if (universe.model.observables) {
+      observables = universe.model.observables(universe);
+    }
+
+    return {
+      params: p,
+      seed: universe.seed,
+      universe,
+      baseline,
+      state_before,
+      state_after,
+      norm_before,
+      norm_after,
+      delta_norm: norm_after - norm_before,
+      energy_before,
+      energy_after,
+      delta_energy: energy_after - energy_before,
+      inf_state,
+      inf_norm: norm(inf_state),
+      delta_inf_norm: norm(inf_state) - inf_norm_before,
+      inf_convergence,
+      retro_events: universe.scheduled.map(retroEventSummary),
+      obs_state,
+      obs_norm: norm(obs_state),
+      delta_obs_norm: norm(obs_state) - obs_norm_before,
+      observers,
+      norms: universe.history.map(v => norm(v)),
+      norms_before: baseline.norms_before,
+      energies,
+      energy_drift: energyDrift(energies),
+      observables,
+      diff,
+      solver,
+    };
+  }
+
+  // Keep evolving a finished run with LivingUniverse.step, up to `count` more
+  // steps (never past PARAM_LIMITS.steps.max). The retro influence and every
+  // number read at t0 are kept as they were; the levels move to a window once
+  // keeping them all would exceed the storage budget. Like its universe, the
+  // run's series are extended in place, so a call costs only the new steps.
+  // Scheduled events were expanded for the original steps: stepping on never
+  // rewrites the past.
+  function extendRun(result, count) {
+    const u = result.universe;
+    const p = Object.assign({}, result.params);
+    const from = u.history.length;
+    const to = Math.min(PARAM_LIMITS.steps.max, from + Math.max(0, count));
+    if (to === from) return result;
+    if (u.store.mode === "full" && levelStorageBytes({ steps: to, maxLevels: u.maxLevel, dim: u.dim }) > FULL_STORAGE_BUDGET) {
+      // full storage reads observations on demand; take them while the levels exist
+      if (u.observing) u.observations();
+      const pin = [p.t0, p.t1];
+      u.scheduled.forEach(o => pin.push(o.source, o.target));
+      u.store = u.store.windowed(pin);
+    }
+    const { energies } = result.baseline;
+    for (let t = from; t < to; t++) {
+      u.step(t, u.maxLevel);
+      energies.push(modelEnergy(p.modelType, u.history[t], u.modelParams));
+      result.norms.push(norm(u.history[t]));
+    }
+    p.steps = to;
+    u.observers.forEach((o, i) => {
+      const series = result.observers[i];
+      for (let t = Math.max(from, o.from); t <= Math.min(to - 1, o.to); t++) {
+        series.times.push(t);
+        series.after.push(o.readings[t] === undefined ? null : o.readings[t]);
+      }
+    });
+    let observables = result.observables;
+    if (u.observing) {
+      for (let t = from; t < to; t++) {
+        if (!u._observations[t]) u._observe(t);
+        observables.push(u._observations[t]);
+      }
+    } else if (u.model.observables) {
+      observables = u.model.observables(u);
+    }
+    return Object.assign({}, result, {
+      params: p,
+      energy_drift: energyDrift(energies, from, result.energy_drift.max),
+      observables,
+    });
+  }
+
+  // The per-universe numbers an ensemble aggregates; small enough to post
+  // from a worker.
+  function runEnsembleMember(params, seed) {
+    // only t0 is read back, so no member needs more than a level window
+    const r = runUniverse(Object.assign({}, params, { seed, storage: "window" }), { observe: false });
+    return {
+      seed,
+      inf_norm: r.inf_norm,
+      delta_norm: r.delta_norm,
+      obs_norm: r.obs_norm,
+      delta_energy: r.delta_energy,
+    };
+  }
+
+  // === Ensemble statistics ===
+  const ENSEMBLE_METRICS = ["inf_norm", "delta_norm", "obs_norm", "delta_energy"];
+
+  // Welford's online mean/variance: stable however many samples stream in.
+  function createRunningStats() {
+    let n = 0;
+    let mean = 0;
+    let m2 = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    return {
+      add(x) {
+        n++;
+        const d = x - mean;
+        mean += d / n;
+        m2 += d * (x - mean);
+        if (x < min) min = x;
+        if (x > max) max = x;
+      },
+      summary() {
+        return {
+          n,
+          mean: n ? mean : 0,
+          variance: n > 1 ? m2 / (n - 1) : 0,
+          min: n ? min : 0,
+          max: n ? max : 0,
+        };
+      },
+    };
+  }
+
+  // Streaming accumulator, so partial results can be reported as they land.
+  // |delta_norm| >= alertThreshold counts as an exceedance.
+  function createEnsembleStats(alertThreshold) {
+    const running = {};
+    ENSEMBLE_METRICS.forEach((key) => {
+      running[key] = createRunningStats();
+    });
+    let exceed = 0;
+    return {
+      add(m) {
+        ENSEMBLE_METRICS.forEach((key) => running[key].add(m[key]));
+        if (alertThreshold > 0 && Math.abs(m.delta_norm) >= alertThreshold) exceed++;
+      },
+      summary() {
+        const metrics = {};
+        ENSEMBLE_METRICS.forEach((key) => {
+          metrics[key] = running[key].summary();
+        });
+        const count = metrics.inf_norm.n;
+        return {
+          count,
+          meanInf: metrics.inf_norm.mean,
+          meanDelta: metrics.delta_norm.mean,
+          varInf: metrics.inf_norm.variance,
+          exceedFraction: count ? exceed / count : 0,
+          metrics,
+        };
+      },
+    };
+  }
+
+  // Linear interpolation between order statistics (type 7, as in R / numpy).
+  function quantile(sorted, q) {
+    if (!sorted.length) return NaN;
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+  }
+
+  function mean(values) {
+    let acc = 0;
+    for (const v of values) acc += v;
+    return values.length ? acc / values.length : 0;
+  }
+
+  // Percentile bootstrap CI for statFn; seeded so reports are reproducible.
+  function bootstrapCI(values, statFn = mean, options) {
+    const { resamples = 1000, level = 0.95, seed = 1 } = options || {};
+    const n = values.length;
+    if (n < 2) {
+      const v = n ? statFn(values) : NaN;
+      return [v, v];
+    }
+    const rng = makeRng(seed);
+    const stats = new Array(resamples);
+    const sample = new Array(n);
+    for (let r = 0; r < resamples; r++) {
+      for (let i = 0; i < n; i++) sample[i] = values[Math.floor(rng() * n)];
+      stats[r] = statFn(sample);
+    }
+    stats.sort((a, b) => a - b);
+    const tail = (1 - level) / 2;
+    return [quantile(stats, tail), quantile(stats, 1 - tail)];
+  }
+
+  function histogram(values, bins = 20) {
+    if (!values.length) return { edges: [], counts: [] };
+    let lo = Math.min(...values);
+    let hi = Math.max(...values);
+    if (hi - lo < 1e-12) {
+      lo -= 0.5;
+      hi += 0.5;
+    }
+    const width = (hi - lo) / bins;
+    const counts = new Array(bins).fill(0);
+    for (const v of values) {
+      counts[Math.min(bins - 1, Math.floor((v - lo) / width))]++;
+    }
+    const edges = Array.from({ length: bins + 1 }, (_, i) => lo + i * width);
+    return { edges, counts, width };
+  }
+
+  // Gaussian KDE with Silverman's rule-of-thumb bandwidth.
+  function kde(values, points = 64) {
+    const n = values.length;
+    if (!n) return { xs: [], ys: [], bandwidth: 0 };
+    const sorted = values.slice().sort((a, b) => a - b);
+    const m = mean(values);
+    let v = 0;
+    for (const x of values) v += (x - m) * (x - m);
+    const sd = n > 1 ? Math.sqrt(v / (n - 1)) : 0;
+    const iqr = quantile(sorted, 0.75) - quantile(sorted, 0.25);
+    const spread = Math.min(sd, iqr / 1.34) || sd || Math.abs(m) || 1;
+    const bandwidth = 0.9 * spread * Math.pow(n, -0.2);
+    const lo = sorted[0] - 3 * bandwidth;
+    const hi = sorted[n - 1] + 3 * bandwidth;
+    const xs = [];
+    const ys = [];
+    const norm0 = 1 / (n * bandwidth * Math.sqrt(2 * Math.PI));
+    for (let i = 0; i < points; i++) {
+      const x = lo + ((hi - lo) * i) / (points - 1);
+      let y = 0;
+      for (const s of values) {
+        const z = (x - s) / bandwidth;
+        y += Math.exp(-0.5 * z * z);
+      }
+      xs.push(x);
+      ys.push(y * norm0);
+    }
+    return { xs, ys, bandwidth };
+  }
+
+  // Full distribution report for a finished ensemble.
+  function analyzeEnsemble(metrics, options) {
+    const { alertThreshold = 0, resamples = 1000, bins = 20, seed = 1 } = options || {};
+    const report = { count: metrics.length, metrics: {} };
+    ENSEMBLE_METRICS.forEach((key) => {
+      const values = metrics.map(m => m[key]);
+      const sorted = values.slice().sort((a, b) => a - b);
+      const running = createRunningStats();
+      values.forEach(v => running.add(v));
+      const summary = running.summary();
+      report.metrics[key] = Object.assign(summary, {
+        std: Math.sqrt(summary.variance),
+        quantiles: {
+          p05: quantile(sorted, 0.05),
+          p25: quantile(sorted, 0.25),
+          p50: quantile(sorted, 0.5),
+          p75: quantile(sorted, 0.75),
+          p95: quantile(sorted, 0.95),
+        },
+        ci: bootstrapCI(values, mean, { resamples, seed }),
+        histogram: histogram(values, bins),
+        kde: kde(values),
+      });
+    });
+    const flags = metrics.map(m =>
+      alertThreshold > 0 && Math.abs(m.delta_norm) >= alertThreshold ? 1 : 0);
+    report.exceedFraction = mean(flags);
+    report.exceedCI = bootstrapCI(flags, mean, { resamples, seed });
+    return report;
+  }
+
+  function runEnsemble(params, count, alertThreshold) {
+    const p = resolveParams(params);
+    const seeds = ensembleSeeds(p.seed, count);
+    const stats = createEnsembleStats(alertThreshold);
+    const metrics = [];
+    for (let i = 0; i < count; i++) {
+      const m = runEnsembleMember(p, seeds[i]);
+      metrics.push(m);
+      stats.add(m);
+    }
+    return Object.assign({ params: p, seeds, members: metrics }, stats.summary());
+  }
+
+  // === Detection rules ===
+  // A rule { metric, op, value, abs, actions } fires when a finished run (or
+  // ensemble, for the ensemble metrics) satisfies  metric op value, comparing
+  // |metric| when abs is set. Missing metrics (no solver, NaN) never fire.
+  const DETECTION_METRICS = {
+    delta_norm: { label: "Δ‖U(t₀)‖", source: "run", read: r => r.delta_norm },
+    delta_inf_norm: { label: "Δ‖U∞(t₀)‖", source: "run", read: r => r.delta_inf_norm },
+    delta_energy: { label: "ΔE(t₀)", source: "run", read: r => r.delta_energy },
+    energy_drift: { label: "max energy drift", source: "run", read: r => r.energy_drift.max },
+    obs_norm: { label: "‖Observer(t₀)‖", source: "run", read: r => r.obs_norm },
+    delta_obs_norm: { label: "Δ‖Observer(t₀)‖", source: "run", read: r => r.delta_obs_norm },
+    residual: { label: "solver residual", source: "run", read: r => (r.solver ? r.solver.residual : null) },
+    exceed_fraction: { label: "ensemble exceed fraction", source: "ensemble", read: s => s.exceedFraction },
+    mean_delta: { label: "ensemble ⟨Δ‖U(t₀)‖⟩", source: "ensemble", read: s => s.meanDelta },
+    var_inf: { label: "ensemble Var‖U∞‖", source: "ensemble", read: s => s.varInf },
+  };
+  const DETECTION_OPS = {
+    ">=": (a, b) => a >= b,
+    ">": (a, b) => a > b,
+    "<=": (a, b) => a <= b,
+    "<": (a, b) => a < b,
+  };
+  const DETECTION_ACTIONS = ["toast", "pause", "snapshot", "sound"];
+  const DETECTION_RULE_LIMIT = 16;
+
+  function validateRules(rules) {
+    const errors = [];
+    if (!Array.isArray(rules)) return ["rules must be a list"];
+    if (rules.length > DETECTION_RULE_LIMIT) {
+      errors.push("at most " + DETECTION_RULE_LIMIT + " detection rules, got " + rules.length);
+    }
+    rules.forEach((rule, i) => {
+      const where = "rule " + (i + 1) + ": ";
+      if (!rule || !DETECTION_METRICS[rule.metric]) {
+        errors.push(where + "metric must be one of " + Object.keys(DETECTION_METRICS).join(", ") +
+          ", got " + (rule && rule.metric));
+        return;
+      }
+      if (!DETECTION_OPS[rule.op]) {
+        errors.push(where + "op must be one of " + Object.keys(DETECTION_OPS).join(" ") + ", got " + rule.op);
+      }
+      if (typeof rule.value !== "number" || !Number.isFinite(rule.value)) {
+        errors.push(where + "value must be a finite number, got " + rule.value);
+      }
+      (rule.actions || []).forEach((action) => {
+        if (!DETECTION_ACTIONS.includes(action)) {
+          errors.push(where + "action must be one of " + DETECTION_ACTIONS.join(", ") + ", got " + action);
+        }
+      });
+    });
+    return errors;
+  }
+
+  function ruleText(rule) {
+    const label = DETECTION_METRICS[rule.metric].label;
+    return (rule.abs ? "|" + label + "|" : label) + " " + rule.op + " " + rule.value;
+  }
+
+  // Rules of the other source are skipped; returns one detection per rule that fired.
+  function evaluateRules(rules, source, data) {
+    const detections = [];
+    (rules || []).forEach((rule, index) => {
+      const metric = DETECTION_METRICS[rule.metric];
+      if (!metric || metric.source !== source || rule.enabled === false) return;
+      const raw = metric.read(data);
+      if (typeof raw !== "number" || Number.isNaN(raw)) return;
+      const value = rule.abs ? Math.abs(raw) : raw;
+      if (!DETECTION_OPS[rule.op](value, rule.value)) return;
+      detections.push({
+        index,
+        metric: rule.metric,
+        source,
+        value: raw,
+        threshold: rule.value,
+        text: ruleText(rule),
+        actions: (rule.actions || []).slice(),
+      });
+    });
+    return detections;
+  }
+
+  // === Run export / import ===
+  // Versioned, lossless snapshot of a run: parameters, seed, the full base
+  // history, every retained levels[t][level] vector and the retro-influence
+  // events.
+  const EXPORT_FORMAT = "living-universe-run";
+  const EXPORT_VERSION = 1;
+  const BINARY_MAGIC = "LUEB";
+
+  function serializeRun(result) {
+    const u = result.universe;
+    const levels = {};
+    for (const t of u.store.retained()) {
+      levels[t] = u.levelsAt(t).map(v => Array.from(v));
+    }
+    const b = result.baseline;
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      params: Object.assign({}, result.params),
+      universe: {
+        dim: u.dim,
+        modelType: u.modelType,
+        modelParams: Object.assign({}, u.modelParams),
+        systemType: u.systemType,
+        seed: u.seed,
+        maxLevel: u.maxLevel,
+        history: u.history.map(v => Array.from(v)),
+        levels,
+        // a windowed run no longer has the levels these were read from
+        observations: u.observing ? u.observations() : undefined,
+        scheduled: u.scheduled.map(retroEventSummary),
+        observers: u.observers.map(o => Object.assign(o.describe(), { readings: o.series().values })),
+        events: u.events.map(e => Object.assign({}, e)),
+      },
+      baseline: {
+        state_before: b.state_before.slice(),
+        inf_norm_before: b.inf_norm_before,
+        obs_norm_before: b.obs_norm_before,
+        observers_before: b.observers_before ? b.observers_before.map(v => v.slice()) : undefined,
+        energies: b.energies.slice(),
+        norms_before: b.norms_before ? b.norms_before.slice() : null,
+      },
+      solver: result.solver
+        ? {
+            status: result.solver.status,
+            converged: result.solver.converged,
+            diverged: result.solver.diverged,
+            oscillated: result.solver.oscillated,
+            iterations: result.solver.iterations,
+            residual: result.solver.residual,
+            residuals: result.solver.residuals.slice(),
+          }
+        : null,
+    };
+  }
+
+  // Imported files are untrusted: the parameters are validated like a shared
+  // link and the universe must have the shape serializeRun writes.
+  function checkRunExport(data) {
+    const fail = (msg) => {
+      throw new Error("Run export: " + msg);
+    };
+    if (!data.params || typeof data.params !== "object") fail("no parameters");
+    const p = resolveParams(checkedParams(data.params, "Run export"));
+    const src = data.universe;
+    if (!src || typeof src !== "object") fail("no universe");
+    if (src.modelType !== p.modelType || src.dim !== p.dim || src.systemType !== p.systemType) {
+      fail("universe does not match its parameters");
+    }
+    if (!Number.isInteger(src.maxLevel) || src.maxLevel < 1 || src.maxLevel > PARAM_LIMITS.maxLevels.max) {
+      fail("maxLevel must be an integer in [1, " + PARAM_LIMITS.maxLevels.max + "], got " + src.maxLevel);
+    }
+    if (src.modelParams) {
+      checkedParams({ modelType: src.modelType, modelParams: src.modelParams }, "Run export");
+    }
+    // JSON writes NaN and ±Infinity as null
+    const isVector = v => Array.isArray(v) && v.length === src.dim && v.every(x => x === null || typeof x === "number");
+    if (!Array.isArray(src.history) || src.history.length !== p.steps || !src.history.every(isVector)) {
+      fail("history must hold " + p.steps + " states of " + src.dim + " numbers");
+    }
+    if (!src.levels || typeof src.levels !== "object") fail("no levels");
+    Object.keys(src.levels).forEach((key) => {
+      const t = Number(key);
+      const levels = src.levels[key];
+      if (!Number.isInteger(t) || t < 0 || t >= p.steps) fail("levels kept at invalid step " + key);
+      if (!Array.isArray(levels) || levels.length > src.maxLevel || !levels.every(isVector)) {
+        fail("levels at t = " + key + " must be at most " + src.maxLevel + " states of " + src.dim + " numbers");
+      }
+    });
+    ["scheduled", "events", "observers"].forEach((key) => {
+      if (src[key] !== undefined && !Array.isArray(src[key])) fail(key + " must be a list");
+    });
+    const b = data.baseline;
+    if (!b || !isVector(b.state_before) || !Array.isArray(b.energies)) fail("no baseline before the influence");
+    return p;
+  }
+
+  function deserializeRun(data) {
+    if (!data || data.format !== EXPORT_FORMAT) {
+      throw new Error("Not a Living Universe run export");
+    }
+    if (data.version > EXPORT_VERSION) {
+      throw new Error("Run export version " + data.version + " is newer than this engine supports");
+    }
+    const p = checkRunExport(data);
+    const src = data.universe;
+    // exports of windowed runs only carry the steps that were kept
+    const levelTimes = Object.keys(src.levels).map(k => parseInt(k, 10));
+    const storage =
+      levelTimes.length >= src.history.length - 1 ? { mode: "full" } : { mode: "window", pin: levelTimes };
+    const universe = new LivingUniverse(
+      src.dim,
+      src.modelType,
+      src.systemType,
+      src.seed,
+      src.history[0],
+      src.modelParams,
+      storage
+    );
+    universe.reserve(src.history.length, src.maxLevel);
+    universe.load(src.history, src.levels, src.observations);
+    // fired events keep their record, but no longer the deltas to retract
+    universe.scheduled = (src.scheduled || []).map(o => Object.assign({}, o, { firing: false }));
+    universe._indexSchedule();
+    universe.events = (src.events || []).map(e => Object.assign({}, e));
+    (src.observers || []).forEach((o) => {
+      const observer = universe.addObserver(o.level, o);
+      (o.readings || []).forEach((v, i) => {
+        if (v !== null) observer.readings[observer.from + i] = v;
+      });
+    });
+
+    return summarizeRun(universe, p, data.baseline, { solver: data.solver });
+  }
+
+  // Binary layout (little endian):
+  //   "LUEB" | u32 version | u32 header bytes | UTF-8 JSON header | pad to 8
+  //   | f64 history[T][dim] | f64 levels[t][level][dim] for header.levelTimes
+  // The header is the JSON export minus history and level vectors.
+  function encodeRunBinary(data) {
+    const u = data.universe;
+    const levelTimes = Object.keys(u.levels).map(k => parseInt(k, 10)).sort((a, b) => a - b);
+    const header = Object.assign({}, data, {
+      universe: Object.assign({}, u, {
+        history: undefined,
+        levels: undefined,
+        steps: u.history.length,
+        levelTimes,
+        levelCounts: levelTimes.map(t => u.levels[t].length),
+      }),
+    });
+    const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+    const dataOffset = Math.ceil((12 + headerBytes.length) / 8) * 8;
+    let floats = u.history.length * u.dim;
+    levelTimes.forEach((t) => {
+      floats += u.levels[t].length * u.dim;
+    });
+
+    const buffer = new ArrayBuffer(dataOffset + floats * 8);
+    const bytes = new Uint8Array(buffer);
+    for (let i = 0; i < 4; i++) bytes[i] = BINARY_MAGIC.charCodeAt(i);
+    const view = new DataView(buffer);
+    view.setUint32(4, EXPORT_VERSION, true);
+    view.setUint32(8, headerBytes.length, true);
+    bytes.set(headerBytes, 12);
+
+    let pos = dataOffset;
+    const write = (v) => {
+      for (let i = 0; i < u.dim; i++) {
+        view.setFloat64(pos, v[i], true);
+        pos += 8;
+      }
+    };
+    u.history.forEach(write);
+    levelTimes.forEach(t => u.levels[t].forEach(write));
+    return buffer;
+  }
+
+  function isRunBinary(buffer) {
+    const bytes = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+    return String.fromCharCode.apply(null, bytes) === BINARY_MAGIC;
+  }
+
+  function decodeRunBinary(buffer) {
+    if (!isRunBinary(buffer)) throw new Error("Not a Living Universe binary export");
+    const view = new DataView(buffer);
+    const version = view.getUint32(4, true);
+    if (version > EXPORT_VERSION) {
+      throw new Error("Run export version " + version + " is newer than this engine supports");
+    }
+    const headerLength = view.getUint32(8, true);
+    const header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 12, headerLength)));
+    const u = header.universe;
+    let pos = Math.ceil((12 + headerLength) / 8) * 8;
+    const read = () => {
+      const v = new Array(u.dim);
+      for (let i = 0; i < u.dim; i++) {
+        v[i] = view.getFloat64(pos, true);
+        pos += 8;
+      }
+      return v;
+    };
+    const history = Array.from({ length: u.steps }, read);
+    const levels = {};
+    u.levelTimes.forEach((t, idx) => {
+      levels[t] = Array.from({ length: u.levelCounts[idx] }, read);
+    });
+    const universe = Object.assign({}, u, { history, levels });
+    delete universe.steps;
+    delete universe.levelTimes;
+    delete universe.levelCounts;
+    return Object.assign({}, header, { universe });
+  }
+
+  // === Shareable parameter sets ===
+  // URL hashes and preset files carry only the DEFAULT_PARAMS keys. In a hash
+  // scalars stay readable (steps=120&t0=30…); nested options are JSON.
+  const PARAMS_VERSION = 1;
+  const PRESET_FORMAT = "living-universe-presets";
+
+  function shareableParams(params) {
+    const picked = {};
+    Object.keys(DEFAULT_PARAMS).forEach((key) => {
+      const v = params[key];
+      if (v !== undefined && v !== null) picked[key] = v;
+    });
+    return picked;
+  }
+
+  function checkedParams(params, source) {
+    const errors = validateParams(params);
+    if (errors.length) throw new Error(source + ": " + errors.join("; "));
+    return params;
+  }
+
+  function encodeParamsHash(params) {
+    const query = new URLSearchParams({ v: String(PARAMS_VERSION) });
+    const p = shareableParams(params || {});
+    Object.keys(p).forEach((key) => {
+      query.set(key, typeof p[key] === "object" ? JSON.stringify(p[key]) : String(p[key]));
+    });
+    return query.toString();
+  }
+
+  // null when the hash carries no parameter set at all
+  function decodeParamsHash(hash) {
+    const query = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+    if (!query.has("v")) return null;
+    const version = Number(query.get("v"));
+    if (!(version >= 1)) throw new Error("Shared link has no valid version");
+    if (version > PARAMS_VERSION) {
+      throw new Error("Shared link version " + version + " is newer than this engine supports");
+    }
+    const params = {};
+    Object.keys(DEFAULT_PARAMS).forEach((key) => {
+      if (!query.has(key)) return;
+      const raw = query.get(key);
+      const kind = key === "seed" ? "number" : typeof DEFAULT_PARAMS[key];
+      if (kind === "number") {
+        params[key] = raw === "" ? NaN : Number(raw);
+      } else if (kind === "string") {
+        params[key] = raw;
+      } else {
+        try {
+          params[key] = JSON.parse(raw);
+        } catch (_) {
+          throw new Error("Shared link: " + key + " is not valid JSON");
+        }
+      }
+    });
+    return checkedParams(params, "Shared link");
+  }
+
+  function presetFile(presets) {
+    return {
+      format: PRESET_FORMAT,
+      version: PARAMS_VERSION,
+      presets: presets.map(({ name, params }) => ({ name, params: shareableParams(params) })),
+    };
+  }
+
+  function readPresetFile(data) {
+    if (!data || data.format !== PRESET_FORMAT || !Array.isArray(data.presets)) {
+      throw new Error("Not a Living Universe preset file");
+    }
+    if (data.version > PARAMS_VERSION) {
+      throw new Error("Preset file version " + data.version + " is newer than this engine supports");
+    }
+    return data.presets.map((preset, i) => {
+      const name = preset && typeof preset.name === "string" ? preset.name.trim() : "";
+      if (!name) throw new Error("Preset " + (i + 1) + " has no name");
+      const params = shareableParams((preset && preset.params) || {});
+      return { name, params: checkedParams(params, "Preset " + name) };
+    });
+  }
+
+  // === Run digests ===
+  // What a long-lived run log keeps of one run: the replayable parameter set,
+  // the headline metrics and ‖U(t)‖ thinned to at most DIGEST_MAX_POINTS.
+  const DIGEST_METRICS = [
+    "delta_norm",
+    "inf_norm",
+    "delta_inf_norm",
+    "obs_norm",
+    "delta_obs_norm",
+    "delta_energy",
+  ];
+  const DIGEST_MAX_POINTS = 500;
+
+  function runDigest(result) {
+    const p = result.params;
+    const norms = result.norms;
+    const stride = Math.max(1, Math.ceil(norms.length / DIGEST_MAX_POINTS));
+    const times = [];
+    const values = [];
+    for (let t = 0; t < norms.length; t += stride) {
+      times.push(t);
+      values.push(norms[t]);
+    }
+    if (times[times.length - 1] !== norms.length - 1) {
+      times.push(norms.length - 1);
+      values.push(norms[norms.length - 1]);
+    }
+    const metrics = {};
+    DIGEST_METRICS.forEach((key) => {
+      metrics[key] = result[key];
+    });
+    return {
+      params: shareableParams(Object.assign({}, p, { seed: result.seed })),
+      seed: result.seed,
+      modelType: p.modelType,
+      systemType: p.systemType,
+      retroMode: p.retroMode,
+      steps: norms.length,
+      t0: p.t0,
+      t1: p.t1,
+      metrics,
+      trace: { times, values },
+    };
+  }
+
+  // === Tabular export ===
+  // One row per time step: t, ‖history[t]‖, ‖infinite_state(t)‖, the norm of
+  // every recursive level, the model energy, each observer's reading, the
+  // model's observables (lattice Ising: m, ⟨|m|⟩, E/N, χ, C and the
+  // nearest-neighbour correlation) as obs_<snake_case> and each state component.
+  function runTable(result) {
+    const u = result.universe;
+    const levelCount = u.maxLevel;
+    const columns = ["t", "norm", "inf_norm"];
+    for (let level = 0; level < levelCount; level++) columns.push("level_" + level + "_norm");
+    columns.push("energy");
+    u.observers.forEach((o, i) => columns.push("observer_" + i));
+    const observables = result.observables || [];
+    const observableKeys = observables.length ? Object.keys(observables[0]).filter(k => k !== "t") : [];
+    const observableColumn = k => "obs_" + k.replace(/[A-Z]/g, c => "_" + c.toLowerCase());
+    observableKeys.forEach(k => columns.push(observableColumn(k)));
+    for (let i = 0; i < u.dim; i++) columns.push("x" + i);
+
+    const rows = u.history.map((state, t) => {
+      const levels = u.levelsAt(t);
+      const row = { t, norm: norm(state), inf_norm: levels ? norm(u.infinite_state(t)) : null };
+      for (let level = 0; level < levelCount; level++) {
+        row["level_" + level + "_norm"] = levels && levels[level] ? norm(levels[level]) : null;
+      }
+      row.energy = modelEnergy(u.modelType, state, u.modelParams);
+      u.observers.forEach((o, i) => {
+        row["observer_" + i] = o.readings[t] === undefined ? null : o.readings[t];
+      });
+      observableKeys.forEach((k) => {
+        row[observableColumn(k)] = observables[t] ? observables[t][k] : null;
+      });
+      for (let i = 0; i < u.dim; i++) row["x" + i] = state[i];
+      return row;
+    });
+    return { columns, rows };
+  }
+
+  // ‖levels[t][level]‖ for every step and level, row-major by t; NaN where
+  // a windowed store did not keep the step; lo/hi span the finite values.
+  // Float32 keeps the largest timelines cheap enough to plot. Given the grid
+  // of the same universe before extendRun, only the new steps are measured
+  // (into its buffer, which grows by doubling); steps that have since left
+  // the level window keep their values.
+  function levelNormGrid(universe, previous) {
+    const steps = universe.history.length;
+    const levels = universe.maxLevel;
+    const dim = universe.dim;
+    const store = universe.store;
+    const reuse = !!previous && previous.levels === levels && previous.steps <= steps;
+    let values = reuse ? previous.values : null;
+    if (!values || values.length < steps * levels) {
+      const capacity = reuse ? Math.max(steps, Math.min(PARAM_LIMITS.steps.max, 2 * previous.steps)) : steps;
+      values = new Float32Array(capacity * levels).fill(NaN);
+      if (reuse) values.set(previous.values.subarray(0, previous.steps * levels));
+    }
+    let lo = reuse ? previous.lo : Infinity;
+    let hi = reuse ? previous.hi : -Infinity;
+    for (let t = reuse ? previous.steps : 0; t < steps; t++) {
+      if (!store.has(t)) continue;
+      let off = store.offset(t, 0);
+      for (let level = 0; level < levels; level++) {
+        let acc = 0;
+        for (let j = 0; j < dim; j++) acc += store.buffer[off + j] * store.buffer[off + j];
+        const v = Math.sqrt(acc);
+        values[t * levels + level] = v;
+        if (v < lo) lo = v;
+        if (v > hi) hi = v;
+        off += dim;
+      }
+    }
+    return { steps, levels, values, lo, hi };
+  }
+
+  // One row per universe of an ensemble.
+  function ensembleTable(members) {
+    const columns = ["index", "seed"].concat(ENSEMBLE_METRICS);
+    const rows = members.map((m, index) => {
+      const row = { index, seed: m.seed };
+      ENSEMBLE_METRICS.forEach((key) => {
+        row[key] = m[key];
+      });
+      return row;
+    });
+    return { columns, rows };
+  }
+
+  // Numbers keep their JavaScript spelling, so NaN (a level the window did
+  // not keep) stays apart from Infinity and -Infinity (collapsed Lyapunov
+  // directions, diverged norms).
+  function csvCell(value) {
+    if (value === null || value === undefined) return "";
+    if (typeof value === "number") return String(value);
+    const text = String(value);
+    return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }
+
+  function toCSV(table) {
+    const lines = [table.columns.map(csvCell).join(",")];
+    table.rows.forEach((row) => {
+      lines.push(table.columns.map(c => csvCell(row[c])).join(","));
+    });
+    return lines.join("\n") + "\n";
+  }
+
+  // JSON has no NaN/Infinity, so those become null; toCSV spells them out.
+  function toNDJSON(table) {
+    return table.rows.map(row => JSON.stringify(row)).join("\n") + "\n";
+  }
+
+  // === Parameter sweeps ===
+  // Sweepable keys: strength, dim, gap (t1 - t0), maxLevels, and
+  // "model.<key>" for any numeric parameter in the model's schema.
+  const SWEEP_KEYS = {
+    strength: { label: "strength", integer: false, min: 0 },
+    dim: { label: "dim", integer: true, min: PARAM_LIMITS.dim.min, max: PARAM_LIMITS.dim.max },
+    gap: { label: "t₁ − t₀", integer: true, min: 1 },
+    maxLevels: { label: "levels", integer: true, min: PARAM_LIMITS.maxLevels.min, max: PARAM_LIMITS.maxLevels.max },
+  };
+
+  function sweepKeys(modelType) {
+    const keys = Object.keys(SWEEP_KEYS).map(key => ({ key, label: SWEEP_KEYS[key].label }));
+    getModel(modelType).params.forEach((spec) => {
+      if (!spec.options) keys.push({ key: "model." + spec.key, label: spec.label });
+    });
+    return keys;
+  }
+
+  function linspace(min, max, n) {
+    if (n <= 1) return [min];
+    return Array.from({ length: n }, (_, i) => min + ((max - min) * i) / (n - 1));
+  }
+
+  function sweepSpec(key, modelType) {
+    if (SWEEP_KEYS[key]) return SWEEP_KEYS[key];
+    const spec = key.indexOf("model.") === 0 && getModel(modelType).params.find(s => "model." + s.key === key);
+    if (!spec || spec.options) throw new Error("Unknown sweep parameter: " + key);
+    return { label: spec.label, integer: false, min: spec.min, max: spec.max };
+  }
+
+  // n values from min to max as they will run: integer keys are rounded (and
+  // repeats dropped), and values outside the key's bounds are refused.
+  function sweepAxis(key, min, max, n, modelType) {
+    const spec = sweepSpec(key, modelType || DEFAULT_PARAMS.modelType);
+    const lo = spec.min === undefined ? -Infinity : spec.min;
+    const hi = spec.max === undefined ? Infinity : spec.max;
+    const bounds = hi === Infinity ? "≥ " + lo : "in [" + lo + ", " + hi + "]";
+    [min, max].forEach((v) => {
+      if (!Number.isFinite(v) || v < lo || v > hi) throw new Error(key + " sweep values must be " + bounds + ", got " + v);
+    });
+    let values = linspace(min, max, n);
+    if (spec.integer) values = values.map(Math.round).filter((v, i, all) => all.indexOf(v) === i);
+    return { key, values };
+  }
+
+  // No clamping: a value the run cannot use is left for validateParams to
+  // report. Only obsLevel follows a swept maxLevels down.
+  function applySweepValue(params, key, value) {
+    const p = Object.assign({}, params);
+    const spec = sweepSpec(key, p.modelType);
+    const v = spec.integer ? Math.round(value) : value;
+    if (key === "gap") {
+      p.t1 = p.t0 + v;
+    } else if (SWEEP_KEYS[key]) {
+      p[key] = v;
+    } else {
+      p.modelParams = Object.assign(resolveModelParams(p.modelType, p.modelParams), { [key.slice(6)]: v });
+    }
+    if (key === "maxLevels" && p.obsLevel >= v) p.obsLevel = v - 1;
+    return p;
+  }
+
+  // axes: [{ key, values }] with one or two entries. Every cell shares the
+  // base seed, so neighbouring cells differ only by the swept parameters.
+  // x and y are the values each cell runs with; a cell that would not pass
+  // validateParams throws.
+  function sweepCells(base, axes) {
+    const p = resolveParams(base);
+    const [xAxis, yAxis] = axes;
+    const ys = yAxis ? yAxis.values : [null];
+    const used = (axis, v) => (sweepSpec(axis.key, p.modelType).integer ? Math.round(v) : v);
+    const cells = [];
+    ys.forEach((yv, j) => {
+      xAxis.values.forEach((xv, i) => {
+        const x = used(xAxis, xv);
+        const y = yAxis ? used(yAxis, yv) : null;
+        let cp = applySweepValue(p, xAxis.key, x);
+        if (yAxis) cp = applySweepValue(cp, yAxis.key, y);
+        const errors = validateParams(cp);
+        if (errors.length) {
+          throw new Error(
+            "Sweep point " + xAxis.key + " = " + x + (yAxis ? ", " + yAxis.key + " = " + y : "") + ": " + errors.join("; ")
+          );
+        }
+        cells.push({ i, j, x, y, params: cp });
+      });
+    });
+    return cells;
+  }
+
+  function runSweep(base, axes, count, alertThreshold) {
+    return sweepCells(base, axes).map((cell) => {
+      const e = runEnsemble(cell.params, count, alertThreshold);
+      return Object.assign(cell, {
+        meanDelta: e.meanDelta,
+        meanInf: e.meanInf,
+        varInf: e.varInf,
+        exceedFraction: e.exceedFraction,
+      });
+    });
+  }
+
+  return {
+    DEFAULT_DIM,
+    DEFAULT_LEVELS,
+    DEFAULT_STEPS,
+    DEFAULT_PARAMS,
+    PARAM_LIMITS,
+    SYSTEM_TYPES,
+    RETRO_MODES,
+    STORAGE_MODES,
+    FULL_STORAGE_BUDGET,
+    levelStorageBytes,
+    resolveStorageMode,
+    validateParams,
+    runWork,
+    makeRng,
+    stepSeed,
+    randomSeed,
+    normalizeSeed,
+    zeros,
+    randVec,
+    sinVec,
+    cosVec,
+    addVec,
+    subVec,
+    scaleVec,
+    blendVec,
+    norm,
+    distance,
+    blendInto,
+    nudgeInto,
+    LevelStore,
+    LivingUniverse,
+    INF_WEIGHTINGS,
+    INF_EXTRAPOLATIONS,
+    INFINITE_DEFAULTS,
+    levelWeights,
+    infinite_convergence,
+    infinite_estimate,
+    retro_influence,
+    retro_influence_consistent,
+    RETRO_EVENT_MODES,
+    RETRO_EVENT_LIMITS,
+    expandRetroEvents,
+    apply_retro_event,
+    trajectoryDiff,
+    SOLVER_DEFAULTS,
+    solve_self_consistent,
+    Observer,
+    OBSERVER_MEASURES,
+    OBSERVER_LIMIT,
+    evolveOscillators,
+    evolveIsing,
+    oscillatorEnergy,
+    chainAcceleration,
+    INTEGRATORS,
+    energyDrift,
+    isingEnergy,
+    latticeShape,
+    evolveLatticeIsing,
+    latticeIsingEnergy,
+    latticeCorrelation,
+    latticeIsingSample,
+    latticeIsingObservables,
+    MODELS,
+    registerModel,
+    getModel,
+    hasModel,
+    listModels,
+    resolveModelParams,
+    modelEnergy,
+    resolveParams,
+    ensembleSeeds,
+    runUniverse,
+    extendRun,
+    runEnsembleMember,
+    ENSEMBLE_METRICS,
+    createRunningStats,
+    createEnsembleStats,
+    quantile,
+    bootstrapCI,
+    histogram,
+    kde,
+    analyzeEnsemble,
+    DETECTION_METRICS,
+    DETECTION_OPS,
+    DETECTION_ACTIONS,
+    DETECTION_RULE_LIMIT,
+    validateRules,
+    ruleText,
+    evaluateRules,
+    summarizeRun,
+    EXPORT_FORMAT,
+    EXPORT_VERSION,
+    serializeRun,
+    deserializeRun,
+    encodeRunBinary,
+    decodeRunBinary,
+    isRunBinary,
+    PARAMS_VERSION,
+    PRESET_FORMAT,
+    shareableParams,
+    encodeParamsHash,
+    decodeParamsHash,
+    presetFile,
+    readPresetFile,
+    DIGEST_METRICS,
+    runDigest,
+    runTable,
+    levelNormGrid,
+    phaseSpace,
+    CHAOS_DEFAULTS,
+    chaos_diagnostics,
+    magnetisation,
+    ensembleTable,
+    toCSV,
+    toNDJSON,
+    SWEEP_KEYS,
+    sweepKeys,
+    linspace,
+    sweepAxis,
+    applySweepValue,
+    sweepCells,
+    runSweep,
+    runEnsemble,
+  };
+});
@@ -0,0 +1,307 @@
+/*
+ * Invariants of the headless engine. Run with: node --test
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Engine = require("./engine.js");
+
+const BASE = { steps: 80, maxLevels: 12, t0: 20, t1: 60, obsLevel: 4, dim: 6 };
+
+function params(extra) {
+  return Object.assign({}, BASE, extra);
+}
+
+test("a seed replays the same universe", () => {
+  Engine.listModels().forEach(({ id }) => {
+    const a = Engine.runUniverse(params({ modelType: id, seed: 1234 }));
+    const b = Engine.runUniverse(params({ modelType: id, seed: 1234 }));
+    assert.deepEqual(a.norms, b.norms, id);
+    assert.deepEqual(a.state_after, b.state_after, id);
+    assert.equal(a.delta_norm, b.delta_norm, id);
+    const c = Engine.runUniverse(params({ modelType: id, seed: 1235 }));
+    assert.notDeepEqual(a.norms, c.norms, id);
+  });
+});
+
+test("a run without a seed reports the one it drew", () => {
+  const a = Engine.runUniverse(params({ seed: null }));
+  const b = Engine.runUniverse(params({ seed: a.seed }));
+  assert.deepEqual(a.norms, b.norms);
+});
+
+test("ensembles replay from their seed", () => {
+  const a = Engine.runEnsemble(params({ seed: 99 }), 4, 0.3);
+  const b = Engine.runEnsemble(params({ seed: 99 }), 4, 0.3);
+  assert.deepEqual(a.members, b.members);
+});
+
+test("window storage gives the same run as full storage", () => {
+  ["local", "consistent", "fixed-point"].forEach((retroMode) => {
+    const base = params({
+      seed: 7,
+      retroMode,
+      retroEvents: [{ source: 50, target: 30, strength: 0.05 }],
+    });
+    const full = Engine.runUniverse(Object.assign({}, base, { storage: "full" }));
+    const window = Engine.runUniverse(Object.assign({}, base, { storage: "window" }));
+    assert.equal(full.universe.store.mode, "full");
+    assert.equal(window.universe.store.mode, "window");
+    assert.deepEqual(window.norms, full.norms, retroMode);
+    assert.deepEqual(window.state_after, full.state_after, retroMode);
+    assert.equal(window.inf_norm, full.inf_norm, retroMode);
+    assert.equal(window.obs_norm, full.obs_norm, retroMode);
+  });
+});
+
+test("the fixed-point solver converges for a weak coupling", () => {
+  const result = Engine.runUniverse(params({ seed: 3, retroMode: "fixed-point", strength: 0.02 }));
+  const solver = result.solver;
+  assert.equal(solver.status, "converged");
+  assert.ok(solver.converged);
+  assert.ok(solver.residual <= 1e-9, "residual " + solver.residual);
+  assert.ok(solver.iterations < 100);
+});
+
+function oscillatorDrift(integrator, dt, steps) {
+  const result = Engine.runUniverse(params({
+    seed: 3,
+    steps,
+    dim: 8,
+    storage: "window",
+    modelType: "oscillators",
+    modelParams: { integrator, dt },
+  }));
+  return result.energy_drift.max;
+}
+
+test("Verlet and Yoshida keep the oscillator energy bounded at their order", () => {
+  // symplectic: the energy error oscillates instead of accumulating
+  ["verlet", "yoshida4"].forEach((integrator) => {
+    const short = oscillatorDrift(integrator, 0.1, 1000);
+    assert.ok(oscillatorDrift(integrator, 0.1, 4000) < 1.05 * short, integrator);
+  });
+  assert.ok(oscillatorDrift("rk4", 0.1, 4000) > 2 * oscillatorDrift("rk4", 0.1, 1000));
+  // halving dt shrinks the error by 2^order
+  const ratio = integrator => oscillatorDrift(integrator, 0.1, 1000) / oscillatorDrift(integrator, 0.05, 1000);
+  assert.ok(Math.abs(ratio("verlet") - 4) < 0.5, "verlet " + ratio("verlet"));
+  assert.ok(Math.abs(ratio("yoshida4") - 16) < 2, "yoshida4 " + ratio("yoshida4"));
+  assert.ok(oscillatorDrift("verlet", 0.05, 1000) < oscillatorDrift("euler", 0.05, 1000) / 10);
+});
+
+// A universe whose levels at t = 1 are all e₀, so the weights alone set the series.
+function unitLevels(levels) {
+  const u = new Engine.LivingUniverse(3, "nonlinear", "isolated", 1);
+  u.run(2, levels);
+  for (let i = 0; i < levels; i++) u.store.view(1, i).set([1, 0, 0]);
+  return u;
+}
+
+test("Aitken sums a geometric series exactly and Richardson removes a 1/n tail", () => {
+  const u = unitLevels(40);
+  const r = 0.9;
+  const plain = Engine.infinite_convergence(u, 1, { weighting: "geometric", ratio: r });
+  plain.norms.forEach((S, k) => assert.ok(Math.abs(S - (1 - Math.pow(r, k + 1))) < 1e-12, "S_" + (k + 1)));
+  assert.equal(plain.converged, false);
+
+  const aitken = Engine.infinite_convergence(u, 1, { weighting: "geometric", ratio: r, extrapolation: "aitken" });
+  aitken.aitken.slice(2).forEach((v, k) => assert.ok(Math.abs(v - 1) < 1e-9, "aitken " + (k + 3) + ": " + v));
+  assert.ok(aitken.converged);
+  assert.ok(Math.abs(aitken.estimate_norm - 1) < 1e-9);
+
+  // w_i = 1/((i+1)(i+2)) telescopes to S_n = n/(n+1): limit 1, tail 1/(n+1)
+  const weights = i => 1 / ((i + 1) * (i + 2));
+  const tail = Engine.infinite_convergence(u, 1, { weighting: "custom", weights, extrapolation: "richardson" });
+  const partialError = 1 - tail.norms[39];
+  const richardsonError = Math.abs(1 - tail.richardson[39]);
+  assert.ok(Math.abs(partialError - 1 / 41) < 1e-12);
+  assert.ok(richardsonError < partialError / 15, richardsonError + " vs " + partialError);
+  assert.ok(Math.abs(1 - tail.richardson[39]) < Math.abs(1 - tail.richardson[19]));
+});
+
+test("JSON export round-trips a run", () => {
+  const result = Engine.runUniverse(params({
+    seed: 11,
+    retroMode: "consistent",
+    retroEvents: [{ source: 40, target: 25, strength: 0.03 }],
+    observers: [{ level: 2, measure: "norm" }],
+  }));
+  const data = JSON.parse(JSON.stringify(Engine.serializeRun(result)));
+  const back = Engine.deserializeRun(data);
+  assert.deepEqual(back.norms, result.norms);
+  assert.deepEqual(back.state_after, result.state_after);
+  assert.equal(back.delta_norm, result.delta_norm);
+  assert.equal(back.inf_norm, result.inf_norm);
+  assert.deepEqual(back.retro_events.map(e => e.shift), result.retro_events.map(e => e.shift));
+  assert.deepEqual(JSON.parse(JSON.stringify(Engine.serializeRun(back))), data);
+});
+
+test("binary export round-trips a run", () => {
+  const result = Engine.runUniverse(params({ seed: 12, storage: "window" }));
+  const data = Engine.serializeRun(result);
+  const buffer = Engine.encodeRunBinary(data);
+  assert.ok(Engine.isRunBinary(buffer));
+  const back = Engine.deserializeRun(Engine.decodeRunBinary(buffer));
+  assert.deepEqual(back.norms, result.norms);
+  assert.equal(back.delta_norm, result.delta_norm);
+});
+
+test("a share hash replays the run", () => {
+  const p = params({ seed: 21, modelType: "oscillators", retroMode: "consistent" });
+  const decoded = Engine.decodeParamsHash(Engine.encodeParamsHash(p));
+  assert.deepEqual(Engine.runUniverse(decoded).norms, Engine.runUniverse(p).norms);
+});
+
+test("extending a run steps the same universe a longer run would", () => {
+  ["local", "consistent"].forEach((retroMode) => {
+    let result = Engine.runUniverse(params({ seed: 8, retroMode, observers: [{ level: 2, from: 70 }] }));
+    for (let i = 0; i < 4; i++) result = Engine.extendRun(result, 15);
+    const longer = Engine.runUniverse(params({ seed: 8, retroMode, steps: 140 }));
+    assert.equal(result.norms.length, 140);
+    assert.equal(result.params.steps, 140);
+    assert.deepEqual(result.norms, result.universe.history.map(v => Engine.norm(v)), retroMode);
+    assert.equal(result.energies.length, 140);
+    assert.deepEqual(result.energy_drift, Engine.energyDrift(result.energies), retroMode);
+    assert.deepEqual(result.observers[0].times, Array.from({ length: 70 }, (_, i) => 70 + i), retroMode);
+    for (let t = 0; t < 140; t++) {
+      assert.ok(Engine.distance(result.universe.history[t], longer.universe.history[t]) < 1e-12, retroMode + " t=" + t);
+    }
+  });
+});
+
+test("a level grid measured step by step matches one measured at once", () => {
+  ["full", "window"].forEach((storage) => {
+    let result = Engine.runUniverse(params({ seed: 9, storage }));
+    let grid = Engine.levelNormGrid(result.universe);
+    for (let i = 0; i < 5; i++) {
+      result = Engine.extendRun(result, 7);
+      grid = Engine.levelNormGrid(result.universe, grid);
+    }
+    const fresh = Engine.levelNormGrid(result.universe);
+    assert.equal(grid.steps, 115);
+    assert.ok(grid.values.length >= fresh.values.length);
+    if (storage === "full") {
+      assert.deepEqual(grid.values.subarray(0, fresh.values.length), fresh.values);
+      assert.deepEqual([grid.lo, grid.hi], [fresh.lo, fresh.hi]);
+    }
+    // a window drops old steps, but the grid keeps what it measured
+    for (let i = 0; i < fresh.values.length; i++) {
+      if (!Number.isNaN(fresh.values[i])) assert.equal(grid.values[i], fresh.values[i], storage + " " + i);
+    }
+  });
+});
+
+test("runWork charges re-evolutions and the solver's iteration cap", () => {
+  const local = Engine.runWork(params({}));
+  assert.equal(local, 80 * 12 * 6);
+  assert.equal(Engine.runWork(params({ retroMode: "consistent" })), (80 + 60) * 12 * 6);
+  assert.equal(
+    Engine.runWork(params({ retroMode: "fixed-point", solver: { maxIterations: 10 } })),
+    (80 + 60 * 10) * 12 * 6
+  );
+  assert.ok(Engine.runWork({ steps: 20000, maxLevels: 400, dim: 256 }) > 1e9);
+});
+
+test("sweep axes stay inside PARAM_LIMITS and report the values that run", () => {
+  const limits = Engine.PARAM_LIMITS;
+  assert.throws(() => Engine.sweepAxis("dim", 2, limits.dim.max + 1, 3), /dim sweep values must be in \[2, 256\]/);
+  assert.throws(() => Engine.sweepAxis("maxLevels", 1, 10, 3), /maxLevels sweep values must be in \[5, 400\]/);
+  assert.throws(() => Engine.sweepAxis("strength", -1, 0, 2), /strength sweep values must be ≥ 0/);
+  assert.throws(() => Engine.sweepAxis("model.beta", 0, 11, 2, "ising"), /model.beta sweep values must be in \[0, 10\]/);
+  assert.deepEqual(Engine.sweepAxis("dim", 2, 4, 5).values, [2, 3, 4]);
+
+  const cells = Engine.sweepCells(params({ seed: 1 }), [Engine.sweepAxis("gap", 1, 39, 3)]);
+  assert.deepEqual(cells.map(c => c.x), [1, 20, 39]);
+  assert.deepEqual(cells.map(c => c.params.t1), [21, 40, 59]);
+  // t0 = 20 leaves room for a gap of at most 59
+  assert.throws(() => Engine.sweepCells(params({}), [Engine.sweepAxis("gap", 1, 60, 2)]), /Sweep point gap = 60: t1 must be/);
+});
+
+test("an ordered low-temperature lattice stays ordered at every step", () => {
+  ["1d", "2d"].forEach((lattice) => {
+    const dim = 64;
+    const u = new Engine.LivingUniverse(dim, "ising-lattice", "isolated", 4, new Array(dim).fill(1), { lattice, T: 0.25 });
+    u.run(100, 8);
+    const observables = u.observations();
+    assert.equal(observables.length, 100);
+    observables.forEach((o) => {
+      assert.ok(o.absMagnetisation > 0.95, lattice + " t=" + o.t + " |m|=" + o.absMagnetisation);
+      assert.ok(o.correlation > 0.9, lattice + " t=" + o.t + " corr=" + o.correlation);
+    });
+    assert.equal(observables[0].correlation, 1);
+  });
+});
+
+test("the run table carries the per-step observables", () => {
+  const result = Engine.runUniverse(params({ seed: 5, modelType: "ising-lattice", dim: 16 }));
+  const table = Engine.runTable(result);
+  ["obs_magnetisation", "obs_abs_magnetisation", "obs_susceptibility", "obs_specific_heat", "obs_correlation"]
+    .forEach(column => assert.ok(table.columns.includes(column), column));
+  table.rows.forEach((row, t) => {
+    assert.equal(row.obs_magnetisation, result.observables[t].magnetisation);
+    assert.equal(row.obs_correlation, result.observables[t].correlation);
+  });
+  assert.ok(!Engine.runTable(Engine.runUniverse(params({ seed: 5 }))).columns.some(c => c.startsWith("obs_")));
+});
+
+test("CSV keeps NaN and ±Infinity apart", () => {
+  const table = { columns: ["a", "b", "c", "d", "e"], rows: [{ a: NaN, b: Infinity, c: -Infinity, d: null, e: 1.5 }] };
+  assert.equal(Engine.toCSV(table), "a,b,c,d,e\nNaN,Infinity,-Infinity,,1.5\n");
+});
+
+test("an import with invalid parameters or a malformed universe is rejected", () => {
+  const data = JSON.parse(JSON.stringify(Engine.serializeRun(Engine.runUniverse(params({ seed: 13 })))));
+  const broken = (edit) => {
+    const copy = JSON.parse(JSON.stringify(data));
+    edit(copy);
+    return () => Engine.deserializeRun(copy);
+  };
+  assert.throws(broken(d => (d.params.retroEvents = ["\"><img src=x onerror=alert(1)>"])), /Run export: retroEvents\[0\]/);
+  assert.throws(broken(d => (d.params.modelType = "<b>")), /Run export: model must be one of/);
+  assert.throws(broken(d => (d.params.t0 = "30")), /Run export: t0 must be/);
+  assert.throws(broken(d => delete d.universe.history), /Run export: history must hold 80 states/);
+  assert.throws(broken(d => (d.universe.levels = { 3: [[1, 2]] })), /Run export: levels at t = 3/);
+  assert.throws(broken(d => delete d.params), /Run export: no parameters/);
+  assert.doesNotThrow(broken(() => {}));
+});
+
+// x ↦ 4x(1 − x) on every component: Lyapunov exponent ln 2. Registered last
+// so the loops over listModels() above never see it.
+function logisticModel() {
+  return Engine.registerModel({
+    id: "test-logistic",
+    init: (dim, rng) => Float64Array.from({ length: dim }, () => 0.1 + 0.8 * rng()),
+    evolve(prev, memory, level, universe, out) {
+      for (let i = 0; i < prev.length; i++) out[i] = 4 * prev[i] * (1 - prev[i]);
+      return out;
+    },
+  });
+}
+
+test("chaos diagnostics separate chaotic, neutral and contracting dynamics", () => {
+  logisticModel();
+  const diagnose = modelType => {
+    const result = Engine.runUniverse(params({ modelType, dim: 3, steps: 120, seed: 3 }));
+    return Engine.chaos_diagnostics(result, { exponents: 6, window: 10 });
+  };
+
+  const chaotic = diagnose("test-logistic");
+  chaotic.spectrum.slice(0, 3).forEach(v => assert.ok(Math.abs(v - Math.LN2) < 0.1, "exponent " + v));
+  // the memory half of the tangent state feeds nothing forward
+  chaotic.spectrum.slice(3).forEach(v => assert.ok(v < -10, "memory exponent " + v));
+  const median = chaotic.divergence.median;
+  assert.ok(Math.abs(Math.log(median[10] / median[0]) / 10 - Math.LN2) < 0.2);
+  assert.ok(chaotic.baseline.kick_distance_t1 > 10 * chaotic.baseline.nudge);
+  const windows = chaotic.finite_time.windows;
+  assert.equal(windows[0].from, 2);
+  assert.equal(windows[windows.length - 1].to, 119);
+  windows.slice(1).forEach((w, i) => assert.equal(w.from, windows[i].to + 1));
+  assert.deepEqual(diagnose("test-logistic"), chaotic);
+
+  const neutral = diagnose("oscillators");
+  assert.ok(Math.abs(neutral.largest) < 0.02, "oscillators " + neutral.largest);
+  assert.ok(neutral.divergence.median[119] < 10 * neutral.epsilon);
+
+  const contracting = diagnose("nonlinear");
+  contracting.spectrum.forEach(v => assert.ok(v < -0.1, "nonlinear " + v));
+  assert.ok(contracting.divergence.median[119] < contracting.epsilon);
+});
@@ -0,0 +1,203 @@
+/*
+ * Multiverse ensembles off the main thread.
+ *
+ * const job = new EnsemblePool().run(params, count, progress => { ... }, { alertThreshold });
+ * job.cancel();
+ * job.promise.then(({ cancelled, error, summary, metrics }) => { ... });
+ *
+ * Seeds are split into chunks and handed to a pool of ensemble-worker.js
+ * workers. Where workers are unavailable (e.g. pages opened from file://)
+ * the same chunks run on the main thread, one per macrotask, so the page
+ * still stays responsive and the progress/cancel API is unchanged. A member
+ * that throws there ends the job: the promise resolves with `error` set and
+ * the statistics of the universes finished so far.
+ */
+(function () {
+  const Engine = window.LivingUniverseEngine;
+  const WORKER_URL = "ensemble-worker.js";
+  const CHUNK_SIZE = 20;
+
+  function defaultPoolSize() {
+    const cores = (window.navigator && navigator.hardwareConcurrency) || 2;
+    return Math.max(1, Math.min(8, cores - 1));
+  }
+
+  class EnsemblePool {
+    constructor(options = {}) {
+      this.size = options.size || defaultPoolSize();
+      this.workerUrl = options.workerUrl || WORKER_URL;
+      this.chunkSize = options.chunkSize || CHUNK_SIZE;
+      this.workers = [];
+      this.job = null;
+      this.nextJobId = 1;
+      this.workersBroken = typeof window.Worker === "undefined";
+    }
+
+    run(params, count, onProgress, options = {}) {
+      this.cancel();
+
+      const p = Engine.resolveParams(params);
+      const seeds = Engine.ensembleSeeds(p.seed, count);
+      const queue = [];
+      for (let offset = 0; offset < seeds.length; offset += this.chunkSize) {
+        queue.push({ offset, seeds: seeds.slice(offset, offset + this.chunkSize) });
+      }
+
+      const job = {
+        id: this.nextJobId++,
+        params: p,
+        queue,
+        inFlight: 0,
+        done: 0,
+        total: seeds.length,
+        stats: Engine.createEnsembleStats(options.alertThreshold),
+        metrics: new Array(seeds.length),
+        onProgress,
+        cancelled: false,
+        error: null,
+      };
+      job.promise = new Promise((resolve) => {
+        job.resolve = resolve;
+      });
+      this.job = job;
+
+      if (!job.total) {
+        this._finish(job);
+      } else if (this.workersBroken || !this._startWorkers(job)) {
+        this._runOnMainThread(job);
+      }
+
+      return {
+        promise: job.promise,
+        cancel: () => {
+          if (this.job === job) this.cancel();
+        },
+      };
+    }
+
+    cancel() {
+      const job = this.job;
+      if (!job) return;
+      job.cancelled = true;
+      this.job = null;
+      // terminating is the only way to stop a chunk mid-flight
+      this.workers.forEach(w => w.terminate());
+      this.workers = [];
+      job.resolve(this._result(job));
+    }
+
+    _result(job) {
+      return {
+        cancelled: job.cancelled,
+        error: job.error,
+        params: job.params,
+        done: job.done,
+        total: job.total,
+        summary: job.stats.summary(),
+        metrics: job.metrics.filter(Boolean),
+      };
+    }
+
+    _record(job, offset, metrics) {
+      metrics.forEach((m, i) => {
+        job.metrics[offset + i] = m;
+        job.stats.add(m);
+      });
+      job.done += metrics.length;
+      if (job.onProgress) {
+        try {
+          job.onProgress({
+            done: job.done,
+            total: job.total,
+            summary: job.stats.summary(),
+            metrics,
+          });
+        } catch (_) {
+          // a faulty listener must not stall the pool
+        }
+      }
+      if (job.done >= job.total) this._finish(job);
+    }
+
+    _finish(job) {
+      if (this.job === job) this.job = null;
+      job.resolve(this._result(job));
+    }
+
+    _fail(job, err) {
+      job.error = err instanceof Error ? err : new Error(String(err));
+      this._finish(job);
+    }
+
+    _startWorkers(job) {
+      try {
+        const wanted = Math.min(this.size, job.queue.length);
+        while (this.workers.length < wanted) {
+          this.workers.push(new Worker(this.workerUrl));
+        }
+      } catch (_) {
+        this.workersBroken = true;
+        this.workers.forEach(w => w.terminate());
+        this.workers = [];
+        return false;
+      }
+      this.workers.forEach(worker => {
+        worker.onmessage = (event) => {
+          const msg = event.data;
+          if (msg.jobId !== job.id || job.cancelled) return;
+          worker.chunk = null;
+          job.inFlight--;
+          this._dispatch(job, worker);
+          this._record(job, msg.offset, msg.metrics);
+        };
+        worker.onerror = (event) => {
+          if (event && event.preventDefault) event.preventDefault();
+          this._abandonWorkers(job);
+        };
+        this._dispatch(job, worker);
+      });
+      return true;
+    }
+
+    _dispatch(job, worker) {
+      const chunk = job.queue.shift();
+      if (!chunk) return;
+      worker.chunk = chunk;
+      job.inFlight++;
+      worker.postMessage({ jobId: job.id, params: job.params, seeds: chunk.seeds, offset: chunk.offset });
+    }
+
+    // A worker failed (missing file, blocked origin…): requeue its work and
+    // finish the job on the main thread.
+    _abandonWorkers(job) {
+      this.workersBroken = true;
+      this.workers.forEach(w => {
+        if (w.chunk) job.queue.unshift(w.chunk);
+        w.terminate();
+      });
+      this.workers = [];
+      job.inFlight = 0;
+      if (this.job === job && !job.cancelled) this._runOnMainThread(job);
+    }
+
+    _runOnMainThread(job) {
+      const next = () => {
+        if (job.cancelled || this.job !== job) return;
+        const chunk = job.queue.shift();
+        if (!chunk) return;
+        let metrics;
+        try {
+          metrics = chunk.seeds.map(seed => Engine.runEnsembleMember(job.params, seed));
+        } catch (err) {
+          this._fail(job, err);
+          return;
+        }
+        this._record(job, chunk.offset, metrics);
+        setTimeout(next, 0);
+      };
+      setTimeout(next, 0);
+    }
+  }
+
+  window.EnsemblePool = EnsemblePool;
+})();
@@ -0,0 +1,68 @@
+/*
+ * EnsemblePool's main-thread fallback, in a window-like sandbox. Run with: node --test
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const Engine = require("./engine.js");
+
+const SOURCE = fs.readFileSync(path.join(__dirname, "ensemble-pool.js"), "utf8");
+const PARAMS = { steps: 40, maxLevels: 6, t0: 10, t1: 30, obsLevel: 2, dim: 4, seed: 5 };
+
+// engine: overrides for the copy the pool sees; Worker: constructor or undefined
+function loadPool(engine, Worker) {
+  const sandbox = { setTimeout, navigator: { hardwareConcurrency: 2 } };
+  sandbox.window = sandbox;
+  sandbox.LivingUniverseEngine = Object.assign({}, Engine, engine);
+  if (Worker) sandbox.Worker = Worker;
+  vm.runInNewContext(SOURCE, sandbox);
+  return sandbox.EnsemblePool;
+}
+
+function throwingAfter(n) {
+  let calls = 0;
+  return {
+    runEnsembleMember(params, seed) {
+      if (++calls > n) throw new Error("member " + calls + " blew up");
+      return Engine.runEnsembleMember(params, seed);
+    },
+  };
+}
+
+test("the main-thread fallback matches runEnsemble", async () => {
+  const EnsemblePool = loadPool({});
+  const result = await new EnsemblePool({ chunkSize: 3 }).run(PARAMS, 7, null, { alertThreshold: 0.3 }).promise;
+  assert.equal(result.error, null);
+  assert.equal(result.cancelled, false);
+  assert.equal(result.done, 7);
+  // the sandbox has its own Array, so compare plain copies
+  assert.deepEqual(JSON.parse(JSON.stringify(result.metrics)), Engine.runEnsemble(PARAMS, 7, 0.3).members);
+});
+
+test("a throwing member ends the job with the error", async () => {
+  const EnsemblePool = loadPool(throwingAfter(4));
+  const progress = [];
+  const pool = new EnsemblePool({ chunkSize: 2 });
+  const result = await pool.run(PARAMS, 8, p => progress.push(p.done)).promise;
+  assert.match(result.error.message, /member 5 blew up/);
+  assert.equal(result.done, 4);
+  assert.equal(result.metrics.length, 4);
+  assert.deepEqual(progress, [2, 4]);
+  assert.equal(pool.job, null);
+});
+
+test("a failing worker hands its chunks to the main thread, which can fail too", async () => {
+  class BrokenWorker {
+    postMessage() {
+      setTimeout(() => this.onerror({ preventDefault() {} }), 0);
+    }
+
+    terminate() {}
+  }
+  const EnsemblePool = loadPool(throwingAfter(0), BrokenWorker);
+  const result = await new EnsemblePool({ size: 2, chunkSize: 2 }).run(PARAMS, 6).promise;
+  assert.match(result.error.message, /blew up/);
+  assert.equal(result.done, 0);
+});
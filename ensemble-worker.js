@@ -0,0 +1,14 @@
+/*
+ * Ensemble worker: runs a chunk of universes off the main thread.
+ *
+ * in:  { jobId, params, seeds, offset }
+ * out: { type: "chunk", jobId, offset, metrics: [...] }
+ */
+importScripts("engine.js");
+
+self.onmessage = function (event) {
+  const { jobId, params, seeds, offset } = event.data;
+  const Engine = self.LivingUniverseEngine;
+  const metrics = seeds.map(seed => Engine.runEnsembleMember(params, seed));
+  self.postMessage({ type: "chunk", jobId, offset, metrics });
+};
@@ -0,0 +1,98 @@
+/*
+ * Playback for auto-run: play, pause, single step and speed.
+ *
+ * const player = new PlaybackController({ tick: n => { ... }, onState: state => { ... } });
+ * player.setRate(60, 1000);   // ticks per second, most ticks handed over per frame
+ * player.play(); player.pause(); player.step();
+ *
+ * A single requestAnimationFrame loop owns the timing: every frame it adds
+ * elapsed time × rate to a tick budget and hands the whole ticks to
+ * tick(n) at once. The budget is capped at maxBatch, so a slow tick drops
+ * frames instead of queueing work behind it. tick returns false to stop
+ * (e.g. the timeline is full). There are no timers to race with: pause()
+ * only has to bump the loop's generation.
+ */
+(function () {
+  // a backgrounded tab resumes without a burst of catch-up ticks
+  const MAX_FRAME_MS = 250;
+
+  class PlaybackController {
+    constructor(options = {}) {
+      this.tick = options.tick;
+      this.onState = options.onState || null;
+      this.rate = 1;
+      this.maxBatch = 1;
+      this.playing = false;
+      this.generation = 0;
+      this.budget = 0;
+    }
+
+    setRate(rate, maxBatch = 1) {
+      this.rate = Math.max(0, rate);
+      this.maxBatch = Math.max(1, maxBatch);
+      this._emit();
+    }
+
+    play() {
+      if (this.playing) return;
+      this.playing = true;
+      // the first frame ticks straight away
+      this.budget = 1;
+      const generation = ++this.generation;
+      let last = null;
+      const frame = (now) => {
+        if (generation !== this.generation) return;
+        const elapsed = last === null ? 0 : Math.min(MAX_FRAME_MS, now - last);
+        last = now;
+        this.budget = Math.min(this.maxBatch, this.budget + (elapsed / 1000) * this.rate);
+        const n = Math.floor(this.budget);
+        if (n >= 1) {
+          this.budget -= n;
+          if (!this._run(n)) return;
+        }
+        if (generation === this.generation) requestAnimationFrame(frame);
+      };
+      requestAnimationFrame(frame);
+      this._emit();
+    }
+
+    pause() {
+      if (!this.playing) return;
+      this.playing = false;
+      this.generation++;
+      this._emit();
+    }
+
+    toggle() {
+      if (this.playing) this.pause();
+      else this.play();
+    }
+
+    // one tick, and playback stops
+    step() {
+      this.pause();
+      this._run(1);
+    }
+
+    _run(n) {
+      let more;
+      try {
+        more = this.tick(n);
+      } catch (err) {
+        this.pause();
+        throw err;
+      }
+      if (more === false) {
+        this.pause();
+        return false;
+      }
+      return true;
+    }
+
+    _emit() {
+      if (this.onState) this.onState({ playing: this.playing, rate: this.rate });
+    }
+  }
+
+  window.PlaybackController = PlaybackController;
+})();
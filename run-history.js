@@ -0,0 +1,164 @@
+/*
+ * Persistent run log in IndexedDB.
+ *
+ * const log = new RunHistory();
+ * log.add(Engine.runDigest(result)).then(record => { ... });   // record.id
+ * log.list({ query, modelType, systemType, pinnedOnly }).then(records => { ... });
+ * log.setPinned(id, true); log.remove(id); log.clearUnpinned();
+ *
+ * Records are kept until removed; list() returns pinned runs first, then the
+ * newest. Where IndexedDB is unavailable (private windows, some file://
+ * pages) the log lives in memory for the session and the API is unchanged.
+ */
+(function () {
+  const DB_NAME = "alive-universe";
+  const DB_VERSION = 1;
+  const STORE = "runs";
+
+  function request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function matches(record, filter) {
+    if (filter.pinnedOnly && !record.pinned) return false;
+    if (filter.modelType && record.modelType !== filter.modelType) return false;
+    if (filter.systemType && record.systemType !== filter.systemType) return false;
+    const query = (filter.query || "").trim().toLowerCase();
+    if (!query) return true;
+    const text = [
+      "#" + record.id,
+      record.modelType,
+      record.systemType,
+      record.retroMode,
+      "seed " + record.seed,
+    ].join(" ").toLowerCase();
+    return query.split(/\s+/).every(word => text.includes(word));
+  }
+
+  class RunHistory {
+    constructor(options = {}) {
+      this.dbName = options.dbName || DB_NAME;
+      this.memory = null;
+      this.nextId = 1;
+      this.ready = this._open();
+    }
+
+    _open() {
+      const fallback = () => {
+        this.memory = [];
+        return null;
+      };
+      if (typeof window.indexedDB === "undefined") return Promise.resolve(fallback());
+      return new Promise((resolve) => {
+        let req;
+        try {
+          req = indexedDB.open(this.dbName, DB_VERSION);
+        } catch (_) {
+          resolve(fallback());
+          return;
+        }
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          if (!db.objectStoreNames.contains(STORE)) {
+            db.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+          }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => resolve(fallback());
+        req.onblocked = () => resolve(fallback());
+      });
+    }
+
+    get persistent() {
+      return this.memory === null;
+    }
+
+    // fn(store) returns an IDBRequest or a value; resolves once the transaction commits
+    _tx(mode, fn) {
+      return this.ready.then((db) => new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        let result;
+        const out = fn(tx.objectStore(STORE));
+        if (out && typeof out.onsuccess !== "undefined") {
+          out.onsuccess = () => {
+            result = out.result;
+          };
+        } else {
+          result = out;
+        }
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      }));
+    }
+
+    add(digest) {
+      const record = Object.assign({ time: Date.now(), pinned: false }, digest);
+      delete record.id;
+      return this.ready.then(() => {
+        if (!this.persistent) {
+          record.id = this.nextId++;
+          this.memory.push(record);
+          return record;
+        }
+        return this._tx("readwrite", store => store.add(record)).then((id) => {
+          record.id = id;
+          return record;
+        });
+      });
+    }
+
+    get(id) {
+      return this.ready.then(() => {
+        if (!this.persistent) return this.memory.find(r => r.id === id) || null;
+        return this._tx("readonly", store => store.get(id)).then(r => r || null);
+      });
+    }
+
+    list(filter = {}) {
+      return this.ready
+        .then(() => (this.persistent ? this._tx("readonly", store => store.getAll()) : this.memory.slice()))
+        .then(records => records
+          .filter(r => matches(r, filter))
+          .sort((a, b) => (b.pinned - a.pinned) || (b.time - a.time) || (b.id - a.id)));
+    }
+
+    setPinned(id, pinned) {
+      return this.get(id).then((record) => {
+        if (!record) return null;
+        record.pinned = !!pinned;
+        if (!this.persistent) return record;
+        return this._tx("readwrite", store => store.put(record)).then(() => record);
+      });
+    }
+
+    remove(id) {
+      return this.ready.then(() => {
+        if (!this.persistent) {
+          this.memory = this.memory.filter(r => r.id !== id);
+          return undefined;
+        }
+        return this._tx("readwrite", store => store.delete(id));
+      });
+    }
+
+    // pinned runs survive; resolves with the number of records removed
+    clearUnpinned() {
+      return this.list().then((records) => {
+        const ids = records.filter(r => !r.pinned).map(r => r.id);
+        if (!this.persistent) {
+          this.memory = this.memory.filter(r => r.pinned);
+          return ids.length;
+        }
+        return this._tx("readwrite", (store) => {
+          ids.forEach(id => store.delete(id));
+        }).then(() => ids.length);
+      });
+    }
+  }
+
+  window.RunHistory = RunHistory;
+})();
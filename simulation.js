@@ -1,157 +1,301 @@
 (function () {
-  const DEFAULT_DIM = 10;
-  const DEFAULT_LEVELS = 50;
-  const DEFAULT_STEPS = 100;
+  const Engine = window.LivingUniverseEngine;
+  const { DEFAULT_DIM, normalizeSeed, randomSeed, runUniverse, listModels, getModel } = Engine;
   let audioCtx = null;
   let soundEnabledCache = true;
-  let autoRunHandle = null;
-  let lastAlertTime = 0;
+  let player = null;
+  let ensemblePool = null;
+  let ensembleJob = null;
+  let lastEnsembleReport = null;
+  let sweepPool = null;
+  let sweepState = null;
+  let lastRun = null;
+  let loggedUniverse = null;
+  let timeline = null;
+  let lastEnsemble = null;
+  let detectionCenter = null;
 
-  function zeros(len) {
-    return new Array(len).fill(0);
+  function fmt(x) {
+    return x.toFixed(4);
   }
 
-  function randVec(len) {
-    return Array.from({ length: len }, () => Math.random());
+  function clampInt(value, min, max, fallback) {
+    const n = parseInt(value, 10);
+    if (Number.isNaN(n)) return fallback;
+    return Math.min(max, Math.max(min, n));
   }
 
-  function sinVec(v) {
-    return v.map(Math.sin);
+  // Model dropdown and per-model controls come from the engine's registry.
+  function buildModelSelect() {
+    const modelEl = document.getElementById("model-select");
+    if (!modelEl) return;
+    const current = modelEl.value || "nonlinear";
+    modelEl.innerHTML = "";
+    listModels().forEach((model) => {
+      const opt = document.createElement("option");
+      opt.value = model.id;
+      opt.textContent = model.label;
+      modelEl.appendChild(opt);
+    });
+    modelEl.value = current;
   }
 
-  function cosVec(v) {
-    return v.map(Math.cos);
+  function renderModelParams(modelType) {
+    const container = document.getElementById("model-params");
+    if (!container) return;
+    container.innerHTML = "";
+    getModel(modelType).params.forEach((spec) => {
+      const row = document.createElement("div");
+      row.className = "control-row";
+      const id = "model-param-" + spec.key;
+      const input = spec.options
+        ? '<select id="' + id + '" class="select-input">' +
+          spec.options
+            .map(o =>
+              '<option value="' + o.value + '"' + (o.value === spec.default ? " selected" : "") + ">" +
+              (o.label || o.value) + "</option>")
+            .join("") +
+          "</select>"
+        : '<input id="' + id + '" type="number"' +
+          (spec.min !== undefined ? ' min="' + spec.min + '"' : "") +
+          (spec.max !== undefined ? ' max="' + spec.max + '"' : "") +
+          ' step="' + (spec.step || "any") + '" value="' + spec.default + '" />';
+      row.innerHTML =
+        '<label for="' + id + '">' + spec.label + "</label>" +
+        input +
+        "<small>" + (spec.hint || "") + "</small>";
+      container.appendChild(row);
+    });
   }
 
-  function addVec(a, b) {
-    return a.map((x, i) => x + b[i]);
+  function readModelParams(modelType) {
+    const values = {};
+    getModel(modelType).params.forEach((spec) => {
+      const el = document.getElementById("model-param-" + spec.key);
+      if (el) values[spec.key] = el.value;
+    });
+    return Engine.resolveModelParams(modelType, values);
   }
 
-  function subVec(a, b) {
-    return a.map((x, i) => x - b[i]);
+  // "0,2,4-7" -> [0, 2, 4, 5, 6, 7]
+  function parseMask(text) {
+    const out = [];
+    String(text || "").split(/[\s,;]+/).filter(Boolean).forEach((part) => {
+      const range = part.match(/^(\d+)-(\d+)$/);
+      if (range) {
+        for (let i = Number(range[1]); i <= Number(range[2]) && out.length < 256; i++) out.push(i);
+      } else if (/^\d+$/.test(part)) {
+        out.push(Number(part));
+      }
+    });
+    return out.filter((v, i) => out.indexOf(v) === i);
   }
 
-  function scaleVec(v, s) {
-    return v.map(x => x * s);
+  // Editor rows are built node by node: their values come from imports,
+  // share links and stored history, so none of them may go through innerHTML.
+  function rowLabel(forId, text) {
+    const label = document.createElement("label");
+    label.htmlFor = forId;
+    label.textContent = text;
+    return label;
   }
 
-  function blendVec(a, b, alpha) {
-    const oneMinus = 1 - alpha;
-    return a.map((x, i) => oneMinus * x + alpha * b[i]);
+  // props: input properties such as min, max, step and placeholder
+  function rowInput(id, type, value, props) {
+    const input = document.createElement("input");
+    input.id = id;
+    input.type = type;
+    Object.assign(input, props || {});
+    input.value = value === undefined || value === null ? "" : String(value);
+    return input;
   }
 
-  function norm(v) {
-    let acc = 0;
-    for (let i = 0; i < v.length; i++) {
-      acc += v[i] * v[i];
-    }
-    return Math.sqrt(acc);
+  function rowSelect(id, options, selected) {
+    const select = document.createElement("select");
+    select.id = id;
+    select.className = "select-input";
+    options.forEach(({ value, label }) => {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = label;
+      select.appendChild(opt);
+    });
+    select.value = selected;
+    return select;
   }
 
-  class LivingUniverse {
-    constructor(dim, modelType, systemType, seed) {
-      this.dim = dim || DEFAULT_DIM;
-      this.modelType = modelType || "nonlinear";
-      this.systemType = systemType || "isolated";
-      if (!seed) {
-        seed = randVec(this.dim);
-      }
-      this.history = [seed];
-      this.levels = {};
-    }
+  function rowRemoveButton(dataKey, index, title) {
+    const button = document.createElement("button");
+    button.className = "mini-button";
+    button.type = "button";
+    button.dataset[dataKey] = String(index);
+    button.title = title;
+    button.textContent = "×";
+    return button;
+  }
 
-    evolve(prev, memory, level) {
-      if (this.modelType === "oscillators") {
-        return evolveOscillators(prev, this.systemType);
-      }
-      if (this.modelType === "ising") {
-        return evolveIsing(prev, this.systemType);
-      }
-      // default: nonlinear retrocausal map
-      const A = sinVec(prev);
-      const B = cosVec(memory);
-      const alpha = 1.0 / (1.0 + level);
-      return blendVec(A, B, alpha);
-    }
-
-    step(t, maxLevel = DEFAULT_LEVELS) {
-      if (t === 0) return;
-      this.levels[t] = {};
-
-      const prev = this.history[t - 1];
-      const mem = t > 1 ? this.history[t - 2] : prev;
-
-      const base_now = this.evolve(prev, mem, 0);
-      this.history.push(base_now);
-      this.levels[t][0] = base_now;
-
-      for (let level = 1; level < maxLevel; level++) {
-        const prev_layer = this.levels[t][level - 1];
-        const mem_layer =
-          t > 1 ? this.levels[t - 1][level - 1] : prev_layer;
-        const state = this.evolve(prev_layer, mem_layer, level);
-        this.levels[t][level] = state;
-      }
-    }
+  function renderRetroEvents(events) {
+    const container = document.getElementById("retro-events");
+    if (!container) return;
+    container.innerHTML = "";
+    container.dataset.count = String(events.length);
+    events.forEach((e, i) => {
+      const row = document.createElement("div");
+      row.className = "control-row compact-row";
+      const id = key => "retro-event-" + i + "-" + key;
+      const field = (key, label, value, props) => {
+        row.appendChild(rowLabel(id(key), label));
+        row.appendChild(rowInput(id(key), "number", value, props));
+      };
+      field("source", "t", e.source, { min: "1", step: "1" });
+      field("target", "→", e.target, { min: "0", step: "1" });
+      field("strength", "s", e.strength === undefined ? 0.02 : e.strength, { step: "0.005" });
+      field("at", "at", e.at, { min: "1", step: "1", placeholder: "t" });
+      field("every", "every", e.every, { min: "0", step: "1", placeholder: "once" });
+      row.appendChild(rowInput(id("mask"), "text", e.mask && e.mask.length ? e.mask.join(",") : "", {
+        placeholder: "all comps",
+      }));
+      row.appendChild(rowSelect(id("mode"), [
+        { value: "local", label: "Local" },
+        { value: "consistent", label: "Consistent" },
+      ], e.mode === "consistent" ? "consistent" : "local"));
+      row.appendChild(rowRemoveButton("removeEvent", i, "Remove event"));
+      container.appendChild(row);
+    });
+  }
 
-    run(steps = DEFAULT_STEPS, maxLevel = DEFAULT_LEVELS) {
-      for (let t = 1; t < steps; t++) {
-        this.step(t, maxLevel);
-      }
+  // Raw rows as typed; getParameters clamps them against the timeline.
+  function readRetroEvents() {
+    const container = document.getElementById("retro-events");
+    const count = container ? Number(container.dataset.count || 0) : 0;
+    const events = [];
+    for (let i = 0; i < count; i++) {
+      const get = (key) => {
+        const el = document.getElementById("retro-event-" + i + "-" + key);
+        return el ? String(el.value).trim() : "";
+      };
+      const source = parseInt(get("source"), 10);
+      const target = parseInt(get("target"), 10);
+      if (!Number.isFinite(source) || !Number.isFinite(target)) continue;
+      const strength = Number(get("strength"));
+      const event = {
+        source,
+        target,
+        strength: get("strength") !== "" && Number.isFinite(strength) ? strength : 0.02,
+        mode: get("mode") === "consistent" ? "consistent" : "local",
+      };
+      const at = parseInt(get("at"), 10);
+      if (Number.isFinite(at)) event.at = at;
+      const every = parseInt(get("every"), 10);
+      if (Number.isFinite(every) && every > 0) event.every = every;
+      const mask = parseMask(get("mask"));
+      if (mask.length) event.mask = mask;
+      events.push(event);
     }
+    return events;
+  }
 
-    get_state(t, level = 0) {
-      if (level === 0) {
-        return this.history[t];
-      }
-      return this.levels[t][level];
-    }
-
-    infinite_state(t) {
-      const acc = zeros(this.dim);
-      const levelMap = this.levels[t] || {};
-      const keys = Object.keys(levelMap)
-        .map(k => parseInt(k, 10))
-        .sort((a, b) => a - b);
-      for (const i of keys) {
-        const s = levelMap[i];
-        const w = 1 / (i + 1);
-        for (let j = 0; j < this.dim; j++) {
-          acc[j] += s[j] * w;
-        }
-      }
-      return acc;
-    }
+  const OBSERVER_MEASURE_LABELS = { norm: "‖s‖", projection: "Projection", energy: "Energy" };
+
+  function renderObserverRows(observers) {
+    const container = document.getElementById("observers-list");
+    if (!container) return;
+    container.innerHTML = "";
+    container.dataset.count = String(observers.length);
+    observers.forEach((o, i) => {
+      const row = document.createElement("div");
+      row.className = "control-row compact-row";
+      const id = key => "observer-" + i + "-" + key;
+      const field = (key, label, value, props) => {
+        row.appendChild(rowLabel(id(key), label));
+        row.appendChild(rowInput(id(key), "number", value, props));
+      };
+      field("level", "k", o.level, { min: "0", step: "1" });
+      field("from", "t", o.from, { min: "0", step: "1", placeholder: "0" });
+      field("to", "…", o.to, { min: "0", step: "1", placeholder: "end" });
+      row.appendChild(rowSelect(id("measure"), Engine.OBSERVER_MEASURES.map(m => ({
+        value: m,
+        label: OBSERVER_MEASURE_LABELS[m],
+      })), o.measure || "norm"));
+      const components = o.components && o.components.length ? o.components.join(",") : "";
+      row.appendChild(rowInput(id("components"), "text", components, { placeholder: "comps" }));
+      field("noise", "σ", o.noise || 0, { min: "0", step: "0.01" });
+      field("collapse", "κ", o.collapse || 0, { min: "0", max: "1", step: "0.1" });
+      row.appendChild(rowRemoveButton("removeObserver", i, "Remove observer"));
+      container.appendChild(row);
+    });
   }
 
-  function retro_influence(universe, t_future, t_past, strength = 0.01) {
-    if (t_future >= universe.history.length || t_past >= universe.history.length) {
-      return;
+  // Raw rows as typed; getParameters clamps them against the run.
+  function readObserverRows() {
+    const container = document.getElementById("observers-list");
+    const count = container ? Number(container.dataset.count || 0) : 0;
+    const observers = [];
+    for (let i = 0; i < count; i++) {
+      const get = (key) => {
+        const el = document.getElementById("observer-" + i + "-" + key);
+        return el ? String(el.value).trim() : "";
+      };
+      const level = parseInt(get("level"), 10);
+      if (!Number.isFinite(level)) continue;
+      const observer = { level, measure: Engine.OBSERVER_MEASURES.includes(get("measure")) ? get("measure") : "norm" };
+      const from = parseInt(get("from"), 10);
+      if (Number.isFinite(from)) observer.from = from;
+      const to = parseInt(get("to"), 10);
+      if (Number.isFinite(to)) observer.to = to;
+      const components = parseMask(get("components"));
+      if (components.length) observer.components = components;
+      const noise = Number(get("noise"));
+      if (get("noise") !== "" && noise > 0) observer.noise = noise;
+      const collapse = Number(get("collapse"));
+      if (get("collapse") !== "" && collapse > 0) observer.collapse = Math.min(1, collapse);
+      observers.push(observer);
     }
-    const future_state = universe.get_state(t_future);
-    const past_state = universe.history[t_past];
-    const delta = scaleVec(subVec(future_state, past_state), strength);
-    universe.history[t_past] = addVec(universe.history[t_past], delta);
+    return observers;
   }
 
-  class Observer {
-    constructor(universe, level = 0) {
-      this.universe = universe;
-      this.level = level;
+  // Write physics parameters back into the Parameters panel.
+  function applyParametersToForm(p) {
+    const setValue = (id, value) => {
+      const el = document.getElementById(id);
+      if (el && value !== undefined && value !== null) el.value = String(value);
+    };
+    setValue("param-steps", p.steps);
+    setValue("param-max-levels", p.maxLevels);
+    setValue("param-t0", p.t0);
+    setValue("param-t1", p.t1);
+    setValue("param-strength", p.strength);
+    // the slider would clamp deep observers to its static range
+    const levelEl = document.getElementById("param-level");
+    if (levelEl && p.maxLevels) levelEl.max = String(p.maxLevels - 1);
+    setValue("param-level", p.obsLevel);
+    setValue("param-dim", p.dim);
+    setValue("system-select", p.systemType);
+    setValue("retro-mode-select", p.retroMode);
+    setValue("storage-select", p.storage);
+    if (p.infinite !== undefined) {
+      const inf = Object.assign({}, Engine.INFINITE_DEFAULTS, p.infinite);
+      setValue("inf-weighting-select", inf.weighting);
+      setValue("param-inf-ratio", inf.ratio);
+      setValue("inf-extrapolation-select", inf.extrapolation);
+      setValue("param-inf-weights", Array.isArray(inf.weights) ? inf.weights.join(", ") : "");
     }
-    perceive(t) {
-      return this.universe.get_state(t, this.level);
+    if (p.solver !== undefined) {
+      const solver = Object.assign({}, Engine.SOLVER_DEFAULTS, p.solver);
+      setValue("solver-tolerance", solver.tolerance);
+      setValue("solver-max-iter", solver.maxIterations);
+      setValue("solver-relaxation", solver.relaxation);
+    }
+    if (p.retroEvents !== undefined) renderRetroEvents(p.retroEvents || []);
+    if (p.observers !== undefined) renderObserverRows(p.observers || []);
+    if (p.seed !== undefined) setValue("param-seed", p.seed === null ? "" : p.seed);
+    if (p.modelType) {
+      setValue("model-select", p.modelType);
+      renderModelParams(p.modelType);
+      refreshSweepKeys(p.modelType);
+      const mp = p.modelParams || {};
+      Object.keys(mp).forEach(key => setValue("model-param-" + key, mp[key]));
     }
-  }
-
-  function fmt(x) {
-    return x.toFixed(4);
-  }
-
-  function clampInt(value, min, max, fallback) {
-    const n = parseInt(value, 10);
-    if (Number.isNaN(n)) return fallback;
-    return Math.min(max, Math.max(min, n));
   }
 
   function getParameters() {
@@ -169,11 +313,25 @@
     const themeEl = document.getElementById("theme-select");
     const animEl = document.getElementById("toggle-anim");
     const soundEl = document.getElementById("toggle-sound");
-    const autoEl = document.getElementById("auto-run");
     const alertEl = document.getElementById("alert-threshold");
-
-    const steps = stepsEl ? clampInt(stepsEl.value, 10, 500, 120) : 120;
-    const maxLevels = levelsEl ? clampInt(levelsEl.value, 5, 100, 60) : 60;
+    const seedEl = document.getElementById("param-seed");
+    const retroModeEl = document.getElementById("retro-mode-select");
+    const storageEl = document.getElementById("storage-select");
+    const infWeightingEl = document.getElementById("inf-weighting-select");
+    const infRatioEl = document.getElementById("param-inf-ratio");
+    const infWeightsEl = document.getElementById("param-inf-weights");
+    const infExtrapolationEl = document.getElementById("inf-extrapolation-select");
+    const solverTolEl = document.getElementById("solver-tolerance");
+    const solverIterEl = document.getElementById("solver-max-iter");
+    const solverRelaxEl = document.getElementById("solver-relaxation");
+
+    const { PARAM_LIMITS } = Engine;
+    const steps = stepsEl
+      ? clampInt(stepsEl.value, PARAM_LIMITS.steps.min, PARAM_LIMITS.steps.max, 120)
+      : 120;
+    const maxLevels = levelsEl
+      ? clampInt(levelsEl.value, PARAM_LIMITS.maxLevels.min, PARAM_LIMITS.maxLevels.max, 60)
+      : 60;
     let t0 = t0El ? clampInt(t0El.value, 0, steps - 1, 30) : 30;
     let t1 = t1El ? clampInt(t1El.value, 1, steps - 1, 90) : 90;
     if (t1 <= t0) t1 = Math.min(steps - 1, t0 + 1);
@@ -182,9 +340,68 @@
 
     const strength = strengthEl ? Number(strengthEl.value || 0.02) : 0.02;
     const obsLevel = levelEl ? clampInt(levelEl.value, 0, maxLevels - 1, 10) : 10;
-    const dim = dimEl ? clampInt(dimEl.value, 2, 40, DEFAULT_DIM) : DEFAULT_DIM;
+    const dim = dimEl
+      ? clampInt(dimEl.value, PARAM_LIMITS.dim.min, PARAM_LIMITS.dim.max, DEFAULT_DIM)
+      : DEFAULT_DIM;
     const modelType = modelEl ? modelEl.value || "nonlinear" : "nonlinear";
     const systemType = systemEl ? systemEl.value || "isolated" : "isolated";
+    const modelParams = readModelParams(modelType);
+    // blank seed = draw a fresh one for every run
+    const seed = seedEl && seedEl.value.trim() !== "" ? normalizeSeed(seedEl.value) : null;
+    const retroMode = retroModeEl ? retroModeEl.value || "local" : "local";
+    let storage = storageEl ? storageEl.value || "auto" : "auto";
+    // never allocate past the budget just because "full" was left selected
+    const fullBytes = Engine.levelStorageBytes({ steps, maxLevels, dim });
+    if (storage === "full" && fullBytes > Engine.FULL_STORAGE_BUDGET) storage = "auto";
+
+    let weighting = infWeightingEl ? infWeightingEl.value || "harmonic" : "harmonic";
+    const weights = infWeightsEl
+      ? infWeightsEl.value.split(/[\s,;]+/).filter(Boolean).map(Number).filter(Number.isFinite)
+      : [];
+    if (weighting === "custom" && !weights.length) weighting = "harmonic";
+    const ratio = infRatioEl && infRatioEl.value !== "" ? Number(infRatioEl.value) : NaN;
+    const infinite = {
+      weighting,
+      ratio: Number.isFinite(ratio) ? Math.min(0.99, Math.max(0.01, ratio)) : 0.5,
+      weights: weighting === "custom" ? weights : null,
+      extrapolation: infExtrapolationEl ? infExtrapolationEl.value || "none" : "none",
+    };
+    // drop rows the timeline cannot hold instead of failing validation
+    const retroEvents = readRetroEvents()
+      .filter(e => e.target >= 0 && e.source > e.target && e.source <= steps - 1)
+      .slice(0, Engine.RETRO_EVENT_LIMITS.events)
+      .map((e) => {
+        const event = Object.assign({}, e);
+        if (event.at !== undefined) event.at = Math.min(steps - 1, Math.max(event.source, event.at));
+        if (event.mask) {
+          event.mask = event.mask.filter(i => i < dim);
+          if (!event.mask.length) delete event.mask;
+        }
+        return event;
+      });
+    const observers = readObserverRows()
+      .slice(0, Engine.OBSERVER_LIMIT)
+      .map((o) => {
+        const observer = Object.assign({}, o, { level: Math.min(Math.max(0, o.level), maxLevels - 1) });
+        const from = Math.min(Math.max(0, o.from || 0), steps - 1);
+        const to = o.to === undefined ? steps - 1 : Math.min(Math.max(from, o.to), steps - 1);
+        observer.from = from;
+        observer.to = to;
+        if (observer.components) {
+          observer.components = observer.components.filter(i => i < dim);
+          if (!observer.components.length) delete observer.components;
+        }
+        if (observer.measure === "projection" && !observer.components) observer.measure = "norm";
+        return observer;
+      });
+    const tolerance = solverTolEl && solverTolEl.value !== "" ? Number(solverTolEl.value) : NaN;
+    const relaxation =
+      solverRelaxEl && solverRelaxEl.value !== "" ? Number(solverRelaxEl.value) : NaN;
+    const solver = {
+      tolerance: Number.isFinite(tolerance) && tolerance >= 0 ? tolerance : 1e-9,
+      maxIterations: solverIterEl ? clampInt(solverIterEl.value, 1, 1000, 100) : 100,
+      relaxation: Number.isFinite(relaxation) ? Math.min(1, Math.max(0.05, relaxation)) : 1,
+    };
 
     const theme = themeEl ? themeEl.value || "cosmic" : "cosmic";
     const animationsEnabled = !animEl || !!animEl.checked;
@@ -193,10 +410,11 @@
 
     const multiverseEnabled = !!(multiEl && multiEl.checked);
     const multiverseCount = multiverseEnabled
-      ? (multiCountEl ? clampInt(multiCountEl.value, 2, 40, 10) : 10)
+      ? (multiCountEl
+        ? clampInt(multiCountEl.value, PARAM_LIMITS.ensemble.min, PARAM_LIMITS.ensemble.max, 10)
+        : 10)
       : 0;
 
-    const autoRun = !!(autoEl && autoEl.checked);
     const alertThreshold =
       alertEl && alertEl.value !== "" ? Math.max(0, Number(alertEl.value)) : 0.3;
 
@@ -213,58 +431,638 @@
       theme,
       animationsEnabled,
       soundEnabled,
-      autoRun,
       alertThreshold,
       modelType,
+      modelParams,
       systemType,
+      seed,
+      retroMode,
+      solver,
+      storage,
+      infinite,
+      retroEvents: retroEvents.length ? retroEvents : null,
+      observers: observers.length ? observers : null,
     };
   }
 
-  function drawStateGraph(norms, t0) {
-    const canvas = document.getElementById("state-graph");
+  function drawResidualGraph(residuals) {
+    const canvas = document.getElementById("solver-graph");
     if (!canvas || !canvas.getContext) return;
     const ctx = canvas.getContext("2d");
     const w = canvas.width;
     const h = canvas.height;
 
     ctx.clearRect(0, 0, w, h);
-    if (!norms || !norms.length) return;
+    ctx.fillStyle = "rgba(15, 23, 42, 1)";
+    ctx.fillRect(0, 0, w, h);
+    if (!residuals || !residuals.length) return;
 
-    const maxVal = Math.max(...norms) || 1;
-    const minVal = Math.min(...norms);
+    const logs = residuals.map(r => Math.log10(Math.max(1e-16, Number.isFinite(r) ? r : 1e16)));
+    const maxVal = Math.max(...logs);
+    const minVal = Math.min(...logs);
     const pad = 10;
     const range = Math.max(1e-6, maxVal - minVal);
 
-    // background gradient
-    const grad = ctx.createLinearGradient(0, 0, 0, h);
-    grad.addColorStop(0, "rgba(56, 189, 248, 0.18)");
-    grad.addColorStop(1, "rgba(15, 23, 42, 1)");
-    ctx.fillStyle = grad;
-    ctx.fillRect(0, 0, w, h);
-
-    // line
     ctx.beginPath();
-    norms.forEach((v, i) => {
-      const x = pad + (i / Math.max(1, norms.length - 1)) * (w - 2 * pad);
+    logs.forEach((v, i) => {
+      const x = pad + (i / Math.max(1, logs.length - 1)) * (w - 2 * pad);
       const y = h - pad - ((v - minVal) / range) * (h - 2 * pad);
       if (i === 0) ctx.moveTo(x, y);
       else ctx.lineTo(x, y);
     });
-    ctx.strokeStyle = "rgba(129, 140, 248, 0.95)";
+    ctx.strokeStyle = "rgba(34, 197, 94, 0.9)";
     ctx.lineWidth = 1.4;
-    ctx.shadowColor = "rgba(129, 140, 248, 0.7)";
-    ctx.shadowBlur = 6;
     ctx.stroke();
-    ctx.shadowBlur = 0;
 
-    // marker at t0
-    const idx = Math.min(Math.max(0, t0), norms.length - 1);
-    const x0 = pad + (idx / Math.max(1, norms.length - 1)) * (w - 2 * pad);
-    const y0 = h - pad - ((norms[idx] - minVal) / range) * (h - 2 * pad);
-    ctx.fillStyle = "rgba(34, 197, 94, 0.9)";
+    logs.forEach((v, i) => {
+      const x = pad + (i / Math.max(1, logs.length - 1)) * (w - 2 * pad);
+      const y = h - pad - ((v - minVal) / range) * (h - 2 * pad);
+      ctx.fillStyle = "rgba(165, 180, 252, 0.95)";
+      ctx.beginPath();
+      ctx.arc(x, y, 2, 0, Math.PI * 2);
+      ctx.fill();
+    });
+
+    ctx.fillStyle = "rgba(156, 163, 175, 0.9)";
+    ctx.font = "10px system-ui, sans-serif";
+    ctx.fillText("1e" + maxVal.toFixed(0), 2, 10);
+    ctx.fillText("1e" + minVal.toFixed(0), 2, h - 2);
+  }
+
+  function renderSolver(solver) {
+    const statusEl = document.getElementById("solver-status");
+    const iterEl = document.getElementById("solver-iterations");
+    const residualEl = document.getElementById("solver-residual");
+    const noteEl = document.getElementById("solver-note");
+
+    if (!solver) {
+      if (statusEl) statusEl.textContent = "…";
+      if (iterEl) iterEl.textContent = "…";
+      if (residualEl) residualEl.textContent = "…";
+      drawResidualGraph(null);
+      return;
+    }
+
+    if (statusEl) statusEl.textContent = solver.status;
+    if (iterEl) iterEl.textContent = String(solver.iterations);
+    if (residualEl) residualEl.textContent = solver.residual.toExponential(2);
+    drawResidualGraph(solver.residuals);
+    if (noteEl) {
+      noteEl.textContent = solver.converged
+        ? "A consistent history exists for these parameters: the loop settled on a fixed point."
+        : solver.oscillated
+          ? "The loop flips between two histories — no single consistent timeline here."
+          : solver.diverged
+            ? "The loop diverged: the future pushes the past further away on every pass."
+            : "No fixed point within the iteration budget; try more iterations or lower relaxation.";
+    }
+  }
+
+  function drawConvergenceGraph(conv) {
+    const canvas = document.getElementById("convergence-graph");
+    if (!canvas || !canvas.getContext) return;
+    const ctx = canvas.getContext("2d");
+    const w = canvas.width;
+    const h = canvas.height;
+
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = "rgba(15, 23, 42, 1)";
+    ctx.fillRect(0, 0, w, h);
+    if (!conv || !conv.levels) return;
+
+    const series = [
+      { values: conv.norms, color: "rgba(129, 140, 248, 0.95)" },
+      { values: conv.aitken, color: "rgba(34, 197, 94, 0.85)" },
+      { values: conv.richardson, color: "rgba(244, 114, 182, 0.8)" },
+    ];
+    // extrapolations can overshoot wildly on the first few levels; scale to the partial sums
+    const finite = (conv.norms || []).filter(Number.isFinite);
+    // a diverged stack leaves nothing to scale an axis to
+    if (!finite.length) return;
+    const maxVal = Math.max(...finite);
+    const minVal = Math.min(...finite);
+    const span = Math.max(1e-6, maxVal - minVal);
+    const lo = minVal - 0.1 * span;
+    const range = 1.2 * span;
+    const pad = 10;
+    const n = conv.levels;
+
+    series.forEach(({ values, color }) => {
+      ctx.beginPath();
+      let started = false;
+      values.forEach((v, i) => {
+        if (v === null || !Number.isFinite(v)) return;
+        const x = pad + (i / Math.max(1, n - 1)) * (w - 2 * pad);
+        const y = h - pad - ((Math.min(Math.max(v, lo), lo + range) - lo) / range) * (h - 2 * pad);
+        if (!started) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+        started = true;
+      });
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1.3;
+      ctx.stroke();
+    });
+
+    ctx.fillStyle = "rgba(156, 163, 175, 0.9)";
+    ctx.font = "10px system-ui, sans-serif";
+    ctx.fillText(fmt(maxVal), 2, 10);
+    ctx.fillText(fmt(minVal), 2, h - 2);
+    ctx.fillText("levels → " + n, w - 62, h - 2);
+  }
+
+  function renderConvergence(conv) {
+    const set = (id, text) => {
+      const el = document.getElementById(id);
+      if (el) el.textContent = text;
+    };
+    const noteEl = document.getElementById("convergence-note");
+    drawConvergenceGraph(conv);
+    if (!conv || !conv.levels) {
+      set("conv-estimate", "…");
+      set("conv-levels", "…");
+      set("conv-error", "…");
+      set("conv-status", "…");
+      if (noteEl) {
+        noteEl.textContent = "No recursive levels are stored at t₀, so there is nothing to extrapolate.";
+        noteEl.classList.add("is-warning");
+      }
+      return;
+    }
+    set("conv-estimate", fmt(conv.estimate_norm));
+    set("conv-levels", String(conv.levels));
+    set("conv-error", Number.isFinite(conv.error) ? conv.error.toExponential(2) : "—");
+    set("conv-status", conv.converged ? "converged" : "not converged");
+    if (noteEl) {
+      noteEl.classList.toggle("is-warning", !conv.converged);
+      noteEl.textContent = conv.converged
+        ? "The " + conv.weighting + " estimate moved by less than " + conv.tolerance +
+          " (relative) over the last quarter of the levels."
+        : conv.weighting === "harmonic" && conv.extrapolation === "none"
+          ? "⚠ Harmonic weights 1/(i+1) form a divergent series: ‖U∞‖ keeps growing with the level " +
+            "count. Try geometric or normalised harmonic weights."
+          : "⚠ Not converged: the estimate still moves by " + (conv.error * 100).toFixed(2) +
+            "% over the last quarter of the levels. Add levels or try another weighting/extrapolation.";
+    }
+  }
+
+  // One small plot per observer, on a shared time axis: the reading before
+  // the retro influence (dashed) and after it.
+  function drawObserverPlot(canvas, o, steps, t0, t1) {
+    if (!canvas.getContext) return;
+    const ctx = canvas.getContext("2d");
+    const w = canvas.width;
+    const h = canvas.height;
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = "rgba(15, 23, 42, 1)";
+    ctx.fillRect(0, 0, w, h);
+
+    const values = o.after.concat(o.before || []).filter(v => v !== null && Number.isFinite(v));
+    if (!values.length) return;
+    const maxVal = Math.max(...values);
+    const minVal = Math.min(...values);
+    const range = Math.max(1e-9, maxVal - minVal);
+    const pad = 8;
+    const xAt = t => pad + (t / Math.max(1, steps - 1)) * (w - 2 * pad);
+    const yAt = v => h - pad - ((v - minVal) / range) * (h - 2 * pad);
+
+    [[t0, "rgba(34, 197, 94, 0.5)"], [t1, "rgba(244, 114, 182, 0.5)"]].forEach(([t, color]) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(xAt(t), 0);
+      ctx.lineTo(xAt(t), h);
+      ctx.stroke();
+    });
+
+    const line = (series, color, dash) => {
+      ctx.beginPath();
+      let started = false;
+      series.forEach((v, i) => {
+        if (v === null || !Number.isFinite(v)) {
+          started = false;
+          return;
+        }
+        const x = xAt(o.times[i]);
+        if (!started) ctx.moveTo(x, yAt(v));
+        else ctx.lineTo(x, yAt(v));
+        started = true;
+      });
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1.2;
+      ctx.setLineDash(dash);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    };
+    if (o.before) line(o.before, "rgba(244, 114, 182, 0.7)", [3, 3]);
+    line(o.after, "rgba(129, 140, 248, 0.95)", []);
+
+    ctx.fillStyle = "rgba(156, 163, 175, 0.9)";
+    ctx.font = "10px system-ui, sans-serif";
+    ctx.fillText(fmt(maxVal), 2, 10);
+    ctx.fillText(fmt(minVal), 2, h - 2);
+  }
+
+  function renderObservers(observers, params) {
+    const container = document.getElementById("observer-plots");
+    const noteEl = document.getElementById("observers-note");
+    if (!container) return;
+    container.innerHTML = "";
+    if (!observers || !observers.length) {
+      if (noteEl) {
+        noteEl.textContent =
+          "Add observers in the Parameters panel to compare what each level sees of the retro influence.";
+      }
+      return;
+    }
+    const t0 = params.t0;
+    observers.forEach((o, i) => {
+      const cell = document.createElement("div");
+      const canvas = document.createElement("canvas");
+      canvas.width = 200;
+      canvas.height = 80;
+      cell.appendChild(canvas);
+      const at = o.times.indexOf(t0);
+      const shift = at >= 0 && o.before && o.after[at] !== null && o.before[at] !== null
+        ? o.after[at] - o.before[at]
+        : null;
+      const caption = document.createElement("div");
+      caption.className = "visual-caption";
+      caption.textContent =
+        "#" + (i + 1) + " level " + o.level + " · " + OBSERVER_MEASURE_LABELS[o.measure] +
+        (o.components ? " [" + o.components.join(",") + "]" : "") +
+        " · t " + o.from + "–" + o.times[o.times.length - 1] +
+        (o.noise ? " · σ " + o.noise : "") + (o.collapse ? " · κ " + o.collapse : "") +
+        (shift === null ? "" : " · Δ(t₀) " + fmt(shift));
+      cell.appendChild(caption);
+      container.appendChild(cell);
+      drawObserverPlot(canvas, o, params.steps, t0, params.t1);
+    });
+    if (noteEl) {
+      const collapsing = observers.some(o => o.noise > 0 && o.collapse > 0);
+      noteEl.textContent =
+        "Dashed: reading before the retro influence; solid: after. Green/pink lines mark t₀ and t₁." +
+        (collapsing ? " Collapsing observers feed their noise back into the evolution they read." : "");
+    }
+  }
+
+  const PHASE_MAX_PLOTS = 8;
+
+  // One trajectory pair in a shared frame: before (dashed) and after the
+  // influence, with the t₀ point of each.
+  function drawPhasePlot(canvas, plot, xLabel, yLabel) {
+    if (!canvas.getContext) return;
+    const ctx = canvas.getContext("2d");
+    const w = canvas.width;
+    const h = canvas.height;
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = "rgba(15, 23, 42, 1)";
+    ctx.fillRect(0, 0, w, h);
+
+    const points = plot.after.concat(plot.before || []);
+    if (!points.length) return;
+    let xMin = Infinity;
+    let xMax = -Infinity;
+    let yMin = Infinity;
+    let yMax = -Infinity;
+    points.forEach(([x, y]) => {
+      xMin = Math.min(xMin, x);
+      xMax = Math.max(xMax, x);
+      yMin = Math.min(yMin, y);
+      yMax = Math.max(yMax, y);
+    });
+    const pad = 12;
+    const xRange = Math.max(1e-9, xMax - xMin);
+    const yRange = Math.max(1e-9, yMax - yMin);
+    const px = x => pad + ((x - xMin) / xRange) * (w - 2 * pad);
+    const py = y => h - pad - ((y - yMin) / yRange) * (h - 2 * pad);
+
+    const curve = (pts, color, dash) => {
+      ctx.beginPath();
+      pts.forEach(([x, y], i) => {
+        if (i === 0) ctx.moveTo(px(x), py(y));
+        else ctx.lineTo(px(x), py(y));
+      });
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1;
+      ctx.setLineDash(dash);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    };
+    if (plot.before) curve(plot.before, "rgba(244, 114, 182, 0.7)", [3, 3]);
+    curve(plot.after, "rgba(129, 140, 248, 0.9)", []);
+
+    const dot = (pt, color) => {
+      if (!pt) return;
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(px(pt[0]), py(pt[1]), 3, 0, Math.PI * 2);
+      ctx.fill();
+    };
+    dot(plot.t0.before, "rgba(244, 114, 182, 0.95)");
+    dot(plot.t0.after, "rgba(34, 197, 94, 0.95)");
+
+    ctx.fillStyle = "rgba(156, 163, 175, 0.9)";
+    ctx.font = "10px system-ui, sans-serif";
+    ctx.fillText(yLabel, 2, 10);
+    ctx.fillText(xLabel, w - 10, h - 2);
+  }
+
+  function renderPhaseSpace(result) {
+    const container = document.getElementById("phase-plots");
+    const noteEl = document.getElementById("phase-note");
+    if (!container) return;
+    container.innerHTML = "";
+    const phase = Engine.phaseSpace(result);
+    phase.plots.slice(0, PHASE_MAX_PLOTS).forEach((plot) => {
+      const cell = document.createElement("div");
+      const canvas = document.createElement("canvas");
+      canvas.width = phase.plots.length > 1 ? 200 : 400;
+      canvas.height = phase.plots.length > 1 ? 140 : 160;
+      cell.appendChild(canvas);
+      const caption = document.createElement("div");
+      caption.className = "visual-caption";
+      caption.textContent = plot.label + " (" + phase.xLabel + " → " + phase.yLabel + ")";
+      cell.appendChild(caption);
+      container.appendChild(cell);
+      drawPhasePlot(canvas, plot, phase.xLabel, phase.yLabel);
+    });
+    if (!noteEl) return;
+    const parts = ["Dashed pink: before the retro influence; solid: after; dots mark t₀."];
+    if (phase.kind === "pca") {
+      parts.push(
+        "Projection onto the first two principal axes of the trajectory (" +
+          (phase.explained[0] * 100).toFixed(1) + "% and " + (phase.explained[1] * 100).toFixed(1) +
+          "% of its variance)."
+      );
+    }
+    if (phase.plots.length > PHASE_MAX_PLOTS) {
+      parts.push("Showing " + PHASE_MAX_PLOTS + " of " + phase.plots.length + " oscillators.");
+    }
+    if (!phase.plots[0] || !phase.plots[0].before) {
+      parts.push("This imported run kept only the norms of its pre‑influence trajectory, so only “after” is drawn.");
+    }
+    noteEl.textContent = parts.join(" ");
+  }
+
+  const CHAOS_AUTO_BUDGET = 400000;
+
+  function fmtExponent(v) {
+    if (v === -Infinity) return "−∞";
+    return Number.isFinite(v) ? v.toFixed(3) : "—";
+  }
+
+  function fmtRatio(v) {
+    if (v === null || Number.isNaN(v)) return "—";
+    if (!Number.isFinite(v)) return "∞";
+    return v >= 1000 ? "×" + v.toExponential(1) : "×" + v.toFixed(2);
+  }
+
+  function drawChaosDivergence(chaos, t0, t1) {
+    const canvas = document.getElementById("chaos-divergence");
+    if (!canvas || !canvas.getContext) return;
+    const ctx = canvas.getContext("2d");
+    const w = canvas.width;
+    const h = canvas.height;
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = "rgba(15, 23, 42, 1)";
+    ctx.fillRect(0, 0, w, h);
+
+    // exact zeros (twins merged to the last bit) sit on the floor
+    const log = d => (d > 0 ? Math.log10(d) : null);
+    const all = chaos.divergence.curves.flat().map(log).filter(v => v !== null);
+    if (!all.length) return;
+    const lo = Math.min(...all);
+    const hi = Math.max(...all);
+    const range = Math.max(1e-6, hi - lo);
+    const pad = 10;
+    const n = chaos.divergence.times.length;
+    const xAt = t => pad + (t / Math.max(1, n - 1)) * (w - 2 * pad);
+    const yAt = v => h - pad - (((v === null ? lo : v) - lo) / range) * (h - 2 * pad);
+
+    [[t0, "rgba(34, 197, 94, 0.5)"], [t1, "rgba(244, 114, 182, 0.5)"]].forEach(([t, color]) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(xAt(t), 0);
+      ctx.lineTo(xAt(t), h);
+      ctx.stroke();
+    });
+    const curve = (values, color, width) => {
+      ctx.beginPath();
+      values.forEach((d, t) => {
+        if (t === 0) ctx.moveTo(xAt(t), yAt(log(d)));
+        else ctx.lineTo(xAt(t), yAt(log(d)));
+      });
+      ctx.strokeStyle = color;
+      ctx.lineWidth = width;
+      ctx.stroke();
+    };
+    chaos.divergence.curves.forEach(c => curve(c, "rgba(148, 163, 184, 0.45)", 1));
+    curve(chaos.divergence.median, "rgba(129, 140, 248, 0.95)", 1.6);
+
+    ctx.fillStyle = "rgba(156, 163, 175, 0.9)";
+    ctx.font = "10px system-ui, sans-serif";
+    ctx.fillText("1e" + hi.toFixed(1), 2, 10);
+    ctx.fillText("1e" + lo.toFixed(1), 2, h - 2);
+  }
+
+  function drawChaosFtle(chaos, steps) {
+    const canvas = document.getElementById("chaos-ftle");
+    if (!canvas || !canvas.getContext) return;
+    const ctx = canvas.getContext("2d");
+    const w = canvas.width;
+    const h = canvas.height;
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = "rgba(15, 23, 42, 1)";
+    ctx.fillRect(0, 0, w, h);
+
+    const windows = chaos.finite_time.windows;
+    const finite = windows.flatMap(win => win.exponents).filter(Number.isFinite);
+    if (!finite.length) return;
+    const lo = Math.min(0, ...finite);
+    const hi = Math.max(0, ...finite);
+    const range = Math.max(1e-6, hi - lo);
+    const pad = 10;
+    const xAt = t => pad + (t / Math.max(1, steps - 1)) * (w - 2 * pad);
+    const yAt = v => h - pad - ((v - lo) / range) * (h - 2 * pad);
+
+    ctx.strokeStyle = "rgba(148, 163, 184, 0.5)";
+    ctx.setLineDash([3, 3]);
     ctx.beginPath();
-    ctx.arc(x0, y0, 3, 0, Math.PI * 2);
-    ctx.fill();
+    ctx.moveTo(pad, yAt(0));
+    ctx.lineTo(w - pad, yAt(0));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    chaos.spectrum.forEach((_, j) => {
+      ctx.beginPath();
+      let started = false;
+      windows.forEach((win) => {
+        const v = win.exponents[j];
+        if (!Number.isFinite(v)) {
+          started = false;
+          return;
+        }
+        const x = xAt((win.from + win.to) / 2);
+        if (!started) ctx.moveTo(x, yAt(v));
+        else ctx.lineTo(x, yAt(v));
+        started = true;
+      });
+      ctx.strokeStyle = "hsla(" + (230 + j * 30) + ", 85%, " + (72 - j * 10) + "%, " + (j ? 0.6 : 0.95) + ")";
+      ctx.lineWidth = j ? 1 : 1.5;
+      ctx.stroke();
+    });
+
+    ctx.fillStyle = "rgba(156, 163, 175, 0.9)";
+    ctx.font = "10px system-ui, sans-serif";
+    ctx.fillText(hi.toFixed(3), 2, 10);
+    ctx.fillText(lo.toFixed(3), 2, h - 2);
+  }
+
+  function renderChaos(result, force) {
+    const set = (id, text) => {
+      const el = document.getElementById(id);
+      if (el) el.textContent = text;
+    };
+    const { t0, t1, steps, dim } = result.params;
+    const noteEl = document.getElementById("chaos-note");
+    // the twins and tangent vectors re-run the map several times over
+    if (!force && steps * dim > CHAOS_AUTO_BUDGET) {
+      ["chaos-largest", "chaos-spectrum", "chaos-ratio", "chaos-ratio-t1"].forEach(id => set(id, "…"));
+      if (noteEl) {
+        noteEl.classList.remove("is-warning");
+        noteEl.textContent = "Large run: press Compute to estimate the Lyapunov spectrum.";
+      }
+      return;
+    }
+    const chaos = Engine.chaos_diagnostics(result);
+    const b = chaos.baseline;
+    set("chaos-largest", fmtExponent(chaos.largest));
+    set("chaos-spectrum", chaos.spectrum.map(fmtExponent).join(", "));
+    set("chaos-ratio", fmtRatio(b.ratio));
+    set("chaos-ratio-t1", fmtRatio(b.ratio_t1));
+    drawChaosDivergence(chaos, t0, t1);
+    drawChaosFtle(chaos, steps);
+
+    if (!noteEl) return;
+    const parts = [
+      chaos.largest > 0
+        ? "λ₁ > 0: the free map is chaotic, an ε error grows like e^(" + chaos.largest.toFixed(3) + "·t)."
+        : "λ₁ ≤ 0: the free map contracts nearby trajectories.",
+      "|Δ‖U(t₀)‖| = " + b.delta_norm.toExponential(2) + " against " + b.twin_delta_norm.toExponential(2) +
+        " from an ε = " + chaos.epsilon + " change at t = 0.",
+    ];
+    if (b.ratio_t1 !== null) {
+      parts.push(
+        "By t₁ the re‑evolved trajectory moved " + b.distance_t1.toExponential(2) +
+          ", a random kick of the nudge’s size " + b.kick_distance_t1.toExponential(2) + "."
+      );
+    }
+    // NaN (nothing moved at all) counts as indistinguishable
+    const clear = b.ratio >= 10;
+    noteEl.classList.toggle("is-warning", !clear);
+    if (!clear) {
+      parts.push("⚠ The retro effect is within an order of magnitude of the chaotic baseline.");
+    } else if (b.ratio_t1 !== null && b.ratio_t1 < 2) {
+      parts.push("The shift at t₀ stands out, but downstream it propagates like any perturbation of that size.");
+    } else {
+      parts.push("The retro effect stands well clear of the chaotic baseline.");
+    }
+    noteEl.textContent = parts.join(" ");
+  }
+
+  // Per-step model observables: a graph over the whole run and the readings
+  // of one step (t₀, or the step hovered on the timeline).
+  function drawObservablesGraph(observables, t0) {
+    const canvas = document.getElementById("observables-graph");
+    if (!canvas || !canvas.getContext) return;
+    const ctx = canvas.getContext("2d");
+    const w = canvas.width;
+    const h = canvas.height;
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = "rgba(15, 23, 42, 1)";
+    ctx.fillRect(0, 0, w, h);
+    if (!observables || !observables.length) return;
+
+    const pad = 10;
+    const last = Math.max(1, observables.length - 1);
+    const x = t => pad + (t / last) * (w - 2 * pad);
+    const maxChi = Math.max(1e-12, ...observables.map(o => (Number.isFinite(o.susceptibility) ? o.susceptibility : 0)));
+    const series = [
+      { read: o => o.absMagnetisation, color: "rgba(129, 140, 248, 0.95)" },
+      { read: o => o.correlation, color: "rgba(34, 197, 94, 0.85)" },
+      { read: o => 2 * (o.susceptibility / maxChi) - 1, color: "rgba(244, 114, 182, 0.8)" },
+    ];
+    // thinned to about one point per pixel column
+    const stride = Math.max(1, Math.floor(observables.length / (w - 2 * pad)));
+    series.forEach(({ read, color }) => {
+      ctx.beginPath();
+      let started = false;
+      for (let t = 0; t < observables.length; t += stride) {
+        const v = read(observables[t]);
+        if (!Number.isFinite(v)) continue;
+        const y = h - pad - ((Math.max(-1, Math.min(1, v)) + 1) / 2) * (h - 2 * pad);
+        if (!started) ctx.moveTo(x(t), y);
+        else ctx.lineTo(x(t), y);
+        started = true;
+      }
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1.3;
+      ctx.stroke();
+    });
+
+    ctx.strokeStyle = "rgba(34, 197, 94, 0.6)";
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    ctx.moveTo(x(t0), pad);
+    ctx.lineTo(x(t0), h - pad);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = "rgba(156, 163, 175, 0.9)";
+    ctx.font = "10px system-ui, sans-serif";
+    ctx.fillText("1", 2, 10);
+    ctx.fillText("−1", 2, h - 2);
+    ctx.fillText("t → " + (observables.length - 1), w - 62, h - 2);
+  }
+
+  // t = null shows t₀
+  function showObservablesAt(t) {
+    const observables = lastRun && lastRun.observables;
+    if (!observables || !observables.length) return;
+    const t0 = lastRun.params.t0;
+    const at = observables[Math.min(t === null ? t0 : t, observables.length - 1)];
+    const set = (id, v) => {
+      const el = document.getElementById(id);
+      if (el) el.textContent = v === undefined ? "…" : fmt(v);
+    };
+    const tEl = document.getElementById("obs-t");
+    if (tEl) tEl.textContent = t === null ? "t₀" : String(at.t);
+    set("obs-magnetisation", at.magnetisation);
+    set("obs-susceptibility", at.susceptibility);
+    set("obs-specific-heat", at.specificHeat);
+    set("obs-energy", at.energy);
+    set("obs-correlation", at.correlation);
+  }
+
+  function renderObservables(observables, t0) {
+    const panel = document.getElementById("observables-panel");
+    if (!panel) return;
+    if (!observables || !observables.length) {
+      panel.style.display = "none";
+      return;
+    }
+    panel.style.display = "";
+    drawObservablesGraph(observables, t0);
+    showObservablesAt(null);
+    const last = observables[observables.length - 1];
+    const noteEl = document.getElementById("observables-note");
+    if (noteEl) {
+      noteEl.textContent =
+        "Sampled over the recursive levels at every step; the CSV export has one row per step. Final step t = " +
+        last.t + ": ⟨|m|⟩ = " + fmt(last.absMagnetisation) +
+        ", χ = " + fmt(last.susceptibility) + ", C = " + fmt(last.specificHeat) + ".";
+    }
   }
 
   function drawFingerprint(state) {
@@ -314,22 +1112,285 @@
     ctx.fill();
   }
 
-  function renderHistory(history) {
+  // === Run history (persisted by run-history.js) ===
+  const HISTORY_RENDER_LIMIT = 60;
+  const COMPARE_COLORS = [
+    "rgba(129, 140, 248, 0.95)",
+    "rgba(244, 114, 182, 0.95)",
+    "rgba(34, 197, 94, 0.95)",
+    "rgba(250, 204, 21, 0.95)",
+    "rgba(56, 189, 248, 0.95)",
+    "rgba(251, 146, 60, 0.95)",
+    "rgba(167, 139, 250, 0.95)",
+    "rgba(248, 113, 113, 0.95)",
+  ];
+  const DIGEST_METRIC_LABELS = {
+    delta_norm: "Δ‖U(t₀)‖",
+    inf_norm: "‖U∞‖",
+    delta_inf_norm: "Δ‖U∞‖",
+    obs_norm: "‖Obs‖",
+    delta_obs_norm: "Δ‖Obs‖",
+    delta_energy: "ΔE",
+  };
+  let runHistory = null;
+  // selected runs, in the order they were picked, for the comparison view
+  const historySelection = new Map();
+
+  function historyFilter() {
+    const value = id => {
+      const el = document.getElementById(id);
+      return el ? el.value : "";
+    };
+    const pinnedEl = document.getElementById("history-pinned");
+    return {
+      query: value("history-search"),
+      modelType: value("history-model"),
+      systemType: value("history-system"),
+      pinnedOnly: !!(pinnedEl && pinnedEl.checked),
+    };
+  }
+
+  function refreshHistory() {
+    if (!runHistory) return Promise.resolve();
+    return runHistory.list(historyFilter()).then(renderHistory, (err) => {
+      const noteEl = document.getElementById("history-note");
+      if (noteEl) noteEl.textContent = "Run history unavailable: " + err.message;
+    });
+  }
+
+  // Records come from IndexedDB and can hold imported runs, so their fields
+  // only ever reach the page as text.
+  function textNode(tag, text, className) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    el.textContent = text;
+    return el;
+  }
+
+  // <div><strong>label</strong> value</div>
+  function metricLine(label, value) {
+    const div = document.createElement("div");
+    div.appendChild(textNode("strong", label));
+    div.appendChild(document.createTextNode(" " + value));
+    return div;
+  }
+
+  function renderHistory(records) {
     const strip = document.getElementById("history-strip");
+    const noteEl = document.getElementById("history-note");
     if (!strip) return;
     strip.innerHTML = "";
-    history.forEach((h) => {
+    records.slice(0, HISTORY_RENDER_LIMIT).forEach((r) => {
       const div = document.createElement("div");
-      div.className = "history-card";
-      div.innerHTML =
-        '<div class="history-card-header">' +
-        '<span>U #' + h.id + "</span>" +
-        '<span class="history-chip">t₀=' + h.t0 + ", t₁=" + h.t1 + "</span>" +
-        "</div>" +
-        '<div><strong>‖U∞‖</strong> ' + fmt(h.inf_norm) + "</div>" +
-        '<div><strong>Δ‖U‖</strong> ' + fmt(h.delta_norm) + "</div>";
+      div.className =
+        "history-card" + (r.pinned ? " is-pinned" : "") + (historySelection.has(r.id) ? " is-selected" : "");
+      const header = textNode("div", "", "history-card-header");
+      const label = document.createElement("label");
+      const select = document.createElement("input");
+      select.type = "checkbox";
+      select.dataset.historySelect = String(r.id);
+      select.checked = historySelection.has(r.id);
+      label.appendChild(select);
+      label.appendChild(document.createTextNode(" U #" + r.id));
+      header.appendChild(label);
+      header.appendChild(textNode("span", "t₀=" + r.t0 + ", t₁=" + r.t1, "history-chip"));
+      div.appendChild(header);
+      div.appendChild(textNode("div", r.modelType + " · " + r.systemType + " · seed " + r.seed));
+      div.appendChild(metricLine("‖U∞‖", fmt(r.metrics.inf_norm)));
+      div.appendChild(metricLine("Δ‖U‖", fmt(r.metrics.delta_norm)));
+      const actions = textNode("div", "", "history-card-actions");
+      [
+        ["historyPin", r.pinned ? "★" : "☆", "Pin"],
+        ["historyReplay", "Replay", ""],
+        ["historyDelete", "✕", "Delete"],
+      ].forEach(([key, text, title]) => {
+        const button = textNode("button", text, "mini-button");
+        button.type = "button";
+        button.dataset[key] = String(r.id);
+        if (title) button.title = title;
+        actions.appendChild(button);
+      });
+      div.appendChild(actions);
       strip.appendChild(div);
     });
+    if (noteEl) {
+      const shown = Math.min(records.length, HISTORY_RENDER_LIMIT);
+      noteEl.textContent =
+        (records.length ? "Showing " + shown + " of " + records.length + " matching runs" : "No matching runs") +
+        (runHistory.persistent ? "." : " (IndexedDB unavailable: kept for this session only).");
+    }
+  }
+
+  function drawHistoryCompare(records) {
+    const canvas = document.getElementById("history-compare");
+    if (!canvas || !canvas.getContext) return;
+    const ctx = canvas.getContext("2d");
+    const w = canvas.width;
+    const h = canvas.height;
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = "rgba(15, 23, 42, 1)";
+    ctx.fillRect(0, 0, w, h);
+    if (records.length < 2) return;
+
+    const values = [];
+    records.forEach(r => r.trace.values.forEach(v => Number.isFinite(v) && values.push(v)));
+    if (!values.length) return;
+    const maxVal = Math.max(...values);
+    const minVal = Math.min(...values);
+    const range = Math.max(1e-9, maxVal - minVal);
+    const steps = Math.max(...records.map(r => r.steps));
+    const pad = 8;
+    const xAt = t => pad + (t / Math.max(1, steps - 1)) * (w - 2 * pad);
+    const yAt = v => h - pad - ((v - minVal) / range) * (h - 2 * pad);
+
+    records.forEach((r, k) => {
+      const color = COMPARE_COLORS[k % COMPARE_COLORS.length];
+      // each run's own t0, as a short tick on the axis
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(xAt(r.t0), h);
+      ctx.lineTo(xAt(r.t0), h - 6);
+      ctx.stroke();
+
+      ctx.beginPath();
+      let started = false;
+      r.trace.values.forEach((v, i) => {
+        if (!Number.isFinite(v)) {
+          started = false;
+          return;
+        }
+        const x = xAt(r.trace.times[i]);
+        if (!started) ctx.moveTo(x, yAt(v));
+        else ctx.lineTo(x, yAt(v));
+        started = true;
+      });
+      ctx.lineWidth = 1.2;
+      ctx.stroke();
+    });
+
+    ctx.fillStyle = "rgba(156, 163, 175, 0.9)";
+    ctx.font = "10px system-ui, sans-serif";
+    ctx.fillText(fmt(maxVal), 2, 10);
+    ctx.fillText(fmt(minVal), 2, h - 2);
+  }
+
+  function renderHistoryCompare() {
+    const records = Array.from(historySelection.values());
+    const metricsEl = document.getElementById("history-compare-metrics");
+    const noteEl = document.getElementById("history-compare-note");
+    drawHistoryCompare(records);
+    if (metricsEl) {
+      metricsEl.innerHTML = "";
+      if (records.length >= 2) {
+        const first = records[0];
+        records.forEach((r, k) => {
+          const div = document.createElement("div");
+          div.className = "history-card";
+          div.style.borderColor = COMPARE_COLORS[k % COMPARE_COLORS.length];
+          const header = textNode("div", "", "history-card-header");
+          header.appendChild(textNode("span", "U #" + r.id));
+          header.appendChild(textNode("span", r.modelType, "history-chip"));
+          div.appendChild(header);
+          Engine.DIGEST_METRICS.forEach((key) => {
+            const v = r.metrics[key];
+            const diff = k > 0 && Number.isFinite(v) ? v - first.metrics[key] : null;
+            div.appendChild(metricLine(DIGEST_METRIC_LABELS[key],
+              fmt(v) + (diff !== null ? " (" + (diff >= 0 ? "+" : "") + fmt(diff) + ")" : "")));
+          });
+          metricsEl.appendChild(div);
+        });
+      }
+    }
+    if (noteEl) {
+      noteEl.textContent = records.length >= 2
+        ? "‖U(t)‖ of " + records.length + " runs on a shared step axis (ticks: each run’s t₀); " +
+          "bracketed values are differences from U #" + records[0].id + "."
+        : "Tick two or more runs to overlay their timelines and metrics.";
+    }
+  }
+
+  function attachHistoryControls() {
+    if (!window.RunHistory) return;
+    runHistory = new window.RunHistory();
+
+    const modelEl = document.getElementById("history-model");
+    if (modelEl) {
+      modelEl.innerHTML =
+        '<option value="">All models</option>' +
+        listModels().map(m => '<option value="' + m.id + '">' + m.label + "</option>").join("");
+    }
+    const systemEl = document.getElementById("history-system");
+    if (systemEl) {
+      systemEl.innerHTML =
+        '<option value="">All systems</option>' +
+        Engine.SYSTEM_TYPES.map(s => '<option value="' + s + '">' + s + "</option>").join("");
+    }
+    ["history-search", "history-model", "history-system", "history-pinned"].forEach((id) => {
+      const el = document.getElementById(id);
+      if (el) el.addEventListener(id === "history-search" ? "input" : "change", refreshHistory);
+    });
+    const clearBtn = document.getElementById("history-clear-btn");
+    if (clearBtn) {
+      clearBtn.addEventListener("click", () => {
+        runHistory.clearUnpinned().then(() => {
+          historySelection.forEach((r, id) => {
+            if (!r.pinned) historySelection.delete(id);
+          });
+          renderHistoryCompare();
+          refreshHistory();
+        });
+      });
+    }
+
+    const strip = document.getElementById("history-strip");
+    if (strip) {
+      strip.addEventListener("click", (event) => {
+        const data = event.target && event.target.dataset;
+        if (!data) return;
+        if (data.historySelect !== undefined) {
+          const id = Number(data.historySelect);
+          if (historySelection.has(id)) {
+            historySelection.delete(id);
+            renderHistoryCompare();
+            refreshHistory();
+          } else {
+            runHistory.get(id).then((record) => {
+              if (record) historySelection.set(id, record);
+              renderHistoryCompare();
+              refreshHistory();
+            });
+          }
+        } else if (data.historyPin !== undefined) {
+          const id = Number(data.historyPin);
+          runHistory.get(id).then(r => r && runHistory.setPinned(id, !r.pinned)).then((record) => {
+            if (record && historySelection.has(id)) historySelection.set(id, record);
+            refreshHistory();
+          });
+        } else if (data.historyReplay !== undefined) {
+          runHistory.get(Number(data.historyReplay)).then((record) => {
+            if (!record) return;
+            applyParameterSet(record.params);
+            window.runUniverseSimulation();
+          });
+        } else if (data.historyDelete !== undefined) {
+          const id = Number(data.historyDelete);
+          runHistory.remove(id).then(() => {
+            if (historySelection.delete(id)) renderHistoryCompare();
+            refreshHistory();
+          });
+        }
+      });
+    }
+    renderHistoryCompare();
+    refreshHistory();
+  }
+
+  function cancelEnsemble() {
+    if (ensembleJob) {
+      ensembleJob.cancel();
+      ensembleJob = null;
+    }
   }
 
   function updateMultiverseStats(enabled, count, params) {
@@ -337,11 +1398,21 @@
     const meanDeltaEl = document.getElementById("multi-mean-delta");
     const varInfEl = document.getElementById("multi-var-inf");
     const noteEl = document.getElementById("multi-note");
+    const progressEl = document.getElementById("multi-progress");
+    const cancelBtn = document.getElementById("multi-cancel-btn");
+    const exceedEl = document.getElementById("multi-exceed");
+
+    cancelEnsemble();
+    lastEnsembleReport = null;
+    renderEnsembleDistribution();
 
     if (!enabled || !count) {
       if (meanInfEl) meanInfEl.textContent = "…";
       if (meanDeltaEl) meanDeltaEl.textContent = "…";
       if (varInfEl) varInfEl.textContent = "…";
+      if (exceedEl) exceedEl.textContent = "…";
+      if (progressEl) progressEl.style.display = "none";
+      if (cancelBtn) cancelBtn.disabled = true;
       if (noteEl) {
         noteEl.textContent =
           "Enable multiverse mode to estimate ensemble statistics over many random universes.";
@@ -349,169 +1420,466 @@
       return;
     }
 
-    const { steps, maxLevels, t0, t1, strength, dim, modelType, systemType } = params;
-    let sumInf = 0;
-    let sumDelta = 0;
-    let sumInfSq = 0;
+    const { steps, maxLevels, seed } = params;
+    const describe = (done) =>
+      "Multiverse mode: " +
+      done +
+      (done < count ? " of " + count : "") +
+      " universes sampled with steps=" +
+      steps +
+      ", levels=" +
+      maxLevels +
+      ", seed=" +
+      seed +
+      ".";
+    const show = (summary) => {
+      if (meanInfEl) meanInfEl.textContent = fmt(summary.meanInf);
+      if (meanDeltaEl) meanDeltaEl.textContent = fmt(summary.meanDelta);
+      if (varInfEl) varInfEl.textContent = fmt(summary.varInf);
+      if (exceedEl) exceedEl.textContent = (100 * summary.exceedFraction).toFixed(1) + "%";
+    };
 
-    for (let i = 0; i < count; i++) {
-      const U = new LivingUniverse(dim, modelType, systemType);
-      U.run(steps, maxLevels);
+    if (progressEl) {
+      progressEl.style.display = "";
+      progressEl.max = count;
+      progressEl.value = 0;
+    }
+    if (cancelBtn) cancelBtn.disabled = false;
+    if (noteEl) noteEl.textContent = describe(0);
+
+    ensemblePool = ensemblePool || new window.EnsemblePool();
+    const job = ensemblePool.run(
+      params,
+      count,
+      (progress) => {
+        show(progress.summary);
+        if (progressEl) progressEl.value = progress.done;
+        if (noteEl) noteEl.textContent = describe(progress.done);
+      },
+      { alertThreshold: params.alertThreshold }
+    );
+    ensembleJob = job;
+
+    job.promise.then((result) => {
+      if (ensembleJob === job) ensembleJob = null;
+      if (cancelBtn) cancelBtn.disabled = true;
+      lastEnsemble = result;
+      if (result.error) {
+        if (progressEl) progressEl.style.display = "none";
+        if (noteEl) {
+          noteEl.textContent = describe(result.done) + " Failed: " + result.error.message +
+            (result.done ? " — partial statistics shown." : "");
+        }
+        return;
+      }
+      if (result.cancelled) {
+        if (noteEl && result.done < result.total) {
+          noteEl.textContent = describe(result.done) + " Cancelled — partial statistics shown.";
+        }
+        return;
+      }
+      if (progressEl) progressEl.style.display = "none";
+      show(result.summary);
+      if (noteEl) noteEl.textContent = describe(result.done);
+      if (detectionCenter) detectionCenter.check("ensemble", result.summary, { seed, params });
+      lastEnsembleReport = Engine.analyzeEnsemble(result.metrics, {
+        alertThreshold: params.alertThreshold,
+        seed,
+      });
+      renderEnsembleDistribution();
+    });
+  }
 
-      const before = U.get_state(t0);
-      const normBefore = norm(before);
-      retro_influence(U, t1, t0, strength);
-      const after = U.get_state(t0);
-      const normAfter = norm(after);
-      const delta = normAfter - normBefore;
-      const inf = norm(U.infinite_state(t0));
+  const METRIC_LABELS = {
+    inf_norm: "‖U∞(t₀)‖",
+    delta_norm: "Δ‖U(t₀)‖",
+    obs_norm: "‖Observer(t₀)‖",
+    delta_energy: "ΔE(t₀)",
+  };
 
-      sumInf += inf;
-      sumInfSq += inf * inf;
-      sumDelta += delta;
+  function renderEnsembleDistribution() {
+    const metricEl = document.getElementById("multi-metric-select");
+    const medianEl = document.getElementById("multi-median");
+    const ciEl = document.getElementById("multi-ci");
+    const rangeEl = document.getElementById("multi-quantiles");
+    const exceedCiEl = document.getElementById("multi-exceed-ci");
+    const canvas = document.getElementById("multi-hist-canvas");
+    const report = lastEnsembleReport;
+    const key = metricEl ? metricEl.value || "inf_norm" : "inf_norm";
+    const stats = report && report.metrics[key];
+
+    if (medianEl) medianEl.textContent = stats ? fmt(stats.quantiles.p50) : "…";
+    if (ciEl) ciEl.textContent = stats ? "[" + fmt(stats.ci[0]) + ", " + fmt(stats.ci[1]) + "]" : "…";
+    if (rangeEl) {
+      rangeEl.textContent = stats
+        ? fmt(stats.quantiles.p05) + " / " + fmt(stats.quantiles.p25) + " / " +
+          fmt(stats.quantiles.p75) + " / " + fmt(stats.quantiles.p95)
+        : "…";
+    }
+    if (exceedCiEl) {
+      exceedCiEl.textContent = report
+        ? "[" + (100 * report.exceedCI[0]).toFixed(1) + "%, " + (100 * report.exceedCI[1]).toFixed(1) + "%]"
+        : "…";
     }
 
-    const meanInf = sumInf / count;
-    const meanDelta = sumDelta / count;
-    const varInf = Math.max(0, sumInfSq / count - meanInf * meanInf);
+    if (!canvas || !canvas.getContext) return;
+    const ctx = canvas.getContext("2d");
+    const w = canvas.width;
+    const h = canvas.height;
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = "rgba(15, 23, 42, 1)";
+    ctx.fillRect(0, 0, w, h);
+    if (!stats || !stats.histogram.counts.length) return;
 
-    if (meanInfEl) meanInfEl.textContent = fmt(meanInf);
-    if (meanDeltaEl) meanDeltaEl.textContent = fmt(meanDelta);
-    if (varInfEl) varInfEl.textContent = fmt(varInf);
-    if (noteEl) {
-      noteEl.textContent =
-        "Multiverse mode: " +
-        count +
-        " universes sampled with steps=" +
-        steps +
-        ", levels=" +
-        maxLevels +
-        ".";
+    const pad = 10;
+    const { edges, counts, width } = stats.histogram;
+    const lo = Math.min(edges[0], stats.kde.xs[0]);
+    const hi = Math.max(edges[edges.length - 1], stats.kde.xs[stats.kde.xs.length - 1]);
+    const span = Math.max(1e-12, hi - lo);
+    const toX = x => pad + ((x - lo) / span) * (w - 2 * pad);
+    // histogram as a density so it shares the KDE's vertical scale
+    const n = report.count;
+    const density = counts.map(c => c / (n * width));
+    const maxY = Math.max(...density, ...stats.kde.ys) || 1;
+    const toY = y => h - pad - (y / maxY) * (h - 2 * pad);
+
+    ctx.fillStyle = "rgba(129, 140, 248, 0.45)";
+    density.forEach((d, i) => {
+      const x0 = toX(edges[i]);
+      const x1 = toX(edges[i + 1]);
+      ctx.fillRect(x0, toY(d), Math.max(1, x1 - x0 - 1), h - pad - toY(d));
+    });
+
+    ctx.beginPath();
+    stats.kde.xs.forEach((x, i) => {
+      if (i === 0) ctx.moveTo(toX(x), toY(stats.kde.ys[i]));
+      else ctx.lineTo(toX(x), toY(stats.kde.ys[i]));
+    });
+    ctx.strokeStyle = "rgba(34, 197, 94, 0.95)";
+    ctx.lineWidth = 1.4;
+    ctx.stroke();
+
+    ctx.fillStyle = "rgba(156, 163, 175, 0.9)";
+    ctx.font = "10px system-ui, sans-serif";
+    ctx.fillText(METRIC_LABELS[key] + "  n=" + n, pad, 12);
+  }
+
+  // === Parameter sweep ===
+  const SWEEP_DEFAULT_RANGES = {
+    strength: [0, 0.1],
+    dim: [2, 20],
+    maxLevels: [5, 60],
+  };
+
+  function refreshSweepKeys(modelType) {
+    ["sweep-x-key", "sweep-y-key"].forEach((id) => {
+      const el = document.getElementById(id);
+      if (!el) return;
+      const current = el.value;
+      el.innerHTML = "";
+      const keys = Engine.sweepKeys(modelType);
+      if (id === "sweep-y-key") keys.unshift({ key: "", label: "— (1D sweep)" });
+      keys.forEach(({ key, label }) => {
+        const opt = document.createElement("option");
+        opt.value = key;
+        opt.textContent = label;
+        el.appendChild(opt);
+      });
+      const valid = keys.some(k => k.key === current);
+      el.value = valid ? current : id === "sweep-x-key" ? "strength" : "";
+    });
+  }
+
+  function sweepDefaultRange(key, params) {
+    // a gap past the last step would not run
+    if (key === "gap") return [1, Math.max(1, Math.min(100, params.steps - 1 - params.t0))];
+    if (SWEEP_DEFAULT_RANGES[key]) return SWEEP_DEFAULT_RANGES[key];
+    const spec = getModel(params.modelType).params.find(s => "model." + s.key === key);
+    return spec ? [spec.min, spec.max] : [0, 1];
+  }
+
+  // null without a key or a numeric range; throws for values out of bounds
+  function readSweepAxis(prefix, modelType) {
+    const keyEl = document.getElementById(prefix + "-key");
+    const minEl = document.getElementById(prefix + "-min");
+    const maxEl = document.getElementById(prefix + "-max");
+    const nEl = document.getElementById(prefix + "-n");
+    if (!keyEl || !keyEl.value) return null;
+    const min = Number(minEl && minEl.value);
+    const max = Number(maxEl && maxEl.value);
+    if (!Number.isFinite(min) || !Number.isFinite(max)) return null;
+    const n = nEl ? clampInt(nEl.value, 1, 40, 8) : 8;
+    return Engine.sweepAxis(keyEl.value, min, max, n, modelType);
+  }
+
+  // The cancelled state stays around so its partial heatmap remains clickable.
+  function cancelSweep() {
+    if (!sweepState || sweepState.cancelled) return;
+    sweepState.cancelled = true;
+    if (sweepState.job) sweepState.job.cancel();
+  }
+
+  function runSweepFromForm() {
+    cancelSweep();
+    const params = getParameters();
+    if (params.seed === null) params.seed = randomSeed();
+    const samplesEl = document.getElementById("sweep-samples");
+    const noteEl = document.getElementById("sweep-note");
+    let xAxis;
+    let yAxis;
+    let cells;
+    try {
+      xAxis = readSweepAxis("sweep-x", params.modelType);
+      yAxis = readSweepAxis("sweep-y", params.modelType);
+      if (xAxis) cells = Engine.sweepCells(params, yAxis ? [xAxis, yAxis] : [xAxis]);
+    } catch (err) {
+      if (noteEl) noteEl.textContent = "Sweep not started: " + err.message;
+      return;
     }
+    if (!xAxis) {
+      if (noteEl) noteEl.textContent = "Choose an x parameter with a numeric min and max.";
+      return;
+    }
+    const samples = samplesEl ? clampInt(samplesEl.value, 1, 1000, 8) : 8;
+    const state = {
+      axes: yAxis ? [xAxis, yAxis] : [xAxis],
+      cells,
+      cancelled: false,
+      job: null,
+      done: 0,
+    };
+    sweepState = state;
+    sweepPool = sweepPool || new window.EnsemblePool();
+    drawSweepHeatmap(state);
+
+    const next = (k) => {
+      if (state.cancelled) return;
+      if (k >= state.cells.length) {
+        if (noteEl) {
+          noteEl.textContent =
+            "Sweep complete: " + state.cells.length + " grid points × " + samples +
+            " universes, seed=" + params.seed + ". Click a cell to load its parameters.";
+        }
+        return;
+      }
+      if (noteEl) noteEl.textContent = "Sweeping… " + k + " / " + state.cells.length + " grid points.";
+      state.job = sweepPool.run(state.cells[k].params, samples, null, {
+        alertThreshold: params.alertThreshold,
+      });
+      state.job.promise.then((result) => {
+        if (state.cancelled || result.cancelled) return;
+        if (result.error) {
+          if (noteEl) noteEl.textContent = "Sweep stopped at grid point " + (k + 1) + ": " + result.error.message;
+          return;
+        }
+        Object.assign(state.cells[k], {
+          meanDelta: result.summary.meanDelta,
+          meanInf: result.summary.meanInf,
+          varInf: result.summary.varInf,
+          exceedFraction: result.summary.exceedFraction,
+        });
+        state.done = k + 1;
+        drawSweepHeatmap(state);
+        next(k + 1);
+      });
+    };
+    next(0);
   }
 
-  function playChime(deltaNorm) {
+  function drawSweepHeatmap(state) {
+    const canvas = document.getElementById("sweep-canvas");
+    const metricEl = document.getElementById("sweep-metric");
+    if (!canvas || !canvas.getContext || !state) return;
+    const ctx = canvas.getContext("2d");
+    const w = canvas.width;
+    const h = canvas.height;
+    const metric = metricEl ? metricEl.value || "meanDelta" : "meanDelta";
+    const [xAxis, yAxis] = state.axes;
+    const nx = xAxis.values.length;
+    const ny = yAxis ? yAxis.values.length : 1;
+    const pad = 22;
+    const cw = (w - pad) / nx;
+    const ch = (h - pad) / ny;
+
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = "rgba(15, 23, 42, 1)";
+    ctx.fillRect(0, 0, w, h);
+
+    const values = state.cells.filter(c => c[metric] !== undefined).map(c => c[metric]);
+    const lo = values.length ? Math.min(...values) : 0;
+    const hi = values.length ? Math.max(...values) : 1;
+    const range = Math.max(1e-12, hi - lo);
+
+    state.cells.forEach((cell) => {
+      const x = pad + cell.i * cw;
+      // y grows upward, like a phase diagram
+      const y = h - pad - (cell.j + 1) * ch;
+      if (cell[metric] === undefined) {
+        ctx.fillStyle = "rgba(51, 65, 85, 0.6)";
+      } else {
+        const f = (cell[metric] - lo) / range;
+        ctx.fillStyle = "hsl(" + (240 - 240 * f) + ", 80%, " + (35 + 25 * f) + "%)";
+      }
+      ctx.fillRect(x, y, Math.max(1, cw - 1), Math.max(1, ch - 1));
+    });
+
+    ctx.fillStyle = "rgba(156, 163, 175, 0.9)";
+    ctx.font = "10px system-ui, sans-serif";
+    const fmtAxis = v => (Math.abs(v) >= 100 || Number.isInteger(v) ? String(Math.round(v)) : v.toFixed(3));
+    ctx.fillText(fmtAxis(xAxis.values[0]), pad, h - 8);
+    const xLast = fmtAxis(xAxis.values[nx - 1]);
+    ctx.fillText(xLast, w - 4 - ctx.measureText(xLast).width, h - 8);
+    ctx.fillText(xAxis.key, pad + (w - pad) / 2 - 16, h - 8);
+    if (yAxis) {
+      ctx.fillText(fmtAxis(yAxis.values[0]), 2, h - pad - 2);
+      ctx.fillText(fmtAxis(yAxis.values[ny - 1]), 2, 10);
+      ctx.fillText(yAxis.key, 2, (h - pad) / 2);
+    }
+    const legendEl = document.getElementById("sweep-legend");
+    if (legendEl && values.length) {
+      legendEl.textContent = "blue = " + fmt(lo) + " … red = " + fmt(hi);
+    }
+  }
+
+  function sweepCellAt(event) {
+    const canvas = document.getElementById("sweep-canvas");
+    const state = sweepState;
+    if (!canvas || !state) return null;
+    const rect = canvas.getBoundingClientRect();
+    const px = ((event.clientX - rect.left) / rect.width) * canvas.width;
+    const py = ((event.clientY - rect.top) / rect.height) * canvas.height;
+    const [xAxis, yAxis] = state.axes;
+    const nx = xAxis.values.length;
+    const ny = yAxis ? yAxis.values.length : 1;
+    const pad = 22;
+    const i = Math.floor((px - pad) / ((canvas.width - pad) / nx));
+    const j = Math.floor((canvas.height - pad - py) / ((canvas.height - pad) / ny));
+    if (i < 0 || i >= nx || j < 0 || j >= ny) return null;
+    return state.cells.find(c => c.i === i && c.j === j) || null;
+  }
+
+  function attachSweepControls() {
+    const modelEl = document.getElementById("model-select");
+    const modelType = modelEl ? modelEl.value || "nonlinear" : "nonlinear";
+    refreshSweepKeys(modelType);
+
+    ["sweep-x", "sweep-y"].forEach((prefix) => {
+      const keyEl = document.getElementById(prefix + "-key");
+      if (!keyEl) return;
+      const fillRange = () => {
+        const range = sweepDefaultRange(keyEl.value, getParameters());
+        const minEl = document.getElementById(prefix + "-min");
+        const maxEl = document.getElementById(prefix + "-max");
+        if (minEl) minEl.value = String(range[0]);
+        if (maxEl) maxEl.value = String(range[1]);
+      };
+      keyEl.addEventListener("change", fillRange);
+      if (keyEl.value) fillRange();
+    });
+
+    const runBtn = document.getElementById("sweep-run-btn");
+    if (runBtn) runBtn.addEventListener("click", runSweepFromForm);
+    const cancelBtn = document.getElementById("sweep-cancel-btn");
+    if (cancelBtn) {
+      cancelBtn.addEventListener("click", () => {
+        const noteEl = document.getElementById("sweep-note");
+        if (sweepState && !sweepState.cancelled && noteEl) noteEl.textContent = "Sweep cancelled.";
+        cancelSweep();
+      });
+    }
+    const metricEl = document.getElementById("sweep-metric");
+    if (metricEl) metricEl.addEventListener("change", () => drawSweepHeatmap(sweepState));
+
+    const canvas = document.getElementById("sweep-canvas");
+    if (canvas) {
+      canvas.addEventListener("click", (event) => {
+        const cell = sweepCellAt(event);
+        if (!cell) return;
+        applyParametersToForm(cell.params);
+        window.runUniverseSimulation();
+      });
+      canvas.addEventListener("mousemove", (event) => {
+        const cell = sweepCellAt(event);
+        const metricSel = document.getElementById("sweep-metric");
+        const metric = metricSel ? metricSel.value || "meanDelta" : "meanDelta";
+        canvas.title = cell
+          ? sweepState.axes[0].key + "=" + fmt(cell.x) +
+            (cell.y !== null ? ", " + sweepState.axes[1].key + "=" + fmt(cell.y) : "") +
+            (cell[metric] !== undefined ? " → " + fmt(cell[metric]) : "")
+          : "";
+      });
+    }
+  }
+
+  // created on first use; null where the browser has no Web Audio
+  function audioContext() {
+    if (!window.AudioContext && !window.webkitAudioContext) return null;
+    if (!audioCtx) {
+      audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    if (audioCtx.state === "suspended" && audioCtx.resume) audioCtx.resume();
+    return audioCtx;
+  }
+
+  function playTone(freq, duration, delay = 0) {
     try {
       if (!soundEnabledCache) return;
-      if (!window.AudioContext && !window.webkitAudioContext) return;
-      if (!audioCtx) {
-        audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-      }
-      const ctx = audioCtx;
+      const ctx = audioContext();
+      if (!ctx) return;
       const osc = ctx.createOscillator();
       const gain = ctx.createGain();
-      const baseFreq = 440;
-      const intensity = Math.min(1.5, Math.max(0.1, Math.abs(deltaNorm)));
-      osc.frequency.value = baseFreq * (1 + 0.3 * intensity);
+      osc.frequency.value = freq;
       gain.gain.value = 0.04;
       osc.connect(gain);
       gain.connect(ctx.destination);
-      const now = ctx.currentTime;
-      osc.start(now);
-      osc.stop(now + 0.2);
-      gain.gain.exponentialRampToValueAtTime(0.0001, now + 0.2);
+      const start = ctx.currentTime + delay;
+      osc.start(start);
+      osc.stop(start + duration);
+      gain.gain.setValueAtTime(0.04, start);
+      gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
     } catch (_) {
       // audio is optional; ignore failures
     }
   }
 
-  // === Model-specific dynamics helpers ===
-  function evolveOscillators(prev, systemType) {
-    const dt = 0.05;
-    const k = 1.0;
-    const coupling = 0.1;
-    const gamma = systemType === "open" ? 0.05 : systemType === "closed" ? 0.01 : 0.0;
-    const noiseScale = systemType === "open" ? 0.02 : 0.0;
-
-    const dim = prev.length;
-    const next = prev.slice();
-    const n = Math.floor(dim / 2);
-
-    for (let i = 0; i < n; i++) {
-      const xi = prev[2 * i];
-      const vi = prev[2 * i + 1];
-      const left = i > 0 ? prev[2 * (i - 1)] : xi;
-      const right = i < n - 1 ? prev[2 * (i + 1)] : xi;
-      const force = -k * xi - coupling * ((xi - left) + (xi - right));
-      let vNext = vi + dt * force;
-      vNext *= 1 - gamma;
-      let xNext = xi + dt * vNext;
-      if (noiseScale > 0) {
-        vNext += (Math.random() * 2 - 1) * noiseScale;
-      }
-      next[2 * i] = xNext;
-      next[2 * i + 1] = vNext;
-    }
-
-    // if odd dimension, carry extra component forward
-    if (dim % 2 === 1) {
-      next[dim - 1] = prev[dim - 1];
-    }
-    return next;
-  }
-
-  function evolveIsing(prev, systemType) {
-    const dim = prev.length;
-    const spins = prev.slice();
-    let m = 0;
-    for (let i = 0; i < dim; i++) m += spins[i];
-    m /= dim || 1;
-    const J = 1.0;
-    const h = 0.0;
-    const beta = 1.0;
-    const noiseScale = systemType === "open" ? 0.15 : 0.0;
-    const next = new Array(dim);
-    for (let i = 0; i < dim; i++) {
-      let localField = J * m + h;
-      if (noiseScale > 0) {
-        localField += (Math.random() * 2 - 1) * noiseScale;
-      }
-      next[i] = Math.tanh(beta * localField);
-    }
-    return next;
+  function playChime(deltaNorm) {
+    const intensity = Math.min(1.5, Math.max(0.1, Math.abs(deltaNorm)));
+    playTone(440 * (1 + 0.3 * intensity), 0.2);
   }
 
-  function oscillatorEnergy(state) {
-    const dim = state.length;
-    let E = 0;
-    const n = Math.floor(dim / 2);
-    for (let i = 0; i < n; i++) {
-      const x = state[2 * i];
-      const v = state[2 * i + 1];
-      E += 0.5 * (x * x + v * v);
-    }
-    return E;
+  // rising two-note cue, distinct from the per-run chime
+  function playDetectionTone() {
+    playTone(660, 0.12);
+    playTone(990, 0.18, 0.14);
   }
 
-  function isingEnergy(state) {
-    const dim = state.length;
-    if (!dim) return 0;
-    let m = 0;
-    for (let i = 0; i < dim; i++) m += state[i];
-    m /= dim;
-    const J = 1.0;
-    return -0.5 * J * dim * m * m;
+  // Runs happen synchronously on the main thread and cannot be cancelled, so
+  // the page refuses those estimated (Engine.runWork) to block it for more
+  // than a second or so; the CLI has no such cap.
+  const MAIN_THREAD_WORK = 5e7;
+
+  function refuseRun(work) {
+    if (player) player.pause();
+    const chipEl = document.getElementById("sim-status-chip");
+    const noteEl = document.getElementById("sim-timeline-note");
+    if (chipEl) chipEl.innerHTML = '<span class="chip-dot"></span>Run too large for the page';
+    if (noteEl) {
+      noteEl.textContent =
+        "This run needs about " + (work / 1e6).toFixed(0) + " M level updates; the page runs at most " +
+        MAIN_THREAD_WORK / 1e6 + " M so it stays responsive. Lower steps, levels, dim or the solver's " +
+        "iteration cap, or run it with node cli.js.";
+    }
   }
 
   function runBrowserSimulation() {
     const params = getParameters();
-    const {
-      steps,
-      maxLevels,
-      t0,
-      t1,
-      strength,
-      obsLevel,
-      dim,
-      multiverseEnabled,
-      multiverseCount,
-      theme,
-      animationsEnabled,
-      autoRun,
-      alertThreshold,
-      modelType,
-      systemType,
-    } = params;
+    if (params.seed === null) params.seed = randomSeed();
+    const work = Engine.runWork(params);
+    if (work > MAIN_THREAD_WORK) {
+      refuseRun(work);
+      return;
+    }
+    const { multiverseEnabled, multiverseCount, theme, animationsEnabled } = params;
 
     // apply customisation
     try {
@@ -543,40 +1911,30 @@
       // ignore theming errors
     }
 
-    const U = new LivingUniverse(dim, modelType, systemType);
-    U.run(steps, maxLevels);
-
-    const state_before = U.get_state(t0);
-    const norm_before = norm(state_before);
+    const result = runUniverse(params);
+    renderRun(result);
 
-    retro_influence(U, t1, t0, strength);
+    // multiverse ensemble stats
+    updateMultiverseStats(multiverseEnabled, multiverseCount, params);
 
-    const state_after = U.get_state(t0);
-    const norm_after = norm(state_after);
-    const delta_norm = norm_after - norm_before;
+    // sound cue: the whole run when sonification is on, else a chime
+    if (soundSettings().auto) listenTo(result, true);
+    else playChime(result.delta_norm);
 
-    // simple energy-like diagnostics depending on model
-    let energy_before = 0;
-    let energy_after = 0;
-    if (modelType === "oscillators") {
-      energy_before = oscillatorEnergy(state_before);
-      energy_after = oscillatorEnergy(state_after);
-    } else if (modelType === "ising") {
-      energy_before = isingEnergy(state_before);
-      energy_after = isingEnergy(state_after);
-    } else {
-      // fallback: use squared norm as pseudo-energy
-      energy_before = norm_before * norm_before;
-      energy_after = norm_after * norm_after;
+    if (detectionCenter) {
+      detectionCenter.check("run", result, { seed: result.seed, params: result.params });
     }
-    const delta_energy = energy_after - energy_before;
-
-    const inf_state = U.infinite_state(t0);
-    const inf_norm = norm(inf_state);
+  }
 
-    const obs = new Observer(U, obsLevel);
-    const obs_state = obs.perceive(t0);
-    const obs_norm = norm(obs_state);
+  // Fill every panel from a finished run, whether it was just computed or
+  // imported from a file.
+  function renderRun(result) {
+    const params = result.params;
+    const { t0, t1, obsLevel, dim, modelType, systemType, seed } = params;
+    const { delta_norm, inf_norm, obs_norm, delta_inf_norm, delta_obs_norm } = result;
+    lastRun = result;
+    const seedEl = document.getElementById("param-seed");
+    writeShareHash(Object.assign({}, params, { seed: seedEl && seedEl.value.trim() === "" ? null : seed }));
 
     const t0Labels = [
       document.getElementById("sim-t0-label"),
@@ -595,6 +1953,9 @@
     const infNormEl = document.getElementById("sim-infinite-norm");
     const deltaNormEl = document.getElementById("sim-delta-norm");
     const obsNormEl = document.getElementById("sim-observer-norm");
+    const deltaInfEl = document.getElementById("sim-delta-inf");
+    const deltaObsEl = document.getElementById("sim-delta-obs");
+    const seedLabelEl = document.getElementById("sim-seed");
     const levelDisplayEl = document.getElementById("level-display");
     const chipEl = document.getElementById("sim-status-chip");
     const noteEl = document.getElementById("sim-timeline-note");
@@ -602,17 +1963,21 @@
     const summaryInfEl = document.getElementById("summary-inf");
     const summaryDeltaEl = document.getElementById("summary-delta");
     const summaryObsEl = document.getElementById("summary-obs");
+    const summaryDriftEl = document.getElementById("summary-drift");
     const summaryNoteEl = document.getElementById("summary-note");
-    const meanDeltaEl = document.getElementById("multi-mean-delta");
 
     if (infNormEl) infNormEl.textContent = fmt(inf_norm);
     if (deltaNormEl) deltaNormEl.textContent = fmt(delta_norm);
     if (obsNormEl) obsNormEl.textContent = fmt(obs_norm);
+    if (deltaInfEl) deltaInfEl.textContent = fmt(delta_inf_norm);
+    if (deltaObsEl) deltaObsEl.textContent = fmt(delta_obs_norm);
     if (levelDisplayEl) levelDisplayEl.textContent = String(obsLevel);
+    if (seedLabelEl) seedLabelEl.textContent = String(seed);
 
     if (summaryInfEl) summaryInfEl.textContent = fmt(inf_norm);
     if (summaryDeltaEl) summaryDeltaEl.textContent = fmt(delta_norm);
     if (summaryObsEl) summaryObsEl.textContent = fmt(obs_norm);
+    if (summaryDriftEl) summaryDriftEl.textContent = result.energy_drift.max.toExponential(2);
 
     if (chipEl) {
       chipEl.innerHTML = '<span class="chip-dot"></span>Simulation complete in browser';
@@ -622,7 +1987,10 @@
       noteEl.innerHTML =
         'This live run evolved the universe to <code>t = ' + t1 +
         '</code>, sent a soft retrocausal signal back to <code>t = ' + t0 +
-        '</code>, and updated the metrics above from the resulting states.';
+        '</code>, and updated the metrics above from the resulting states.' +
+        (params.retroMode === "consistent"
+          ? ' The signal reached every level at <code>t₀</code> and the timeline was re‑evolved from there.'
+          : '');
     }
 
     if (footnoteEl) {
@@ -638,63 +2006,773 @@
         ', system=' + systemType +
         ', dim=' + dim +
         ', t₀=' + t0 + ', t₁=' + t1 +
+        ', seed=' + seed +
         ' — click “Run new universe” for another branch.';
     }
 
-    // store and render history
-    const historyArr = (window.universeHistory = window.universeHistory || []);
-    historyArr.push({
-      id: historyArr.length + 1,
-      t0,
-      t1,
-      inf_norm,
-      delta_norm,
-      obs_norm,
-    });
-    while (historyArr.length > 5) historyArr.shift();
-    renderHistory(historyArr);
+    // every run shown is logged once, replayable from its params and seed;
+    // an evolved run is redrawn on pause but stays the run that was logged
+    if (runHistory && result.universe !== loggedUniverse) {
+      loggedUniverse = result.universe;
+      runHistory.add(Engine.runDigest(result)).then(refreshHistory, refreshHistory);
+    }
 
     // update visuals
-    const normsTimeline = U.history.map((v) => norm(v));
-    drawStateGraph(normsTimeline, t0);
-    drawFingerprint(state_after);
+    if (timeline) timeline.setRun(result);
+    renderSolver(result.solver);
+    renderConvergence(result.inf_convergence);
+    renderObservers(result.observers, result.params);
+    renderPhaseSpace(result);
+    renderChaos(result);
+    renderSonogram(result);
+    renderObservables(result.observables, t0);
+    showFingerprint(null);
+  }
 
-    // multiverse ensemble stats
-    updateMultiverseStats(multiverseEnabled, multiverseCount, params);
+  // Fingerprint of the scrubbed step, or of t₀ after the influence when t is null.
+  function showFingerprint(t, state) {
+    const label = document.getElementById("fingerprint-t");
+    showObservablesAt(state ? t : null);
+    if (t === null || !state) {
+      if (lastRun) drawFingerprint(lastRun.state_after);
+      if (label) label.textContent = "t₀";
+      return;
+    }
+    drawFingerprint(state);
+    if (label) label.textContent = "t = " + t;
+  }
 
-    // sound cue
-    playChime(delta_norm);
-
-    // alert if a strong time‑travel effect is detected
-    if (alertThreshold > 0 && Math.abs(delta_norm) >= alertThreshold) {
-      const now = Date.now();
-      if (now - lastAlertTime > 1000) {
-        lastAlertTime = now;
-        // eslint-disable-next-line no-alert
-        alert(
-          "Plausible time‑travel event detected\n\n" +
-            "Dim = " + dim +
-            ", t₀ = " + t0 +
-            ", t₁ = " + t1 +
-            "\nΔ‖U(t₀)‖ = " + fmt(delta_norm) +
-            " ≥ threshold " + fmt(alertThreshold)
-        );
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  function downloadSnapshot(result) {
+    downloadBlob(
+      new Blob([JSON.stringify(Engine.serializeRun(result))], { type: "application/json" }),
+      "universe-" + result.seed + ".json"
+    );
+  }
+
+  function importRunFile(file) {
+    const noteEl = document.getElementById("summary-note");
+    file
+      .arrayBuffer()
+      .then((buffer) => {
+        const data = Engine.isRunBinary(buffer)
+          ? Engine.decodeRunBinary(buffer)
+          : JSON.parse(new TextDecoder().decode(buffer));
+        const result = Engine.deserializeRun(data);
+        applyParametersToForm(result.params);
+        renderRun(result);
+        if (noteEl) {
+          noteEl.textContent =
+            "Imported universe from " + file.name + " (seed=" + result.seed +
+            ", model=" + result.params.modelType + ").";
+        }
+      })
+      .catch((err) => {
+        if (noteEl) noteEl.textContent = "Import failed: " + err.message;
+      });
+  }
+
+  // === Detection rules (evaluated by detections.js) ===
+  const RULES_KEY = "alive-universe-rules";
+  const DEFAULT_RULES = [{ metric: "delta_norm", op: ">=", value: 0.3, abs: true, actions: ["toast"] }];
+  const DETECTION_ACTION_LABELS = { toast: "toast", pause: "pause", snapshot: "snap", sound: "♪" };
+
+  function renderRuleRows(rules) {
+    const container = document.getElementById("detection-rules");
+    if (!container) return;
+    container.innerHTML = "";
+    container.dataset.count = String(rules.length);
+    rules.forEach((rule, i) => {
+      const row = document.createElement("div");
+      row.className = "control-row compact-row";
+      const id = key => "rule-" + i + "-" + key;
+      // built node by node: rules come from storage, presets and share links
+      const select = (key, values, selected, label) => {
+        const el = document.createElement("select");
+        el.id = id(key);
+        el.className = "select-input";
+        values.forEach((v) => {
+          const opt = document.createElement("option");
+          opt.value = v;
+          opt.textContent = label(v);
+          el.appendChild(opt);
+        });
+        el.value = selected;
+        return el;
+      };
+      const check = (key, text, on) => {
+        const label = document.createElement("label");
+        const input = document.createElement("input");
+        input.id = id(key);
+        input.type = "checkbox";
+        input.checked = !!on;
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(text));
+        return label;
+      };
+      const value = document.createElement("input");
+      value.id = id("value");
+      value.type = "number";
+      value.step = "any";
+      value.value = String(rule.value);
+      const remove = document.createElement("button");
+      remove.className = "mini-button";
+      remove.type = "button";
+      remove.dataset.removeRule = String(i);
+      remove.title = "Remove rule";
+      remove.textContent = "×";
+
+      row.appendChild(select("metric", Object.keys(Engine.DETECTION_METRICS), rule.metric,
+        m => Engine.DETECTION_METRICS[m].label));
+      row.appendChild(check("abs", "|x|", rule.abs));
+      row.appendChild(select("op", Object.keys(Engine.DETECTION_OPS), rule.op, op => op));
+      row.appendChild(value);
+      Engine.DETECTION_ACTIONS.forEach((a) => {
+        row.appendChild(check("action-" + a, DETECTION_ACTION_LABELS[a], (rule.actions || []).includes(a)));
+      });
+      row.appendChild(remove);
+      container.appendChild(row);
+    });
+  }
+
+  // rows that don't make a valid rule (e.g. an empty value) are dropped
+  function readRuleRows() {
+    const container = document.getElementById("detection-rules");
+    const count = container ? Number(container.dataset.count || 0) : 0;
+    const rules = [];
+    for (let i = 0; i < count; i++) {
+      const el = key => document.getElementById("rule-" + i + "-" + key);
+      if (!el("metric")) continue;
+      const value = el("value").value;
+      const rule = {
+        metric: el("metric").value,
+        op: el("op").value,
+        value: value === "" ? NaN : Number(value),
+        abs: !!el("abs").checked,
+        actions: Engine.DETECTION_ACTIONS.filter(a => el("action-" + a) && el("action-" + a).checked),
+      };
+      if (!Engine.validateRules([rule]).length) rules.push(rule);
+    }
+    return rules;
+  }
+
+  function loadRules() {
+    try {
+      const raw = window.localStorage && localStorage.getItem(RULES_KEY);
+      const rules = raw ? JSON.parse(raw) : DEFAULT_RULES;
+      return Engine.validateRules(rules).length ? DEFAULT_RULES : rules;
+    } catch (_) {
+      return DEFAULT_RULES;
+    }
+  }
+
+  function saveRules(rules) {
+    try {
+      window.localStorage && localStorage.setItem(RULES_KEY, JSON.stringify(rules));
+    } catch (_) {
+      // ignore storage errors
+    }
+  }
+
+  function attachDetectionControls() {
+    if (!window.DetectionCenter) return;
+    const countEl = document.getElementById("detection-count");
+    detectionCenter = new window.DetectionCenter(
+      document.getElementById("detection-log"),
+      document.getElementById("toast-stack"),
+      {
+        actions: {
+          pause: () => player && player.pause(),
+          // ensembles have no single run to capture
+          snapshot: (detections) => {
+            if (detections[0].source === "run" && lastRun) downloadSnapshot(lastRun);
+          },
+          sound: playDetectionTone,
+        },
+        onChange: (log) => {
+          if (countEl) countEl.textContent = String(log.length);
+        },
       }
+    );
+    // scripting hook: universeDetections.onDetection(d => ...) returns an unsubscribe function
+    window.universeDetections = detectionCenter;
+
+    const rules = loadRules();
+    renderRuleRows(rules);
+    detectionCenter.setRules(rules);
+    const update = () => {
+      const current = readRuleRows();
+      detectionCenter.setRules(current);
+      saveRules(current);
+    };
+    const container = document.getElementById("detection-rules");
+    if (container) {
+      container.addEventListener("change", update);
+      container.addEventListener("input", update);
+      container.addEventListener("click", (event) => {
+        const index = event.target && event.target.dataset ? event.target.dataset.removeRule : undefined;
+        if (index === undefined) return;
+        const current = readRuleRows();
+        current.splice(Number(index), 1);
+        renderRuleRows(current);
+        update();
+      });
+    }
+    const addBtn = document.getElementById("rule-add");
+    if (addBtn) {
+      addBtn.addEventListener("click", () => {
+        const current = readRuleRows();
+        if (current.length >= Engine.DETECTION_RULE_LIMIT) return;
+        current.push({ metric: "delta_energy", op: ">=", value: 0.1, abs: true, actions: ["toast"] });
+        renderRuleRows(current);
+        update();
+      });
+    }
+    const clearBtn = document.getElementById("detection-clear-btn");
+    if (clearBtn) clearBtn.addEventListener("click", () => detectionCenter.clear());
+    const exportBtn = document.getElementById("detection-csv-btn");
+    if (exportBtn) {
+      exportBtn.addEventListener("click", () => {
+        if (!detectionCenter.log.length) return;
+        downloadBlob(new Blob([Engine.toCSV(detectionCenter.table())], { type: "text/csv" }), "detections.csv");
+      });
     }
+  }
 
-    // schedule next auto‑run if enabled
-    if (autoRun && !autoRunHandle) {
-      const loop = () => {
-        const p = getParameters();
-        if (!p.autoRun) {
-          autoRunHandle = null;
-          return;
+  // === Sonification (see sonification.js) ===
+  const SOUND_KEY = "alive-universe-sound";
+  // the score being played, with its audio handle
+  let listening = null;
+
+  function soundSettings() {
+    const Sonifier = window.UniverseSonifier;
+    const defaults = Sonifier ? Sonifier.SOUND_DEFAULTS : {};
+    const read = (id, fallback) => {
+      const el = document.getElementById(id);
+      const v = el ? Number(el.value) : NaN;
+      return Number.isFinite(v) ? v : fallback;
+    };
+    const limit = (key, v) => {
+      const range = Sonifier && Sonifier.SOUND_LIMITS[key];
+      return range ? Math.min(range.max, Math.max(range.min, v)) : v;
+    };
+    const mappingEl = document.getElementById("sound-mapping");
+    const autoEl = document.getElementById("sound-auto");
+    return {
+      auto: !!(Sonifier && autoEl && autoEl.checked),
+      mapping: mappingEl && Sonifier && Sonifier.MAPPINGS[mappingEl.value] ? mappingEl.value : defaults.mapping,
+      volume: limit("volume", read("sound-volume", defaults.volume)),
+      duration: limit("duration", read("sound-duration", defaults.duration)),
+      basePitch: limit("basePitch", read("sound-base", defaults.basePitch)),
+      bend: limit("bend", read("sound-bend", defaults.bend)),
+    };
+  }
+
+  function soundScore(result) {
+    const settings = soundSettings();
+    delete settings.auto;
+    return window.UniverseSonifier.buildScore(result, settings);
+  }
+
+  function setSoundNote(text) {
+    const el = document.getElementById("sound-note");
+    if (el) el.textContent = text;
+  }
+
+  function describeScore(score) {
+    const what = {
+      oscillators: "oscillator positions bend the pitch",
+      ising: "up spins sound, magnetisation sets the brightness",
+      components: "loudness follows |x_i|",
+    }[score.kind];
+    return score.voices.length + " partials (" + what + ") · " + score.transients.length +
+      " retro transient" + (score.transients.length === 1 ? "" : "s") + " · " + score.duration + " s";
+  }
+
+  // Partials bottom to top, brightness = gain; ticks at the retro transients.
+  function drawSonogram(score) {
+    const canvas = document.getElementById("sound-canvas");
+    if (!canvas || !canvas.getContext) return;
+    const ctx = canvas.getContext("2d");
+    const w = canvas.width;
+    const h = canvas.height;
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = "rgba(15, 23, 42, 1)";
+    ctx.fillRect(0, 0, w, h);
+    if (!score) return;
+    const rows = score.voices.length;
+    const rowH = h / rows;
+    const cols = Math.min(w, score.frames);
+    const colW = w / cols;
+    let maxGain = 0;
+    score.voices.forEach(v => v.gain.forEach((g) => {
+      maxGain = Math.max(maxGain, g);
+    }));
+    score.voices.forEach((voice, r) => {
+      for (let c = 0; c < cols; c++) {
+        const g = voice.gain[Math.floor((c * (score.frames - 1)) / Math.max(1, cols - 1))];
+        const a = maxGain > 0 ? g / maxGain : 0;
+        if (a < 0.02) continue;
+        ctx.fillStyle = "rgba(56, 189, 248, " + a.toFixed(3) + ")";
+        ctx.fillRect(c * colW, h - (r + 1) * rowH, Math.ceil(colW), Math.ceil(rowH));
+      }
+    });
+    ctx.strokeStyle = "rgba(244, 114, 182, 0.9)";
+    ctx.lineWidth = 1;
+    score.transients.forEach((tr) => {
+      const x = (tr.time / score.duration) * w;
+      ctx.globalAlpha = 0.4 + 0.6 * tr.strength;
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, h);
+      ctx.stroke();
+    });
+    ctx.globalAlpha = 1;
+  }
+
+  function renderSonogram(result) {
+    if (!window.UniverseSonifier) return;
+    try {
+      const score = soundScore(result);
+      drawSonogram(score);
+      setSoundNote(describeScore(score));
+    } catch (err) {
+      drawSonogram(null);
+      setSoundNote("Sonification failed: " + err.message);
+    }
+  }
+
+  function stopListening() {
+    if (!listening) return;
+    listening.handle.stop();
+    clearTimeout(listening.timer);
+    listening = null;
+    const btn = document.getElementById("sound-listen-btn");
+    if (btn) btn.textContent = "▶ Listen";
+  }
+
+  // auto: a run finished with sonification on, so the Sound toggle applies
+  function listenTo(result, auto) {
+    stopListening();
+    if (!result || !window.UniverseSonifier) return;
+    if (auto && !soundEnabledCache) return;
+    try {
+      const ctx = audioContext();
+      if (!ctx) {
+        setSoundNote("This browser has no Web Audio; the WAV export still works.");
+        return;
+      }
+      const score = soundScore(result);
+      const handle = window.UniverseSonifier.scheduleScore(ctx, score);
+      const timer = setTimeout(stopListening, (handle.end - ctx.currentTime) * 1000 + 100);
+      listening = { handle, timer };
+      const btn = document.getElementById("sound-listen-btn");
+      if (btn) btn.textContent = "■ Stop";
+    } catch (err) {
+      setSoundNote("Playback failed: " + err.message);
+    }
+  }
+
+  function exportWav(result) {
+    if (!result || !window.UniverseSonifier) return;
+    const btn = document.getElementById("sound-wav-btn");
+    if (btn) btn.disabled = true;
+    const seed = result.seed;
+    let score;
+    try {
+      score = soundScore(result);
+    } catch (err) {
+      setSoundNote("Sonification failed: " + err.message);
+      if (btn) btn.disabled = false;
+      return;
+    }
+    setSoundNote("Rendering WAV…");
+    window.UniverseSonifier.renderWav(score, { sampleRate: 44100 })
+      .then((wav) => {
+        downloadBlob(new Blob([wav], { type: "audio/wav" }), "universe-" + seed + ".wav");
+        setSoundNote(describeScore(score));
+      })
+      .catch((err) => {
+        setSoundNote("WAV export failed: " + (err && err.message ? err.message : err));
+      })
+      .then(() => {
+        if (btn) btn.disabled = false;
+      });
+  }
+
+  function loadSoundSettings() {
+    try {
+      const raw = window.localStorage && localStorage.getItem(SOUND_KEY);
+      return raw ? JSON.parse(raw) : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function saveSoundSettings() {
+    try {
+      window.localStorage && localStorage.setItem(SOUND_KEY, JSON.stringify(soundSettings()));
+    } catch (_) {
+      // ignore storage errors
+    }
+  }
+
+  function attachSoundControls() {
+    const Sonifier = window.UniverseSonifier;
+    if (!Sonifier) return;
+    const mappingEl = document.getElementById("sound-mapping");
+    if (mappingEl) {
+      mappingEl.innerHTML = "";
+      Object.keys(Sonifier.MAPPINGS).forEach((id) => {
+        const opt = document.createElement("option");
+        opt.value = id;
+        opt.textContent = Sonifier.MAPPINGS[id].label;
+        mappingEl.appendChild(opt);
+      });
+    }
+    const saved = Object.assign({}, Sonifier.SOUND_DEFAULTS, loadSoundSettings() || {});
+    const fields = {
+      "sound-mapping": saved.mapping,
+      "sound-volume": saved.volume,
+      "sound-duration": saved.duration,
+      "sound-base": saved.basePitch,
+      "sound-bend": saved.bend,
+    };
+    Object.keys(fields).forEach((id) => {
+      const el = document.getElementById(id);
+      if (el) el.value = String(fields[id]);
+    });
+    const autoEl = document.getElementById("sound-auto");
+    if (autoEl) autoEl.checked = !!saved.auto;
+
+    const panel = document.getElementById("sound-panel");
+    if (panel) {
+      panel.addEventListener("change", () => {
+        saveSoundSettings();
+        if (lastRun) renderSonogram(lastRun);
+      });
+    }
+    const listenBtn = document.getElementById("sound-listen-btn");
+    if (listenBtn) {
+      listenBtn.addEventListener("click", () => {
+        if (listening) stopListening();
+        else listenTo(lastRun, false);
+      });
+    }
+    const wavBtn = document.getElementById("sound-wav-btn");
+    if (wavBtn) wavBtn.addEventListener("click", () => exportWav(lastRun));
+  }
+
+  // === Playback (driven by playback.js) ===
+  // "stream" draws a new universe per tick; "evolve" keeps stepping the one
+  // on screen. Speeds are multiples of each mode's base rate.
+  const PLAYBACK_MODES = {
+    stream: { rate: 4, maxBatch: 1, unit: "universes/s" },
+    evolve: { rate: 60, maxBatch: 500, unit: "steps/s" },
+  };
+  // the run on screen has been stepped past its last full render
+  let evolvedSinceRender = false;
+  // Evolve frames stay near EVOLVE_FRAME_MS of main-thread time: a step costs
+  // about levels × dim updates, so the batch starts from EVOLVE_FRAME_WORK of
+  // those and then halves while frames overrun (long timelines, slow models).
+  const EVOLVE_FRAME_MS = 30;
+  const EVOLVE_FRAME_WORK = 200000;
+  let evolveBatch = PLAYBACK_MODES.evolve.maxBatch;
+
+  function evolveBatchFor(result) {
+    const work = Math.max(1, result.universe.maxLevel * result.universe.dim);
+    return Math.max(1, Math.min(evolveBatch, Math.floor(EVOLVE_FRAME_WORK / work)));
+  }
+
+  function playbackSettings() {
+    const modeEl = document.getElementById("playback-mode");
+    const speedEl = document.getElementById("playback-speed");
+    const mode = modeEl && PLAYBACK_MODES[modeEl.value] ? modeEl.value : "stream";
+    const speed = speedEl && Number(speedEl.value) > 0 ? Number(speedEl.value) : 1;
+    return Object.assign({}, PLAYBACK_MODES[mode], { mode, rate: PLAYBACK_MODES[mode].rate * speed });
+  }
+
+  function setPlaybackStatus(text) {
+    const el = document.getElementById("playback-status");
+    if (el) el.textContent = text;
+  }
+
+  // Light redraw for continuous evolution: timeline, newest state and step
+  // counter. Every other panel catches up through renderRun on pause; the
+  // detection rules are watched every frame and fire when they start to hold.
+  function renderFrame(result) {
+    lastRun = result;
+    evolvedSinceRender = true;
+    const t = result.norms.length - 1;
+    if (timeline) timeline.setRun(result);
+    showFingerprint(t, result.universe.history[t]);
+    setPlaybackStatus("Evolving · t = " + t + " · " + fmt(result.norms[t]));
+    if (detectionCenter) {
+      detectionCenter.watch("run", result, { seed: result.seed, params: result.params });
+    }
+  }
+
+  function playbackTick(n) {
+    const { mode } = playbackSettings();
+    if (mode === "stream" || !lastRun) {
+      runBrowserSimulation();
+      return true;
+    }
+    const count = Math.min(n, evolveBatchFor(lastRun));
+    const started = Date.now();
+    const next = Engine.extendRun(lastRun, count);
+    if (next === lastRun) {
+      setPlaybackStatus("Timeline full at " + Engine.PARAM_LIMITS.steps.max + " steps.");
+      return false;
+    }
+    renderFrame(next);
+    const took = Date.now() - started;
+    if (took > EVOLVE_FRAME_MS) {
+      evolveBatch = Math.max(1, Math.floor(count / 2));
+    } else if (took < EVOLVE_FRAME_MS / 2 && count === evolveBatch) {
+      evolveBatch = Math.min(PLAYBACK_MODES.evolve.maxBatch, Math.ceil(evolveBatch * 1.25));
+    }
+    return true;
+  }
+
+  function attachPlaybackControls() {
+    if (!window.PlaybackController) return;
+    const playBtn = document.getElementById("playback-play");
+    player = new window.PlaybackController({
+      tick: playbackTick,
+      onState: ({ playing }) => {
+        if (playBtn) playBtn.textContent = playing ? "⏸ Pause" : "▶ Play";
+        if (playing) {
+          const { mode, rate, unit } = playbackSettings();
+          setPlaybackStatus((mode === "stream" ? "Streaming" : "Evolving") + " · " + rate + " " + unit);
+        } else {
+          setPlaybackStatus(lastRun ? "Paused · t = " + (lastRun.norms.length - 1) : "Paused");
+          if (evolvedSinceRender && lastRun) {
+            evolvedSinceRender = false;
+            renderRun(lastRun);
+          }
+        }
+      },
+    });
+    const applyRate = () => {
+      const { rate, maxBatch } = playbackSettings();
+      player.setRate(rate, maxBatch);
+    };
+    applyRate();
+    ["playback-mode", "playback-speed"].forEach((id) => {
+      const el = document.getElementById(id);
+      if (el) el.addEventListener("change", applyRate);
+    });
+    if (playBtn) playBtn.addEventListener("click", () => player.toggle());
+    const stepBtn = document.getElementById("playback-step");
+    if (stepBtn) {
+      stepBtn.addEventListener("click", () => {
+        player.step();
+        // a single step is a pause too: show the whole run
+        if (evolvedSinceRender && lastRun) {
+          evolvedSinceRender = false;
+          renderRun(lastRun);
         }
+      });
+    }
+  }
+
+  // === Shareable links and named presets ===
+  const PRESETS_KEY = "alive-universe-presets";
+  let presets = [];
+
+  function setShareNote(text, warning) {
+    const el = document.getElementById("share-note");
+    if (!el) return;
+    el.textContent = text;
+    el.classList.toggle("is-warning", !!warning);
+  }
+
+  // The hash follows every run. A blank seed field stays blank there, so a
+  // reload still draws a fresh universe; copyShareLink pins the seed.
+  function writeShareHash(params) {
+    if (!window.history || !history.replaceState) return;
+    try {
+      history.replaceState(null, "", "#" + Engine.encodeParamsHash(params));
+    } catch (_) {
+      // some browsers refuse URL updates on file:// pages
+    }
+  }
+
+  // Missing keys reset to their defaults rather than keeping stale form values.
+  function applyParameterSet(params) {
+    applyParametersToForm(Object.assign({}, Engine.DEFAULT_PARAMS, params));
+  }
+
+  function hydrateFromHash() {
+    let params;
+    try {
+      params = Engine.decodeParamsHash(window.location.hash);
+    } catch (err) {
+      setShareNote(err.message, true);
+      return false;
+    }
+    if (!params) return false;
+    applyParameterSet(params);
+    setShareNote("Parameters loaded from the link.");
+    return true;
+  }
+
+  function copyShareLink() {
+    const params = lastRun ? lastRun.params : getParameters();
+    const url = window.location.href.split("#")[0] + "#" + Engine.encodeParamsHash(params);
+    writeShareHash(params);
+    const fallback = () => setShareNote("Clipboard unavailable: copy the link from the address bar.", true);
+    if (!navigator.clipboard || !navigator.clipboard.writeText) {
+      fallback();
+      return;
+    }
+    navigator.clipboard
+      .writeText(url)
+      .then(() => setShareNote("Link copied (seed " + params.seed + ")."), fallback);
+  }
+
+  function loadPresets() {
+    try {
+      const raw = window.localStorage && localStorage.getItem(PRESETS_KEY);
+      presets = raw ? Engine.readPresetFile(JSON.parse(raw)) : [];
+    } catch (_) {
+      presets = [];
+    }
+  }
+
+  function savePresets() {
+    try {
+      window.localStorage && localStorage.setItem(PRESETS_KEY, JSON.stringify(Engine.presetFile(presets)));
+    } catch (_) {
+      // ignore storage errors
+    }
+  }
+
+  function renderPresetSelect(selected) {
+    const el = document.getElementById("preset-select");
+    if (!el) return;
+    el.innerHTML = "";
+    const none = document.createElement("option");
+    none.value = "";
+    none.textContent = presets.length ? "Choose a preset…" : "No presets yet";
+    el.appendChild(none);
+    presets.forEach((preset) => {
+      const opt = document.createElement("option");
+      opt.value = preset.name;
+      opt.textContent = preset.name;
+      el.appendChild(opt);
+    });
+    el.value = selected && presets.some(p => p.name === selected) ? selected : "";
+  }
+
+  // same-named presets are replaced in place
+  function storePreset(name, params) {
+    const index = presets.findIndex(p => p.name === name);
+    const preset = { name, params: Engine.shareableParams(params) };
+    if (index >= 0) presets[index] = preset;
+    else presets.push(preset);
+  }
+
+  function importPresetFile(file) {
+    file
+      .text()
+      .then((text) => {
+        const imported = Engine.readPresetFile(JSON.parse(text));
+        imported.forEach(p => storePreset(p.name, p.params));
+        savePresets();
+        renderPresetSelect(imported.length ? imported[0].name : "");
+        setShareNote(
+          "Imported " + imported.length + " preset" + (imported.length === 1 ? "" : "s") + " from " + file.name + "."
+        );
+      })
+      .catch((err) => {
+        setShareNote("Preset import failed: " + err.message, true);
+      });
+  }
+
+  function attachPresetControls() {
+    const selectEl = document.getElementById("preset-select");
+    const nameEl = document.getElementById("preset-name");
+    const selected = () => presets.find(p => selectEl && p.name === selectEl.value);
+    const typedName = () => (nameEl ? nameEl.value.trim() : "");
+    const on = (id, handler) => {
+      const el = document.getElementById(id);
+      if (el) el.addEventListener("click", handler);
+    };
+
+    loadPresets();
+    renderPresetSelect();
+    if (selectEl) {
+      selectEl.addEventListener("change", () => {
+        const preset = selected();
+        if (!preset) return;
+        if (nameEl) nameEl.value = preset.name;
+        applyParameterSet(preset.params);
         window.runUniverseSimulation();
-        autoRunHandle = window.setTimeout(loop, 80);
-      };
-      loop();
+      });
     }
+    on("share-link-btn", copyShareLink);
+    on("preset-save-btn", () => {
+      const name = typedName() || "Preset " + (presets.length + 1);
+      storePreset(name, getParameters());
+      savePresets();
+      renderPresetSelect(name);
+      if (nameEl) nameEl.value = name;
+      setShareNote("Saved preset “" + name + "”.");
+    });
+    on("preset-rename-btn", () => {
+      const preset = selected();
+      const name = typedName();
+      if (!preset || !name || name === preset.name) return;
+      if (presets.some(p => p.name === name)) {
+        setShareNote("A preset called “" + name + "” already exists.", true);
+        return;
+      }
+      const old = preset.name;
+      preset.name = name;
+      savePresets();
+      renderPresetSelect(name);
+      setShareNote("Renamed “" + old + "” to “" + name + "”.");
+    });
+    on("preset-delete-btn", () => {
+      const preset = selected();
+      if (!preset) return;
+      presets = presets.filter(p => p !== preset);
+      savePresets();
+      renderPresetSelect();
+      setShareNote("Deleted preset “" + preset.name + "”.");
+    });
+    on("preset-export-btn", () => {
+      if (!presets.length) return;
+      downloadBlob(
+        new Blob([JSON.stringify(Engine.presetFile(presets), null, 2)], { type: "application/json" }),
+        "universe-presets.json"
+      );
+    });
+    const importFileEl = document.getElementById("preset-import-file");
+    if (importFileEl) {
+      on("preset-import-btn", () => importFileEl.click());
+      importFileEl.addEventListener("change", () => {
+        const file = importFileEl.files && importFileEl.files[0];
+        importFileEl.value = "";
+        if (file) importPresetFile(file);
+      });
+    }
+    // links pasted into the address bar of an open page
+    window.addEventListener("hashchange", () => {
+      if (hydrateFromHash()) window.runUniverseSimulation();
+    });
   }
 
   // expose to the page so HTML controls can trigger new runs
@@ -734,7 +2812,75 @@
     const themeEl = document.getElementById("theme-select");
     const animEl = document.getElementById("toggle-anim");
     const soundEl = document.getElementById("toggle-sound");
-    const autoEl = document.getElementById("auto-run");
+    const modelEl = document.getElementById("model-select");
+
+    buildModelSelect();
+    if (window.TimelineExplorer) {
+      timeline = new window.TimelineExplorer(
+        document.getElementById("state-graph"),
+        document.getElementById("timeline-heatmap"),
+        {
+          onScrub: showFingerprint,
+          // dragged anchors re-run the same universe
+          onAnchors: ({ t0, t1 }) => {
+            applyParametersToForm({ t0, t1, seed: lastRun ? lastRun.seed : undefined });
+            window.runUniverseSimulation();
+          },
+        }
+      );
+    }
+    if (modelEl) {
+      renderModelParams(modelEl.value);
+      modelEl.addEventListener("change", () => {
+        renderModelParams(modelEl.value);
+        refreshSweepKeys(modelEl.value);
+      });
+    }
+    const addEventBtn = document.getElementById("retro-event-add");
+    if (addEventBtn) {
+      addEventBtn.addEventListener("click", () => {
+        const events = readRetroEvents();
+        if (events.length >= Engine.RETRO_EVENT_LIMITS.events) return;
+        const { t0, t1, strength } = getParameters();
+        events.push({ source: t1, target: t0, strength, mode: "local" });
+        renderRetroEvents(events);
+      });
+    }
+    const addObserverBtn = document.getElementById("observer-add");
+    if (addObserverBtn) {
+      addObserverBtn.addEventListener("click", () => {
+        const observers = readObserverRows();
+        if (observers.length >= Engine.OBSERVER_LIMIT) return;
+        const { obsLevel } = getParameters();
+        observers.push({ level: obsLevel, measure: "norm" });
+        renderObserverRows(observers);
+      });
+    }
+    const observersEl = document.getElementById("observers-list");
+    if (observersEl) {
+      observersEl.addEventListener("click", (event) => {
+        const index = event.target && event.target.dataset ? event.target.dataset.removeObserver : undefined;
+        if (index === undefined) return;
+        const observers = readObserverRows();
+        observers.splice(Number(index), 1);
+        renderObserverRows(observers);
+      });
+    }
+    const eventsEl = document.getElementById("retro-events");
+    if (eventsEl) {
+      eventsEl.addEventListener("click", (event) => {
+        const index = event.target && event.target.dataset ? event.target.dataset.removeEvent : undefined;
+        if (index === undefined) return;
+        const events = readRetroEvents();
+        events.splice(Number(index), 1);
+        renderRetroEvents(events);
+      });
+    }
+    attachSweepControls();
+    attachPresetControls();
+    attachHistoryControls();
+    attachDetectionControls();
+    attachSoundControls();
 
     // hydrate preferences
     try {
@@ -759,48 +2905,85 @@
         if (label) label.textContent = String(obsLevel);
       });
     }
+    const chaosBtn = document.getElementById("chaos-run-btn");
+    if (chaosBtn) {
+      chaosBtn.addEventListener("click", () => {
+        if (lastRun) renderChaos(lastRun, true);
+      });
+    }
     const snapshotBtn = document.getElementById("snapshot-btn");
     if (snapshotBtn) {
       snapshotBtn.addEventListener("click", () => {
-        const last = (window.universeHistory || [])[window.universeHistory.length - 1];
-        if (!last) return;
-        const lines = [
-          "Living Universe Snapshot",
-          "------------------------",
-          "t0 = " + last.t0,
-          "t1 = " + last.t1,
-          "||U_inf(t0)|| = " + fmt(last.inf_norm),
-          "Delta ||U(t0)|| = " + fmt(last.delta_norm),
-          "||Observer_k(t0)|| = " + fmt(last.obs_norm),
-          "",
-          "Recreate by using the same parameters in the web UI.",
-        ];
-        const blob = new Blob([lines.join("\n")], { type: "text/plain" });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement("a");
-        a.href = url;
-        a.download = "universe-snapshot.txt";
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        if (lastRun) downloadSnapshot(lastRun);
+      });
+    }
+    const snapshotBinBtn = document.getElementById("snapshot-bin-btn");
+    if (snapshotBinBtn) {
+      snapshotBinBtn.addEventListener("click", () => {
+        if (!lastRun) return;
+        const buffer = Engine.encodeRunBinary(Engine.serializeRun(lastRun));
+        downloadBlob(
+          new Blob([buffer], { type: "application/octet-stream" }),
+          "universe-" + lastRun.seed + ".lueb"
+        );
+      });
+    }
+    const exportTable = (format, table, name) => {
+      const text = format === "csv" ? Engine.toCSV(table) : Engine.toNDJSON(table);
+      const type = format === "csv" ? "text/csv" : "application/x-ndjson";
+      downloadBlob(new Blob([text], { type }), name + "." + format);
+    };
+    [
+      ["export-csv-btn", "csv"],
+      ["export-ndjson-btn", "ndjson"],
+    ].forEach(([id, format]) => {
+      const el = document.getElementById(id);
+      if (!el) return;
+      el.addEventListener("click", () => {
+        if (!lastRun) return;
+        exportTable(format, Engine.runTable(lastRun), "universe-" + lastRun.seed + "-timeseries");
+      });
+    });
+    [
+      ["multi-csv-btn", "csv"],
+      ["multi-ndjson-btn", "ndjson"],
+    ].forEach(([id, format]) => {
+      const el = document.getElementById(id);
+      if (!el) return;
+      el.addEventListener("click", () => {
+        if (!lastEnsemble || !lastEnsemble.metrics.length) return;
+        exportTable(
+          format,
+          Engine.ensembleTable(lastEnsemble.metrics),
+          "multiverse-" + lastEnsemble.params.seed
+        );
+      });
+    });
+
+    const importBtn = document.getElementById("import-btn");
+    const importFileEl = document.getElementById("import-file");
+    if (importBtn && importFileEl) {
+      importBtn.addEventListener("click", () => importFileEl.click());
+      importFileEl.addEventListener("change", () => {
+        const file = importFileEl.files && importFileEl.files[0];
+        importFileEl.value = "";
+        if (file) importRunFile(file);
       });
     }
     if (btn) {
       btn.addEventListener("click", window.runUniverseSimulation);
     }
 
-    if (autoEl) {
-      autoEl.addEventListener("change", () => {
-        const { autoRun } = getParameters();
-        if (!autoRun && autoRunHandle) {
-          clearTimeout(autoRunHandle);
-          autoRunHandle = null;
-        } else if (autoRun && !autoRunHandle) {
-          window.runUniverseSimulation();
-        }
-      });
+    const multiCancelBtn = document.getElementById("multi-cancel-btn");
+    if (multiCancelBtn) {
+      multiCancelBtn.addEventListener("click", cancelEnsemble);
+    }
+    const multiMetricEl = document.getElementById("multi-metric-select");
+    if (multiMetricEl) {
+      multiMetricEl.addEventListener("change", renderEnsembleDistribution);
     }
+    attachPlaybackControls();
+    hydrateFromHash();
     window.runUniverseSimulation();
   }
 
@@ -0,0 +1,398 @@
+/*
+ * Sonification — a finished run turned into sound.
+ *
+ * No DOM access: index.html loads it as window.UniverseSonifier (after
+ * engine.js) and Node loads it with require("./sonification.js").
+ *
+ * API
+ *   buildScore(result, { duration, volume, mapping, basePitch, bend })
+ *     -> { duration, volume, frames, frameTime, kind, voices, transients }
+ *   renderSamples(score, sampleRate) -> Float32Array, plain JS additive synthesis
+ *   scheduleScore(ctx, score, { destination, when }) -> { stop, end } on any
+ *     AudioContext or OfflineAudioContext
+ *   renderWav(score, { sampleRate, OfflineAudioContext }) -> Promise<ArrayBuffer>;
+ *     without an OfflineAudioContext it falls back to renderSamples
+ *   encodeWav(samples, sampleRate) -> ArrayBuffer, 16-bit PCM mono
+ *
+ * The run plays from t = 0 to its last step in `duration` seconds. Every state
+ * component is a partial of the mapping's scale, loud while |x_i| is large
+ * (neighbouring components share a partial past MAX_VOICES). Models add to
+ * that: oscillator positions bend their partial's pitch (velocity only feeds
+ * the loudness), and for Ising spins the up spins sound while the
+ * magnetisation sets the timbre — an ordered lattice is bright, a disordered
+ * one rolls its upper partials off. The run's retro influence and every
+ * scheduled retro event that fired add a click at the step they rewrite,
+ * louder the more they changed it.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./engine.js"));
+  } else {
+    root.UniverseSonifier = factory(root.LivingUniverseEngine);
+  }
+})(typeof self !== "undefined" ? self : this, function (Engine) {
+  const SOUND_DEFAULTS = {
+    duration: 8,
+    volume: 0.5,
+    mapping: "harmonic",
+    basePitch: 110,
+    bend: 12,
+  };
+
+  const SOUND_LIMITS = {
+    duration: { min: 1, max: 60 },
+    volume: { min: 0, max: 1 },
+    basePitch: { min: 27.5, max: 880 },
+    bend: { min: 0, max: 24 },
+  };
+
+  const PENTATONIC = [0, 2, 4, 7, 9];
+
+  // frequency of partial i above the base pitch
+  const MAPPINGS = {
+    harmonic: { label: "Harmonic series", freq: (base, i) => base * (i + 1) },
+    pentatonic: {
+      label: "Pentatonic scale",
+      freq: (base, i) => base * Math.pow(2, (12 * Math.floor(i / 5) + PENTATONIC[i % 5]) / 12),
+    },
+    chromatic: { label: "Chromatic cluster", freq: (base, i) => base * Math.pow(2, i / 12) },
+  };
+
+  const MAX_VOICES = 32;
+  // curves longer than this are thinned; Web Audio interpolates between points
+  const MAX_FRAMES = 4096;
+  // spectral tilt of a fully disordered Ising state: partial k at (k + 1)^-TILT
+  const ISING_TILT = 2;
+  const TRANSIENT_SECONDS = 0.25;
+  const TRANSIENT_GAIN = 0.6;
+  const FADE_SECONDS = 0.02;
+
+  function validateSound(options) {
+    const errors = [];
+    const o = options || {};
+    Object.keys(SOUND_LIMITS).forEach((key) => {
+      if (o[key] === undefined) return;
+      const { min, max } = SOUND_LIMITS[key];
+      if (typeof o[key] !== "number" || !(o[key] >= min && o[key] <= max)) {
+        errors.push("sound " + key + " must be in [" + min + ", " + max + "], got " + o[key]);
+      }
+    });
+    if (o.mapping !== undefined && !MAPPINGS[o.mapping]) {
+      errors.push("sound mapping must be one of " + Object.keys(MAPPINGS).join(", ") + ", got " + o.mapping);
+    }
+    return errors;
+  }
+
+  function resolveSound(options) {
+    const errors = validateSound(options);
+    if (errors.length) throw new Error(errors.join("; "));
+    const o = Object.assign({}, SOUND_DEFAULTS);
+    Object.keys(options || {}).forEach((key) => {
+      if (options[key] !== undefined && options[key] !== null) o[key] = options[key];
+    });
+    return o;
+  }
+
+  // 1 for a rewrite as large as the state itself, 0.1 at a relative 1e-4 or less
+  function transientStrength(shift, size) {
+    const rel = Math.abs(shift) / Math.max(Math.abs(size), 1e-12);
+    if (!(rel > 0)) return 0.1;
+    return Math.min(1, Math.max(0.1, 1 + Math.log10(rel) / 4));
+  }
+
+  function soundKind(modelType) {
+    if (modelType === "oscillators") return "oscillators";
+    if (modelType === "ising" || modelType === "ising-lattice") return "ising";
+    return "components";
+  }
+
+  // Split `count` sources into at most MAX_VOICES contiguous bands.
+  function bands(count) {
+    const n = Math.min(count, MAX_VOICES);
+    const out = [];
+    for (let v = 0; v < n; v++) {
+      out.push({ from: Math.floor((v * count) / n), to: Math.floor(((v + 1) * count) / n) });
+    }
+    return out;
+  }
+
+  function bandLabel(prefix, band) {
+    return band.to - band.from > 1 ? prefix + " " + band.from + "–" + (band.to - 1) : prefix + " " + band.from;
+  }
+
+  function buildScore(result, options) {
+    const o = resolveSound(options);
+    const history = result.universe.history;
+    const steps = history.length;
+    const kind = soundKind(result.params.modelType);
+    const dim = result.universe.dim;
+    const frames = Math.max(2, Math.min(steps, MAX_FRAMES));
+    const frameT = f => (steps < 2 ? 0 : Math.round((f * (steps - 1)) / (frames - 1)));
+    const freqOf = MAPPINGS[o.mapping].freq;
+
+    const sources = kind === "oscillators" ? Math.max(1, Math.floor(dim / 2)) : dim;
+    const voices = bands(sources).map((band, v) => ({
+      label: bandLabel(kind === "oscillators" ? "oscillator" : "component", band),
+      from: band.from,
+      to: band.to,
+      pitch: freqOf(o.basePitch, v),
+      freq: new Float32Array(frames),
+      gain: new Float32Array(frames),
+    }));
+
+    // positions bend the pitch relative to the largest excursion of the run
+    let maxX = 0;
+    if (kind === "oscillators") {
+      history.forEach((s) => {
+        for (let i = 0; 2 * i < s.length; i++) maxX = Math.max(maxX, Math.abs(s[2 * i]));
+      });
+    }
+
+    const tilt = new Float32Array(frames);
+    for (let f = 0; f < frames; f++) {
+      const s = history[frameT(f)];
+      tilt[f] = kind === "ising" ? ISING_TILT * (1 - Math.min(1, Math.abs(Engine.magnetisation(s)))) : 0;
+      voices.forEach((voice, v) => {
+        let level = 0;
+        let x = 0;
+        for (let i = voice.from; i < voice.to; i++) {
+          if (kind === "oscillators") {
+            const xi = s[2 * i] || 0;
+            const vi = s[2 * i + 1] || 0;
+            level += Math.sqrt(xi * xi + vi * vi);
+            x += xi;
+          } else if (kind === "ising") {
+            level += Math.min(1, Math.max(0, (1 + s[i]) / 2));
+          } else {
+            level += Math.abs(s[i]);
+          }
+        }
+        const width = voice.to - voice.from;
+        level /= width;
+        x /= width;
+        const bendBy = maxX > 0 ? (o.bend / 12) * (x / maxX) : 0;
+        voice.freq[f] = voice.pitch * Math.pow(2, bendBy);
+        voice.gain[f] = level * Math.pow(v + 1, -tilt[f]);
+      });
+    }
+
+    // the loudest frame sums to 1 before the master volume
+    let peak = 0;
+    for (let f = 0; f < frames; f++) {
+      let sum = 0;
+      voices.forEach((voice) => {
+        sum += voice.gain[f];
+      });
+      peak = Math.max(peak, sum);
+    }
+    if (peak > 0) {
+      voices.forEach((voice) => {
+        for (let f = 0; f < frames; f++) voice.gain[f] /= peak;
+      });
+    }
+
+    const frameTime = o.duration / (frames - 1);
+    const stepTime = steps < 2 ? 0 : o.duration / (steps - 1);
+    const norms = result.norms;
+    const transients = [];
+    const t0 = result.params.t0;
+    if (t0 < steps) {
+      transients.push({
+        time: t0 * stepTime,
+        t: t0,
+        strength: transientStrength(Engine.distance(result.state_after, result.state_before), result.norm_before),
+        label: "retro influence t₁ → t₀",
+      });
+    }
+    (result.retro_events || []).forEach((e) => {
+      if (!e.fired || e.target >= steps) return;
+      transients.push({
+        time: e.target * stepTime,
+        t: e.target,
+        strength: transientStrength(e.shift, norms[e.target]),
+        label: "retro event " + (e.id + 1) + " · " + e.source + " → " + e.target,
+      });
+    });
+    transients.sort((a, b) => a.time - b.time);
+
+    return {
+      duration: o.duration,
+      volume: o.volume,
+      mapping: o.mapping,
+      basePitch: o.basePitch,
+      kind,
+      seed: result.seed >>> 0,
+      frames,
+      frameTime,
+      tilt,
+      voices: voices.map(({ label, pitch, freq, gain }) => ({ label, pitch, freq, gain })),
+      transients,
+    };
+  }
+
+  // A decaying noise burst over a short pitched ping; seeded so renders repeat.
+  function transientSamples(strength, sampleRate, seed) {
+    const n = Math.round(TRANSIENT_SECONDS * sampleRate);
+    const out = new Float32Array(n);
+    const rng = Engine.makeRng(seed);
+    const ping = 880 * (1 + strength);
+    const amp = TRANSIENT_GAIN * strength;
+    for (let i = 0; i < n; i++) {
+      const time = i / sampleRate;
+      const env = Math.exp(-time * 30);
+      out[i] = amp * env * (0.6 * (rng() * 2 - 1) + 0.4 * Math.sin(2 * Math.PI * ping * time));
+    }
+    return out;
+  }
+
+  function sampleCount(score, sampleRate) {
+    return Math.ceil((score.duration + TRANSIENT_SECONDS) * sampleRate);
+  }
+
+  function renderSamples(score, sampleRate = 22050) {
+    const length = sampleCount(score, sampleRate);
+    const out = new Float32Array(length);
+    const body = Math.min(length, Math.ceil(score.duration * sampleRate));
+    const nyquist = 0.45 * sampleRate;
+    const last = score.frames - 1;
+    score.voices.forEach((voice) => {
+      let phase = 0;
+      for (let i = 0; i < body; i++) {
+        const pos = Math.min(last, (i / sampleRate / score.duration) * last);
+        const f = Math.floor(pos);
+        const g = Math.min(last, f + 1);
+        const w = pos - f;
+        const freq = voice.freq[f] + (voice.freq[g] - voice.freq[f]) * w;
+        const gain = voice.gain[f] + (voice.gain[g] - voice.gain[f]) * w;
+        if (freq < nyquist) out[i] += gain * Math.sin(phase);
+        phase += (2 * Math.PI * freq) / sampleRate;
+        if (phase > 2 * Math.PI) phase -= 2 * Math.PI;
+      }
+    });
+    const fade = Math.max(1, Math.round(FADE_SECONDS * sampleRate));
+    for (let i = 0; i < fade && i < body; i++) {
+      out[i] *= i / fade;
+      out[body - 1 - i] *= i / fade;
+    }
+    score.transients.forEach((tr, k) => {
+      const burst = transientSamples(tr.strength, sampleRate, score.seed + k);
+      const start = Math.round(tr.time * sampleRate);
+      for (let i = 0; i < burst.length && start + i < length; i++) out[start + i] += burst[i];
+    });
+    for (let i = 0; i < length; i++) out[i] *= score.volume;
+    return out;
+  }
+
+  function encodeWav(samples, sampleRate) {
+    const buffer = new ArrayBuffer(44 + samples.length * 2);
+    const view = new DataView(buffer);
+    const text = (offset, s) => {
+      for (let i = 0; i < s.length; i++) view.setUint8(offset + i, s.charCodeAt(i));
+    };
+    text(0, "RIFF");
+    view.setUint32(4, 36 + samples.length * 2, true);
+    text(8, "WAVE");
+    text(12, "fmt ");
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, 1, true); // mono
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true);
+    view.setUint16(32, 2, true);
+    view.setUint16(34, 16, true);
+    text(36, "data");
+    view.setUint32(40, samples.length * 2, true);
+    for (let i = 0; i < samples.length; i++) {
+      const s = Math.max(-1, Math.min(1, samples[i]));
+      view.setInt16(44 + i * 2, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+    }
+    return buffer;
+  }
+
+  // One oscillator per voice with frequency and gain curves, the transients as
+  // buffer sources, all through a master gain.
+  function scheduleScore(ctx, score, options = {}) {
+    const start = options.when === undefined ? ctx.currentTime + 0.05 : options.when;
+    const master = ctx.createGain();
+    master.gain.setValueAtTime(0, start);
+    master.gain.linearRampToValueAtTime(score.volume, start + FADE_SECONDS);
+    master.gain.setValueAtTime(score.volume, start + score.duration - FADE_SECONDS);
+    master.gain.linearRampToValueAtTime(0, start + score.duration);
+    master.connect(options.destination || ctx.destination);
+    const nyquist = 0.45 * ctx.sampleRate;
+
+    const sources = [];
+    score.voices.forEach((voice) => {
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      osc.frequency.setValueAtTime(voice.freq[0], start);
+      osc.frequency.setValueCurveAtTime(voice.freq.map(f => Math.min(f, nyquist)), start, score.duration);
+      gain.gain.setValueAtTime(voice.gain[0], start);
+      gain.gain.setValueCurveAtTime(voice.gain, start, score.duration);
+      osc.connect(gain);
+      gain.connect(master);
+      osc.start(start);
+      osc.stop(start + score.duration);
+      sources.push(osc);
+    });
+
+    // the transients bypass the body's fade-out
+    const clicks = ctx.createGain();
+    clicks.gain.value = score.volume;
+    clicks.connect(options.destination || ctx.destination);
+    score.transients.forEach((tr, k) => {
+      const burst = transientSamples(tr.strength, ctx.sampleRate, score.seed + k);
+      const buffer = ctx.createBuffer(1, burst.length, ctx.sampleRate);
+      buffer.getChannelData(0).set(burst);
+      const src = ctx.createBufferSource();
+      src.buffer = buffer;
+      src.connect(clicks);
+      src.start(start + tr.time);
+      sources.push(src);
+    });
+
+    return {
+      start,
+      end: start + score.duration + TRANSIENT_SECONDS,
+      stop() {
+        sources.forEach((src) => {
+          try {
+            src.stop();
+          } catch (_) {
+            // already stopped
+          }
+        });
+        master.disconnect();
+        clicks.disconnect();
+      },
+    };
+  }
+
+  function renderWav(score, options = {}) {
+    const sampleRate = options.sampleRate || 44100;
+    const Offline =
+      options.OfflineAudioContext ||
+      (typeof OfflineAudioContext !== "undefined" ? OfflineAudioContext : null) ||
+      (typeof webkitOfflineAudioContext !== "undefined" ? webkitOfflineAudioContext : null);
+    if (!Offline) return Promise.resolve(encodeWav(renderSamples(score, sampleRate), sampleRate));
+    const ctx = new Offline(1, sampleCount(score, sampleRate), sampleRate);
+    scheduleScore(ctx, score, { when: 0 });
+    return ctx.startRendering().then(buffer => encodeWav(buffer.getChannelData(0), sampleRate));
+  }
+
+  return {
+    SOUND_DEFAULTS,
+    SOUND_LIMITS,
+    MAPPINGS,
+    MAX_VOICES,
+    validateSound,
+    resolveSound,
+    transientStrength,
+    buildScore,
+    transientSamples,
+    renderSamples,
+    encodeWav,
+    scheduleScore,
+    renderWav,
+  };
+});
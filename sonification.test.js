@@ -0,0 +1,66 @@
+/*
+ * Sonification scores, the offline synth and WAV encoding. Run with: node --test
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Engine = require("./engine.js");
+const Sonifier = require("./sonification.js");
+
+const RUN = Engine.runUniverse({
+  steps: 80,
+  maxLevels: 6,
+  t0: 20,
+  t1: 60,
+  obsLevel: 2,
+  dim: 40,
+  seed: 17,
+  retroEvents: [{ source: 50, target: 30, strength: 0.05 }, { source: 70, target: 45, strength: 0.05 }],
+});
+
+test("a score caps its voices and clicks at t0 and each fired retro event", () => {
+  const score = Sonifier.buildScore(RUN, { duration: 2 });
+  assert.equal(score.voices.length, Sonifier.MAX_VOICES);
+  score.voices.forEach((voice) => {
+    assert.equal(voice.freq.length, score.frames);
+    assert.equal(voice.gain.length, score.frames);
+  });
+
+  const fired = RUN.retro_events.filter(e => e.fired).map(e => e.target);
+  assert.deepEqual(fired, [30, 45]);
+  const stepTime = 2 / (80 - 1);
+  assert.deepEqual(score.transients.map(tr => tr.t), [20, 30, 45]);
+  score.transients.forEach((tr) => {
+    assert.ok(Math.abs(tr.time - tr.t * stepTime) < 1e-12, tr.label);
+    assert.ok(tr.strength >= 0.1 && tr.strength <= 1, tr.label);
+  });
+});
+
+test("renderSamples is deterministic", () => {
+  const score = Sonifier.buildScore(RUN, { duration: 1 });
+  const a = Sonifier.renderSamples(score, 8000);
+  const b = Sonifier.renderSamples(Sonifier.buildScore(RUN, { duration: 1 }), 8000);
+  assert.deepEqual(a, b);
+  assert.ok(a.some(v => v !== 0));
+  // the default volume leaves headroom for the transients
+  assert.ok(a.every(v => Number.isFinite(v) && Math.abs(v) <= 1));
+});
+
+test("encodeWav writes a 16-bit mono PCM header and one frame per sample", () => {
+  const rate = 8000;
+  const samples = Sonifier.renderSamples(Sonifier.buildScore(RUN, { duration: 1 }), rate);
+  assert.equal(samples.length, Math.ceil((1 + 0.25) * rate));
+  const wav = Sonifier.encodeWav(samples, rate);
+  const view = new DataView(wav);
+  const text = (offset, n) => String.fromCharCode(...new Uint8Array(wav, offset, n));
+  assert.equal(wav.byteLength, 44 + samples.length * 2);
+  assert.equal(text(0, 4), "RIFF");
+  assert.equal(view.getUint32(4, true), wav.byteLength - 8);
+  assert.equal(text(8, 8), "WAVEfmt ");
+  assert.equal(view.getUint16(20, true), 1);
+  assert.equal(view.getUint16(22, true), 1);
+  assert.equal(view.getUint32(24, true), rate);
+  assert.equal(view.getUint32(28, true), rate * 2);
+  assert.equal(view.getUint16(34, true), 16);
+  assert.equal(text(36, 4), "data");
+  assert.equal(view.getUint32(40, true), samples.length * 2);
+});
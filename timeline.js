@@ -0,0 +1,404 @@
+/*
+ * Interactive timeline for one run.
+ *
+ * const timeline = new TimelineExplorer(graphCanvas, heatmapCanvas, {
+ *   onScrub: (t, state) => { ... },   // hovered step; t = null when the pointer leaves
+ *   onAnchors: ({ t0, t1 }) => { ... }, // a t₀/t₁ marker was dropped somewhere new
+ * });
+ * timeline.setRun(result);
+ *
+ * The graph shows ‖U(t)‖ (dashed: before a consistent retro influence), the
+ * t₀/t₁ markers, the influence delta at t₀ and scheduled retro events. The
+ * heatmap below it shows ‖levels[t][level]‖ on the same time axis. Wheel
+ * zooms around the pointer, dragging the background pans, dragging a marker
+ * moves that anchor and double-click resets the view.
+ */
+(function () {
+  const Engine = window.LivingUniverseEngine;
+  const PAD = 10;
+  const GRAB_PX = 6;
+  const MIN_SPAN = 8;
+  const EVENT_COLORS = ["#facc15", "#34d399", "#f472b6", "#60a5fa", "#fb923c", "#a78bfa"];
+  const MARKER_COLORS = { t0: "rgba(34, 197, 94, 0.95)", t1: "rgba(244, 114, 182, 0.95)" };
+
+  function fmt(x) {
+    return x.toFixed(4);
+  }
+
+  class TimelineExplorer {
+    constructor(graph, heatmap, options = {}) {
+      this.graph = graph;
+      this.heatmap = heatmap;
+      this.onScrub = options.onScrub || null;
+      this.onAnchors = options.onAnchors || null;
+      this.run = null;
+      this.grid = null;
+      this.view = { start: 0, end: 1 };
+      this.hoverT = null;
+      this.drag = null;
+      [graph, heatmap].forEach(canvas => canvas && this._attach(canvas));
+    }
+
+    setRun(result) {
+      const steps = result.norms.length;
+      // keep the zoom while the anchors are being dragged around
+      const keepView = this.run && this.run.steps === steps;
+      // an evolving run keeps its universe: measure only the new steps
+      const previous = this.run && this.run.universe === result.universe ? this.grid : null;
+      this.run = {
+        steps,
+        universe: result.universe,
+        norms: result.norms,
+        normsBefore: result.norms_before,
+        retroEvents: result.retro_events || [],
+        t0: result.params.t0,
+        t1: result.params.t1,
+        normBefore: result.norm_before,
+        normAfter: result.norm_after,
+      };
+      this.grid = Engine.levelNormGrid(result.universe, previous);
+      if (!keepView) this.view = { start: 0, end: Math.max(1, steps - 1) };
+      this.hoverT = null;
+      this.drag = null;
+      this.draw();
+    }
+
+    resetView() {
+      if (!this.run) return;
+      this.view = { start: 0, end: Math.max(1, this.run.steps - 1) };
+      this.draw();
+    }
+
+    // Zoom by `factor` (< 1 zooms in) keeping step `t` under the pointer.
+    zoom(factor, t) {
+      if (!this.run) return;
+      const last = Math.max(1, this.run.steps - 1);
+      const { start, end } = this.view;
+      const span = Math.min(last, Math.max(Math.min(MIN_SPAN, last), (end - start) * factor));
+      const anchor = t === undefined ? (start + end) / 2 : t;
+      const f = (anchor - start) / Math.max(1e-9, end - start);
+      this._setView(anchor - f * span, span);
+    }
+
+    _setView(start, span) {
+      const last = Math.max(1, this.run.steps - 1);
+      const s = Math.min(Math.max(0, start), last - span);
+      this.view = { start: s, end: s + span };
+      this.draw();
+    }
+
+    _tToX(canvas, t) {
+      const { start, end } = this.view;
+      return PAD + ((t - start) / Math.max(1e-9, end - start)) * (canvas.width - 2 * PAD);
+    }
+
+    _xToT(canvas, x) {
+      const { start, end } = this.view;
+      const t = start + ((x - PAD) / (canvas.width - 2 * PAD)) * (end - start);
+      return Math.min(this.run.steps - 1, Math.max(0, Math.round(t)));
+    }
+
+    _pointer(canvas, event) {
+      const rect = canvas.getBoundingClientRect();
+      return {
+        x: ((event.clientX - rect.left) / rect.width) * canvas.width,
+        y: ((event.clientY - rect.top) / rect.height) * canvas.height,
+      };
+    }
+
+    _markerAt(canvas, x) {
+      for (const key of ["t0", "t1"]) {
+        if (Math.abs(this._tToX(canvas, this.run[key]) - x) <= GRAB_PX) return key;
+      }
+      return null;
+    }
+
+    _attach(canvas) {
+      canvas.addEventListener("mousedown", (event) => {
+        if (!this.run) return;
+        const { x } = this._pointer(canvas, event);
+        const marker = this._markerAt(canvas, x);
+        this.drag = marker
+          ? { marker, t: this.run[marker] }
+          : { pan: true, x, start: this.view.start, span: this.view.end - this.view.start };
+        if (event.preventDefault) event.preventDefault();
+      });
+      canvas.addEventListener("mousemove", (event) => {
+        if (!this.run) return;
+        const { x, y } = this._pointer(canvas, event);
+        const drag = this.drag;
+        if (drag && drag.marker) {
+          const t = this._xToT(canvas, x);
+          drag.t = drag.marker === "t0"
+            ? Math.min(t, this.run.t1 - 1)
+            : Math.max(t, this.run.t0 + 1);
+          this._hover(drag.t);
+          return;
+        }
+        if (drag && drag.pan) {
+          const perPx = drag.span / (canvas.width - 2 * PAD);
+          this._setView(drag.start - (x - drag.x) * perPx, drag.span);
+          return;
+        }
+        canvas.style.cursor = this._markerAt(canvas, x) ? "ew-resize" : "crosshair";
+        const t = this._xToT(canvas, x);
+        if (canvas === this.heatmap) canvas.title = this._cellTitle(t, y);
+        this._hover(t);
+      });
+      canvas.addEventListener("mouseup", () => this._drop());
+      canvas.addEventListener("mouseleave", () => {
+        // leaving mid-drag abandons the move
+        this.drag = null;
+        this._hover(null);
+      });
+      canvas.addEventListener("wheel", (event) => {
+        if (!this.run) return;
+        if (event.preventDefault) event.preventDefault();
+        const { x } = this._pointer(canvas, event);
+        const { start, end } = this.view;
+        const t = start + ((x - PAD) / (canvas.width - 2 * PAD)) * (end - start);
+        this.zoom(event.deltaY < 0 ? 0.8 : 1.25, t);
+      });
+      canvas.addEventListener("dblclick", () => this.resetView());
+    }
+
+    _drop() {
+      const drag = this.drag;
+      this.drag = null;
+      if (!drag || !drag.marker || drag.t === this.run[drag.marker]) return;
+      const anchors = { t0: this.run.t0, t1: this.run.t1 };
+      anchors[drag.marker] = drag.t;
+      this.run[drag.marker] = drag.t;
+      this.draw();
+      if (this.onAnchors) this.onAnchors(anchors);
+    }
+
+    _hover(t) {
+      this.hoverT = t;
+      this.draw();
+      if (!this.onScrub) return;
+      const state = t === null ? null : Array.from(this.run.universe.history[t]);
+      this.onScrub(t, state);
+    }
+
+    _cellTitle(t, y) {
+      const { levels, values } = this.grid;
+      const h = this.heatmap.height;
+      const level = Math.floor(((h - PAD - y) / (h - 2 * PAD)) * levels);
+      if (level < 0 || level >= levels) return "t = " + t;
+      const v = values[t * levels + level];
+      return "t = " + t + ", level " + level + ": " + (Number.isNaN(v) ? "not kept" : "‖·‖ = " + fmt(v));
+    }
+
+    // positions currently shown for the anchors (a dragged marker follows the pointer)
+    _anchor(key) {
+      return this.drag && this.drag.marker === key ? this.drag.t : this.run[key];
+    }
+
+    draw() {
+      this._drawGraph();
+      this._drawHeatmap();
+    }
+
+    _drawMarkers(ctx, canvas, h) {
+      ["t0", "t1"].forEach((key) => {
+        const x = this._tToX(canvas, this._anchor(key));
+        if (x < PAD - 1 || x > canvas.width - PAD + 1) return;
+        ctx.strokeStyle = MARKER_COLORS[key];
+        ctx.lineWidth = this.drag && this.drag.marker === key ? 2 : 1;
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, h);
+        ctx.stroke();
+        ctx.fillStyle = MARKER_COLORS[key];
+        ctx.beginPath();
+        ctx.moveTo(x - 4, 0);
+        ctx.lineTo(x + 4, 0);
+        ctx.lineTo(x, 5);
+        ctx.fill();
+      });
+      if (this.hoverT !== null) {
+        const x = this._tToX(canvas, this.hoverT);
+        ctx.strokeStyle = "rgba(229, 231, 235, 0.6)";
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, h);
+        ctx.stroke();
+      }
+    }
+
+    _drawGraph() {
+      const canvas = this.graph;
+      if (!canvas || !canvas.getContext) return;
+      const ctx = canvas.getContext("2d");
+      const w = canvas.width;
+      const h = canvas.height;
+      ctx.clearRect(0, 0, w, h);
+      const run = this.run;
+      if (!run || !run.norms.length) return;
+
+      const first = Math.max(0, Math.floor(this.view.start));
+      const last = Math.min(run.steps - 1, Math.ceil(this.view.end));
+      const visible = run.norms.slice(first, last + 1);
+      if (run.normsBefore) visible.push(...run.normsBefore.slice(first, last + 1));
+      visible.push(run.normBefore, run.normAfter);
+      const maxVal = Math.max(...visible);
+      const minVal = Math.min(...visible);
+      const range = Math.max(1e-6, maxVal - minVal);
+      const yAt = v => h - PAD - ((v - minVal) / range) * (h - 2 * PAD);
+      const xAt = t => this._tToX(canvas, t);
+
+      const grad = ctx.createLinearGradient(0, 0, 0, h);
+      grad.addColorStop(0, "rgba(56, 189, 248, 0.18)");
+      grad.addColorStop(1, "rgba(15, 23, 42, 1)");
+      ctx.fillStyle = grad;
+      ctx.fillRect(0, 0, w, h);
+
+      const line = (values) => {
+        ctx.beginPath();
+        for (let t = first; t <= last; t++) {
+          if (t === first) ctx.moveTo(xAt(t), yAt(values[t]));
+          else ctx.lineTo(xAt(t), yAt(values[t]));
+        }
+      };
+      if (run.normsBefore) {
+        line(run.normsBefore);
+        ctx.strokeStyle = "rgba(244, 114, 182, 0.7)";
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 3]);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+      line(run.norms);
+      ctx.strokeStyle = "rgba(129, 140, 248, 0.95)";
+      ctx.lineWidth = 1.4;
+      ctx.shadowColor = "rgba(129, 140, 248, 0.7)";
+      ctx.shadowBlur = 6;
+      ctx.stroke();
+      ctx.shadowBlur = 0;
+
+      // scheduled retro events: arc from source back to target, tick where it fired
+      run.retroEvents.forEach((e) => {
+        const color = EVENT_COLORS[e.id % EVENT_COLORS.length];
+        const xs = xAt(e.source);
+        const xt = xAt(e.target);
+        ctx.strokeStyle = color;
+        ctx.globalAlpha = e.fired ? 0.9 : 0.35;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(xs, PAD);
+        ctx.quadraticCurveTo((xs + xt) / 2, PAD + Math.min(28, (xs - xt) / 4), xt, PAD);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(xt, PAD);
+        ctx.lineTo(xt + 4, PAD - 3);
+        ctx.moveTo(xt, PAD);
+        ctx.lineTo(xt + 4, PAD + 3);
+        ctx.stroke();
+        const xa = xAt(e.at);
+        ctx.beginPath();
+        ctx.moveTo(xa, h - PAD + 2);
+        ctx.lineTo(xa, h - PAD - 5);
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+      });
+
+      this._drawMarkers(ctx, canvas, h);
+
+      // influence delta at t₀: ‖U(t₀)‖ before → after
+      const x0 = xAt(run.t0);
+      if (x0 >= PAD - 1 && x0 <= w - PAD + 1) {
+        const yb = yAt(run.normBefore);
+        const ya = yAt(run.normAfter);
+        ctx.strokeStyle = "rgba(250, 204, 21, 0.95)";
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x0, yb);
+        ctx.lineTo(x0, ya);
+        ctx.stroke();
+        ctx.fillStyle = "rgba(34, 197, 94, 0.9)";
+        ctx.beginPath();
+        ctx.arc(x0, ya, 3, 0, Math.PI * 2);
+        ctx.fill();
+      }
+
+      ctx.fillStyle = "rgba(156, 163, 175, 0.9)";
+      ctx.font = "10px system-ui, sans-serif";
+      const t = this.hoverT;
+      const label = t !== null
+        ? "t = " + t + "  ‖U‖ = " + fmt(run.norms[t])
+        : "Δ‖U(t₀)‖ = " + fmt(run.normAfter - run.normBefore);
+      ctx.fillText(label, PAD + 2, h - 2);
+      const span = "t " + first + "–" + last;
+      ctx.fillText(span, w - PAD - ctx.measureText(span).width, h - 2);
+    }
+
+    _drawHeatmap() {
+      const canvas = this.heatmap;
+      if (!canvas || !canvas.getContext) return;
+      const ctx = canvas.getContext("2d");
+      const w = canvas.width;
+      const h = canvas.height;
+      ctx.clearRect(0, 0, w, h);
+      ctx.fillStyle = "rgba(15, 23, 42, 1)";
+      ctx.fillRect(0, 0, w, h);
+      const run = this.run;
+      const grid = this.grid;
+      if (!run || !grid) return;
+
+      const { lo, hi } = grid;
+      const range = Math.max(1e-12, hi - lo);
+
+      const plotW = w - 2 * PAD;
+      const plotH = h - 2 * PAD;
+      const rows = Math.max(1, Math.min(grid.levels, Math.floor(plotH)));
+      const rowH = plotH / rows;
+      const column = (t, x, width) => {
+        for (let r = 0; r < rows; r++) {
+          const v = grid.values[t * grid.levels + Math.floor((r / rows) * grid.levels)];
+          if (Number.isNaN(v)) {
+            ctx.fillStyle = "rgba(51, 65, 85, 0.6)";
+          } else {
+            const f = (v - lo) / range;
+            ctx.fillStyle = "hsl(" + (240 - 240 * f) + ", 80%, " + (35 + 25 * f) + "%)";
+          }
+          // level 0 at the bottom
+          ctx.fillRect(x, h - PAD - (r + 1) * rowH, width, Math.ceil(rowH));
+        }
+      };
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(PAD, PAD, plotW, plotH);
+      ctx.clip();
+      const { start, end } = this.view;
+      const span = Math.max(1e-9, end - start);
+      if (span + 1 <= plotW) {
+        // zoomed in: one cell per step, centred on the step like the graph points
+        const cellW = plotW / span;
+        for (let t = Math.max(0, Math.floor(start)); t <= Math.min(grid.steps - 1, Math.ceil(end)); t++) {
+          column(t, this._tToX(canvas, t) - cellW / 2, Math.ceil(cellW));
+        }
+      } else {
+        for (let c = 0; c < Math.floor(plotW); c++) {
+          const t = Math.min(grid.steps - 1, Math.round(start + ((c + 0.5) / plotW) * span));
+          column(t, PAD + c, 1);
+        }
+      }
+      ctx.restore();
+
+      this._drawMarkers(ctx, canvas, h);
+
+      ctx.fillStyle = "rgba(156, 163, 175, 0.9)";
+      ctx.font = "10px system-ui, sans-serif";
+      ctx.fillText("level " + (grid.levels - 1), 2, PAD - 1);
+      ctx.fillText("0", 2, h - 1);
+      if (Number.isFinite(lo)) {
+        const legend = "blue " + fmt(lo) + " … red " + fmt(hi);
+        ctx.fillText(legend, w - PAD - ctx.measureText(legend).width, h - 1);
+      }
+    }
+  }
+
+  window.TimelineExplorer = TimelineExplorer;
+})();